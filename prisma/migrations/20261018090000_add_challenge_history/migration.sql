@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "challenge_attempts" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "beatmapId" TEXT NOT NULL,
+    "difficulty" TEXT NOT NULL,
+    "responderUserId" TEXT NOT NULL,
+    "responderOsuId" TEXT NOT NULL,
+    "responderScore" JSONB NOT NULL,
+    "championUserId" TEXT NOT NULL,
+    "championOsuId" TEXT NOT NULL,
+    "championScore" JSONB NOT NULL,
+    "statWinners" JSONB NOT NULL,
+    "responderWins" INTEGER NOT NULL,
+    "result" TEXT NOT NULL,
+    "messageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "challenge_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "challenge_reigns" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "beatmapId" TEXT NOT NULL,
+    "difficulty" TEXT NOT NULL,
+    "championUserId" TEXT NOT NULL,
+    "championOsuId" TEXT NOT NULL,
+    "championScore" JSONB NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "endedByUserId" TEXT,
+
+    CONSTRAINT "challenge_reigns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "challenge_attempts_guildId_idx" ON "challenge_attempts"("guildId");
+
+-- CreateIndex
+CREATE INDEX "challenge_attempts_guildId_beatmapId_difficulty_idx" ON "challenge_attempts"("guildId", "beatmapId", "difficulty");
+
+-- CreateIndex
+CREATE INDEX "challenge_attempts_guildId_responderUserId_idx" ON "challenge_attempts"("guildId", "responderUserId");
+
+-- CreateIndex
+CREATE INDEX "challenge_attempts_guildId_championUserId_idx" ON "challenge_attempts"("guildId", "championUserId");
+
+-- CreateIndex
+CREATE INDEX "challenge_reigns_guildId_idx" ON "challenge_reigns"("guildId");
+
+-- CreateIndex
+CREATE INDEX "challenge_reigns_guildId_beatmapId_difficulty_idx" ON "challenge_reigns"("guildId", "beatmapId", "difficulty");
+
+-- CreateIndex
+CREATE INDEX "challenge_reigns_guildId_championUserId_idx" ON "challenge_reigns"("guildId", "championUserId");
+
+-- Backfill: every existing challenge gets an open reign for its current champion, starting when the title last changed
+INSERT INTO "challenge_reigns" ("id", "guildId", "beatmapId", "difficulty", "championUserId", "championOsuId", "championScore", "startedAt")
+SELECT gen_random_uuid()::text, "guildId", "beatmapId", "difficulty", "challengerUserId", "challengerOsuId", "challengerScore", "updatedAt"
+FROM "active_challenges";
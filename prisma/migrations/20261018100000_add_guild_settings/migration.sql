@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "guild_settings" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "challengeWinRule" TEXT NOT NULL DEFAULT 'key_stats',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "guild_settings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "guild_settings_guildId_key" ON "guild_settings"("guildId");
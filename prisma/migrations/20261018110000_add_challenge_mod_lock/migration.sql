@@ -0,0 +1,4 @@
+-- AlterTable
+-- Existing challenges are not mod-locked
+ALTER TABLE "active_challenges" ADD COLUMN "modLock" TEXT NOT NULL DEFAULT 'any';
+ALTER TABLE "active_challenges" ADD COLUMN "lockedMods" TEXT[] DEFAULT ARRAY[]::TEXT[];
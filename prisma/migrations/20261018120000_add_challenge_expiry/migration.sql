@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN "challengeExpiryDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "archived_challenges" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "beatmapId" TEXT NOT NULL,
+    "difficulty" TEXT NOT NULL,
+    "challengerUserId" TEXT NOT NULL,
+    "challengerOsuId" TEXT NOT NULL,
+    "challengerScore" JSONB NOT NULL,
+    "originalChallengerUserId" TEXT NOT NULL,
+    "modLock" TEXT NOT NULL DEFAULT 'any',
+    "lockedMods" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "championSince" TIMESTAMP(3) NOT NULL,
+    "archivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "archived_challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "archived_challenges_guildId_idx" ON "archived_challenges"("guildId");
+
+-- CreateIndex
+CREATE INDEX "archived_challenges_guildId_challengerUserId_idx" ON "archived_challenges"("guildId", "challengerUserId");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "api_cache" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "api_cache_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "api_cache_expiresAt_idx" ON "api_cache"("expiresAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "user_associations" ADD COLUMN "ruleset" TEXT NOT NULL DEFAULT 'osu';
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "player_ratings" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "discordUserId" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL DEFAULT 1500,
+    "peakRating" INTEGER NOT NULL DEFAULT 1500,
+    "wins" INTEGER NOT NULL DEFAULT 0,
+    "losses" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "player_ratings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "player_ratings_guildId_discordUserId_key" ON "player_ratings"("guildId", "discordUserId");
+
+-- CreateIndex
+CREATE INDEX "player_ratings_guildId_rating_idx" ON "player_ratings"("guildId", "rating");
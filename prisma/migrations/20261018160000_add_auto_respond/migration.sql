@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN "autoRespondEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "user_associations" ADD COLUMN "autoRespond" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "lastScorePollAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "user_associations_guildId_autoRespond_idx" ON "user_associations"("guildId", "autoRespond");
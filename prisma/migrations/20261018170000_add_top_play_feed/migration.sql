@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "server_configs" ADD COLUMN "topPlaysChannelId" TEXT;
+
+-- CreateTable
+CREATE TABLE "top_play_snapshots" (
+    "id" TEXT NOT NULL,
+    "osuUserId" TEXT NOT NULL,
+    "ruleset" TEXT NOT NULL,
+    "scores" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "top_play_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "top_play_snapshots_osuUserId_ruleset_key" ON "top_play_snapshots"("osuUserId", "ruleset");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "user_stats_snapshots" (
+    "id" TEXT NOT NULL,
+    "osuUserId" TEXT NOT NULL,
+    "ruleset" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "globalRank" INTEGER,
+    "pp" DOUBLE PRECISION NOT NULL,
+    "accuracy" DOUBLE PRECISION NOT NULL,
+    "playCount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_stats_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_stats_snapshots_osuUserId_ruleset_date_key" ON "user_stats_snapshots"("osuUserId", "ruleset", "date");
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "archived_submissions" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "submissionDate" TEXT NOT NULL,
+    "beatmapId" TEXT NOT NULL,
+    "beatmapsetId" TEXT,
+    "mapTitle" TEXT,
+    "artist" TEXT,
+    "difficulty" TEXT,
+    "starRating" DOUBLE PRECISION,
+    "status" TEXT,
+    "mods" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "channelId" TEXT NOT NULL,
+    "messageId" TEXT,
+    "upvotes" INTEGER NOT NULL DEFAULT 0,
+    "downvotes" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "archived_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "archived_submissions_guildId_submissionDate_idx" ON "archived_submissions"("guildId", "submissionDate");
+
+-- CreateIndex
+CREATE INDEX "archived_submissions_guildId_userId_idx" ON "archived_submissions"("guildId", "userId");
+
+-- CreateIndex
+CREATE INDEX "archived_submissions_messageId_idx" ON "archived_submissions"("messageId");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN "duplicateMapWindowDays" INTEGER DEFAULT 30,
+ADD COLUMN "duplicateMapAction" TEXT NOT NULL DEFAULT 'confirm';
+
+-- CreateIndex
+CREATE INDEX "archived_submissions_guildId_beatmapsetId_idx" ON "archived_submissions"("guildId", "beatmapsetId");
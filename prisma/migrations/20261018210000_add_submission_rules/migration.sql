@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "submission_rules" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "minStars" DOUBLE PRECISION,
+    "maxStars" DOUBLE PRECISION,
+    "maxDrainSeconds" INTEGER,
+    "allowedStatuses" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "bannedMappers" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "bannedBeatmapsetIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "themedDayMods" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "submission_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "submission_rules_guildId_key" ON "submission_rules"("guildId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC';
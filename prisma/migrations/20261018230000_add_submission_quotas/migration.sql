@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN "submissionsPerDay" INTEGER DEFAULT 1,
+ADD COLUMN "submissionsPerWeek" INTEGER,
+ADD COLUMN "submissionCooldownHours" INTEGER,
+ADD COLUMN "submissionExemptRoleId" TEXT;
+
+-- DropIndex (players may submit more than one map per day)
+DROP INDEX "submissions_guildId_userId_submissionDate_key";
+
+-- CreateIndex
+CREATE INDEX "submissions_guildId_userId_submissionDate_idx" ON "submissions"("guildId", "userId", "submissionDate");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "challenge_attempts" ADD COLUMN "responderScoreId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "challenge_attempts_guildId_beatmapId_difficulty_responderScoreId_idx" ON "challenge_attempts"("guildId", "beatmapId", "difficulty", "responderScoreId");
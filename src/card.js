@@ -8,6 +8,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage, GlobalFonts } from '@napi-rs/canvas';
+import { RULESETS, normalizeRuleset, getScoreRuleset, getJudgementCounts, getMissCount } from './rulesets.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -218,10 +219,12 @@ function formatMods(play) {
 }
 
 /**
- * Stat definitions: Mods first (text only), then PP, Accuracy, Max Combo, Score, Misses, 300s, 100s, 50s.
- * Play object: score, pp, accuracy (0–1), max_combo, statistics: { count_300, count_100, count_50, count_miss }, mods.
+ * Stat definitions: Mods first (text only), then PP, Accuracy, Max Combo, Score, Misses,
+ * then the ruleset's judgements (300s/100s/50s in osu!, MAX/300/200/100/50 in mania, ...).
+ * Row order matches compareScores' statWinners.
+ * Play object: score, pp, accuracy (0–1), max_combo, statistics (legacy count_* or lazer names), mods.
  */
-const STAT_DEFS = [
+const BASE_STAT_DEFS = [
   {
     label: 'Mods',
     textOnly: true,
@@ -241,26 +244,24 @@ const STAT_DEFS = [
   },
   {
     label: 'Misses',
-    getValue: (p) => p.statistics?.count_miss ?? 0,
-    format: (v) => String(Math.round(v)),
-  },
-  {
-    label: '300s',
-    getValue: (p) => p.statistics?.count_300 ?? 0,
-    format: (v) => String(Math.round(v)),
-  },
-  {
-    label: '100s',
-    getValue: (p) => p.statistics?.count_100 ?? 0,
-    format: (v) => String(Math.round(v)),
-  },
-  {
-    label: '50s',
-    getValue: (p) => p.statistics?.count_50 ?? 0,
+    getValue: (p) => getMissCount(p),
     format: (v) => String(Math.round(v)),
   },
 ];
 
+/**
+ * Stat rows for a ruleset (see BASE_STAT_DEFS).
+ * @param {string} ruleset - RULESETS key
+ */
+function getStatDefs(ruleset) {
+  const judgementDefs = RULESETS[ruleset].judgements.map((j, i) => ({
+    label: j.label,
+    getValue: (p) => getJudgementCounts(p, ruleset)[i].value,
+    format: (v) => String(Math.round(v)),
+  }));
+  return [...BASE_STAT_DEFS, ...judgementDefs];
+}
+
 /**
  * Load avatar image from buffer or placeholder.
  * @param {Buffer | null} avatarBuffer
@@ -286,15 +287,22 @@ async function loadAvatarImage(avatarBuffer) {
 
 /**
  * Draw challenge/compare card (internal). Left = champion, right = responder.
+ * `scores` are whatever the stat rows read (score objects, or head-to-head records).
  * @param {object} leftUser - { avatarBuffer: Buffer|null, username: string }
  * @param {object} rightUser - { avatarBuffer: Buffer|null, username: string }
  * @param {[object, object]} scores - [championScore, responderScore]
- * @param {('left'|'right'|'tie')[]} statWinners - per-row winner (length 9), optional; default all 'tie'
+ * @param {('left'|'right'|'tie')[]} statWinners - per-row winner (one per stat row), optional; default all 'tie'
  * @param {'left'|'right'|null} loserSide - which avatar gets grey mask (null = none)
+ * @param {object} [options]
+ * @param {string} [options.modLockLabel] - shown next to the Mods row title when the challenge is mod-locked
+ * @param {string} [options.ruleset] - judgement rows to draw (default: the champion score's ruleset)
+ * @param {object[]} [options.statDefs] - rows to draw instead of the score stats (same shape as BASE_STAT_DEFS)
+ * @param {number} [options.maxStatScale] - cap on stat text/line scaling, for cards with few rows
  * @returns {Promise<Buffer>} PNG buffer
  */
-async function drawCardInternal(leftUser, rightUser, scores, statWinners = null, loserSide = null) {
-  const winners = statWinners || STAT_DEFS.map(() => 'tie');
+async function drawCardInternal(leftUser, rightUser, scores, statWinners = null, loserSide = null, options = {}) {
+  const statDefs = options.statDefs ?? getStatDefs(normalizeRuleset(options.ruleset) ?? getScoreRuleset(scores?.[0]));
+  const winners = statWinners || statDefs.map(() => 'tie');
   const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
   const ctx = canvas.getContext('2d');
 
@@ -382,8 +390,8 @@ async function drawCardInternal(leftUser, rightUser, scores, statWinners = null,
   const play2 = scores?.[1];
   if (play1 && play2) {
     const statsAreaHeight = CARD_HEIGHT - statsStartY - STATS_BOTTOM_MARGIN;
-    const rowHeight = (statsAreaHeight - STAT_ROW_GAP_EXTRA * (STAT_DEFS.length - 1)) / STAT_DEFS.length;
-    const scale = rowHeight / STAT_ROW_HEIGHT_BASE;
+    const rowHeight = (statsAreaHeight - STAT_ROW_GAP_EXTRA * (statDefs.length - 1)) / statDefs.length;
+    const scale = Math.min(rowHeight / STAT_ROW_HEIGHT_BASE, options.maxStatScale ?? Infinity);
     const labelFontSize = Math.round(STAT_LABEL_FONT_SIZE_BASE * scale) + 20;
     const valueFontSize = Math.round(STAT_VALUE_FONT_SIZE_BASE * scale) + 20;
     const lineStrokeWidth = Math.max(2, Math.round(STAT_LINE_STROKE_WIDTH_BASE * scale));
@@ -392,8 +400,8 @@ async function drawCardInternal(leftUser, rightUser, scores, statWinners = null,
     const valueMargin = STAT_VALUE_MARGIN_BASE * scale;
 
     ctx.save();
-    for (let i = 0; i < STAT_DEFS.length; i++) {
-      const stat = STAT_DEFS[i];
+    for (let i = 0; i < statDefs.length; i++) {
+      const stat = statDefs[i];
       const rowY = statsStartY + i * (rowHeight + STAT_ROW_GAP_EXTRA);
       const lineY = rowY + lineYOffset;
       const winner = winners[i] || 'tie';
@@ -404,12 +412,13 @@ async function drawCardInternal(leftUser, rightUser, scores, statWinners = null,
       ctx.textAlign = 'center';
       ctx.textBaseline = 'bottom';
       const labelY = lineY - nameAboveLine;
+      const labelText = stat.textOnly && options.modLockLabel ? `${stat.label} (locked: ${options.modLockLabel})` : stat.label;
       ctx.strokeStyle = STAT_LABEL_OUTLINE_COLOR;
       ctx.lineWidth = STAT_VALUE_OUTLINE_WIDTH;
       ctx.lineJoin = 'round';
-      ctx.strokeText(stat.label, CENTER_X, labelY);
+      ctx.strokeText(labelText, CENTER_X, labelY);
       ctx.fillStyle = 'rgb(174, 231, 144)';
-      ctx.fillText(stat.label, CENTER_X, labelY);
+      ctx.fillText(labelText, CENTER_X, labelY);
 
       if (stat.textOnly) {
         const textLeft = stat.getText(play1);
@@ -489,25 +498,185 @@ async function drawCardInternal(leftUser, rightUser, scores, statWinners = null,
   return await canvas.encode('png');
 }
 
-/**
- * Draw the card prototype: background + avatar + username + stat lines (2 most recent plays).
- * Single user on both sides (for /teto test card).
- */
-export async function drawCardPrototype(avatarBuffer = null, username = '', recentScores = null) {
-  const user = { avatarBuffer, username };
-  return drawCardInternal(user, user, recentScores || [], null, null);
-}
-
 /**
  * Draw challenge response card: champion (left) vs responder (right), with stat winners and loser mask.
  * @param {object} leftUser - { avatarBuffer: Buffer|null, username: string } (champion)
  * @param {object} rightUser - { avatarBuffer: Buffer|null, username: string } (responder)
  * @param {object} championScore - score object for left stats
  * @param {object} responderScore - score object for right stats
- * @param {('left'|'right'|'tie')[]} statWinners - per-row winner (length 9)
+ * @param {('left'|'right'|'tie')[]} statWinners - per-row winner (one per stat row)
  * @param {'left'|'right'} loserSide - which avatar gets grey mask (left = champion lost, right = responder lost)
+ * @param {{ modLockLabel?: string }} [options] - modLockLabel: mod lock text for the Mods row (e.g. "exactly HD, DT")
  * @returns {Promise<Buffer>} PNG buffer
  */
-export async function drawChallengeCard(leftUser, rightUser, championScore, responderScore, statWinners, loserSide) {
-  return drawCardInternal(leftUser, rightUser, [championScore, responderScore], statWinners, loserSide);
+export async function drawChallengeCard(leftUser, rightUser, championScore, responderScore, statWinners, loserSide, options = {}) {
+  return drawCardInternal(leftUser, rightUser, [championScore, responderScore], statWinners, loserSide, options);
+}
+
+/**
+ * Head-to-head rows: each player's record against the other (see summarizeHeadToHead in headToHead.js).
+ * Higher is better on every row.
+ */
+const H2H_STAT_DEFS = [
+  { label: 'Wins', getValue: (r) => r.wins, format: (v) => String(v) },
+  { label: 'Titles taken', getValue: (r) => r.takeovers, format: (v) => String(v) },
+  { label: 'Titles defended', getValue: (r) => r.defences, format: (v) => String(v) },
+  { label: 'Maps won', getValue: (r) => r.mapsWon, format: (v) => String(v) },
+  { label: 'Best win streak', getValue: (r) => r.bestStreak, format: (v) => String(v) },
+];
+
+/** Keeps the 5 head-to-head rows at roughly challenge card text size. */
+const H2H_MAX_STAT_SCALE = 1.4;
+
+/**
+ * Draw a head-to-head card: two players' records against each other, in the challenge card layout.
+ * The player with fewer wins gets the loser mask (none on a tie).
+ * @param {object} leftUser - { avatarBuffer: Buffer|null, username: string }
+ * @param {object} rightUser - { avatarBuffer: Buffer|null, username: string }
+ * @param {object} leftRecord - { wins, losses, takeovers, defences, mapsWon, bestStreak }
+ * @param {object} rightRecord - same shape as leftRecord
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+export async function drawHeadToHeadCard(leftUser, rightUser, leftRecord, rightRecord) {
+  const statWinners = H2H_STAT_DEFS.map((stat) => {
+    const left = stat.getValue(leftRecord);
+    const right = stat.getValue(rightRecord);
+    return left > right ? 'left' : right > left ? 'right' : 'tie';
+  });
+  const loserSide = leftRecord.wins > rightRecord.wins ? 'right' : rightRecord.wins > leftRecord.wins ? 'left' : null;
+  return drawCardInternal(leftUser, rightUser, [leftRecord, rightRecord], statWinners, loserSide, { statDefs: H2H_STAT_DEFS, maxStatScale: H2H_MAX_STAT_SCALE });
+}
+
+/** Progress chart dimensions (wide, for Discord embeds) */
+const CHART_WIDTH = 1600;
+const CHART_HEIGHT = 900;
+const CHART_PADDING = { top: 150, right: 170, bottom: 120, left: 170 };
+const CHART_TITLE_FONT_SIZE = 56;
+const CHART_LABEL_FONT_SIZE = 30;
+const CHART_LINE_WIDTH = 6;
+const CHART_POINT_RADIUS = 8;
+const CHART_GRID_COLOR = 'rgba(255, 255, 255, 0.12)';
+const CHART_TEXT_COLOR = 'rgb(224, 224, 224)';
+/** pp uses the left player's stat line color, rank the right one's */
+const CHART_PP_COLOR = STAT_LINE_COLOR_LEFT;
+const CHART_RANK_COLOR = STAT_LINE_COLOR_RIGHT;
+const CHART_GRID_LINES = 4;
+const CHART_MAX_DATE_LABELS = 6;
+
+/** [min, max] of values, widened a little so flat lines sit mid-chart instead of on an edge. */
+function chartRange(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const pad = max === min ? Math.max(1, Math.abs(max) * 0.01) : (max - min) * 0.08;
+  return [min - pad, max + pad];
+}
+
+/**
+ * Draw a player's progress chart: pp (left axis) and global rank (right axis, inverted so climbing goes up)
+ * over time, from daily user_stats_snapshots (see userStats.js).
+ * Days without a global rank (inactive/unranked) leave a gap in the rank line.
+ * @param {string} username - shown in the title
+ * @param {Array<{ date: string, globalRank: number|null, pp: number }>} snapshots - oldest first, at least 2
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+export async function drawProgressChart(username, snapshots) {
+  const canvas = createCanvas(CHART_WIDTH, CHART_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = FALLBACK_BG_COLOR;
+  ctx.fillRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+
+  const plotLeft = CHART_PADDING.left;
+  const plotRight = CHART_WIDTH - CHART_PADDING.right;
+  const plotTop = CHART_PADDING.top;
+  const plotBottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const xAt = (i) => (snapshots.length > 1 ? plotLeft + (i / (snapshots.length - 1)) * (plotRight - plotLeft) : (plotLeft + plotRight) / 2);
+
+  const [ppMin, ppMax] = chartRange(snapshots.map(s => s.pp));
+  const ppY = (pp) => plotBottom - ((pp - ppMin) / (ppMax - ppMin)) * (plotBottom - plotTop);
+  const ranks = snapshots.map(s => s.globalRank).filter(rank => rank != null);
+  const [rankMin, rankMax] = ranks.length > 0 ? chartRange(ranks) : [0, 1];
+  // Inverted: rank 1 is at the top
+  const rankY = (rank) => plotTop + ((rank - rankMin) / (rankMax - rankMin)) * (plotBottom - plotTop);
+
+  ctx.fillStyle = CHART_TEXT_COLOR;
+  ctx.font = `${CHART_TITLE_FONT_SIZE}px ${CARD_FONT_FAMILY_BOLD ?? CARD_FONT_FAMILY}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${username}'s progress`, plotLeft, CHART_PADDING.top / 2);
+
+  // Legend
+  ctx.font = `${CHART_LABEL_FONT_SIZE}px ${CARD_FONT_FAMILY}`;
+  ctx.textAlign = 'right';
+  let legendX = plotRight;
+  for (const [label, color] of [['Global rank', CHART_RANK_COLOR], ['pp', CHART_PP_COLOR]]) {
+    ctx.fillStyle = CHART_TEXT_COLOR;
+    ctx.fillText(label, legendX, CHART_PADDING.top / 2);
+    legendX -= ctx.measureText(label).width + 16;
+    ctx.fillStyle = color;
+    ctx.fillRect(legendX - 40, CHART_PADDING.top / 2 - CHART_LINE_WIDTH / 2, 40, CHART_LINE_WIDTH);
+    legendX -= 40 + 40;
+  }
+
+  // Grid and axis labels
+  ctx.strokeStyle = CHART_GRID_COLOR;
+  ctx.lineWidth = 2;
+  for (let i = 0; i <= CHART_GRID_LINES; i++) {
+    const y = plotTop + (i / CHART_GRID_LINES) * (plotBottom - plotTop);
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, y);
+    ctx.lineTo(plotRight, y);
+    ctx.stroke();
+
+    const ppValue = ppMax - (i / CHART_GRID_LINES) * (ppMax - ppMin);
+    ctx.fillStyle = CHART_PP_COLOR;
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(ppValue).toLocaleString('en-US')}pp`, plotLeft - 20, y);
+    if (ranks.length > 0) {
+      const rankValue = rankMin + (i / CHART_GRID_LINES) * (rankMax - rankMin);
+      ctx.fillStyle = CHART_RANK_COLOR;
+      ctx.textAlign = 'left';
+      ctx.fillText(`#${Math.max(1, Math.round(rankValue)).toLocaleString('en-US')}`, plotRight + 20, y);
+    }
+  }
+
+  ctx.fillStyle = CHART_TEXT_COLOR;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const dateStep = Math.max(1, Math.ceil(snapshots.length / CHART_MAX_DATE_LABELS));
+  snapshots.forEach((snapshot, i) => {
+    if (i % dateStep !== 0 && i !== snapshots.length - 1) return;
+    // MM-DD is enough on a chart that spans at most a few months
+    ctx.fillText(String(snapshot.date).slice(5), xAt(i), plotBottom + 24);
+  });
+
+  const drawLine = (getY, color) => {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = CHART_LINE_WIDTH;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    let drawing = false;
+    snapshots.forEach((snapshot, i) => {
+      const y = getY(snapshot);
+      if (y == null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(xAt(i), y);
+      else ctx.moveTo(xAt(i), y);
+      drawing = true;
+    });
+    ctx.stroke();
+    snapshots.forEach((snapshot, i) => {
+      const y = getY(snapshot);
+      if (y == null) return;
+      ctx.beginPath();
+      ctx.arc(xAt(i), y, CHART_POINT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  };
+  drawLine((s) => ppY(s.pp), CHART_PP_COLOR);
+  if (ranks.length > 0) drawLine((s) => (s.globalRank != null ? rankY(s.globalRank) : null), CHART_RANK_COLOR);
+
+  return canvas.encode('png');
 }
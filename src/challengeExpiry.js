@@ -0,0 +1,90 @@
+/**
+ * Challenge expiry: retire challenges nobody has responded to within the guild's expiry window.
+ * retireExpiredChallenges(guildId, expiryDays) archives them and returns the retired rows;
+ * formatRetirementMessage(retired) builds the "crowned permanently" announcement.
+ */
+
+import { formatTetoText } from './emoji.js';
+import { activeChallenges, archivedChallenges, challengeAttempts } from './db.js';
+import { formatChallengeEntry, calculateTimeHeld } from './weeklyUpdate.js';
+
+/** Reason stored on archived rows retired by the expiry job. */
+export const EXPIRY_ARCHIVE_REASON = 'expired';
+
+/**
+ * Last time anything happened on a challenge: issued, champion changed, or someone responded.
+ * @param {object} challenge - active_challenges row
+ * @returns {Promise<Date>}
+ */
+export async function getLastActivity(challenge) {
+  let last = new Date(Math.max(new Date(challenge.createdAt).getTime(), new Date(challenge.updatedAt).getTime()));
+  try {
+    const latestAttempt = await challengeAttempts.getLatestByDifficulty(
+      challenge.guildId,
+      challenge.beatmapId,
+      challenge.difficulty
+    );
+    if (latestAttempt && new Date(latestAttempt.createdAt) > last) {
+      last = new Date(latestAttempt.createdAt);
+    }
+  } catch (error) {
+    console.error(`Error reading attempts for challenge ${challenge.id}:`, error);
+  }
+  return last;
+}
+
+/**
+ * Archive every challenge in the guild with no activity for expiryDays.
+ * @param {string} guildId
+ * @param {number} expiryDays
+ * @returns {Promise<object[]>} The active_challenges rows that were retired
+ */
+export async function retireExpiredChallenges(guildId, expiryDays) {
+  if (!expiryDays || expiryDays <= 0) return [];
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - expiryDays);
+
+  const challenges = await activeChallenges.getAll(guildId);
+  const retired = [];
+
+  for (const challenge of challenges) {
+    if (challenge.guildId !== guildId) {
+      console.warn(`Challenge ${challenge.id} has mismatched guildId. Expected ${guildId}, got ${challenge.guildId}`);
+      continue;
+    }
+
+    const lastActivity = await getLastActivity(challenge);
+    if (lastActivity >= cutoff) continue;
+
+    try {
+      await archivedChallenges.archive(challenge, EXPIRY_ARCHIVE_REASON);
+      retired.push(challenge);
+    } catch (error) {
+      console.error(`Error archiving expired challenge ${challenge.id}:`, error);
+    }
+  }
+
+  return retired;
+}
+
+/**
+ * Build the announcement for challenges retired in one run.
+ * @param {object[]} retired - active_challenges rows returned by retireExpiredChallenges
+ * @returns {Promise<string|null>}
+ */
+export async function formatRetirementMessage(retired) {
+  if (!retired || retired.length === 0) return null;
+
+  const entries = await Promise.all(retired.map(async (challenge) => {
+    const entry = await formatChallengeEntry(challenge);
+    const { days } = calculateTimeHeld(challenge.updatedAt);
+    return `👑 ${entry} (held ${days} ${days === 1 ? 'day' : 'days'})`;
+  }));
+
+  const header = retired.length === 1
+    ? '**Crowned permanently!** This challenge went unanswered and has been retired:'
+    : `**Crowned permanently!** ${retired.length} challenges went unanswered and have been retired:`;
+
+  return formatTetoText(`${header}\n\n${entries.join('\n')}`);
+}
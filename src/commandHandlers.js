@@ -1,10 +1,10 @@
 /**
- * Slash command handlers for /rsc, /tc, /trs, and /teto.
+ * Slash command handlers for /rsc, /tc, /lb, /compare, /trs, /challenges, and /teto.
  * Each handler receives (interaction, ctx) where ctx provides all dependencies.
  */
 
 import { PermissionsBitField } from 'discord.js';
-import { runTestCommand } from './testHandlers.js';
+import { getScoreTime } from './scoreHelpers.js';
 
 /** Accept score that has numeric value and beatmap id (from score or context). API sometimes omits beatmap.version. */
 function hasValidScoreValue(ctx, score, beatmapIdFromContext) {
@@ -27,6 +27,619 @@ async function enrichScoreBeatmap(ctx, score, beatmapIdFromContext) {
   } catch (_) { /* ignore */ }
 }
 
+/** True if the interaction user is the guild owner or has Administrator. */
+function isGuildAdmin(interaction) {
+  const member = interaction.member;
+  if (!member) return false;
+  const isOwner = interaction.guild?.ownerId === interaction.user.id;
+  const hasAdmin = member.permissions && member.permissions.has(PermissionsBitField.Flags.Administrator);
+  return isOwner || !!hasAdmin;
+}
+
+/** osu! username and avatar for a card side; falls back to the given name without an avatar. */
+async function fetchCardUser(ctx, osuUserId, fallbackName) {
+  const cardUser = { avatarBuffer: null, username: fallbackName };
+  const osuUser = await ctx.getUser(osuUserId);
+  if (osuUser) {
+    cardUser.username = (osuUser.username && String(osuUser.username).trim()) || fallbackName;
+    if (osuUser.avatar_url) {
+      const res = await fetch(osuUser.avatar_url);
+      if (res.ok) cardUser.avatarBuffer = Buffer.from(await res.arrayBuffer());
+    }
+  }
+  return cardUser;
+}
+
+/** Map label for a challenge_attempts row (from the champion score it was played against). */
+async function formatAttemptMap(ctx, attempt) {
+  const score = attempt.championScore;
+  const mapTitle = await ctx.getMapTitle(score);
+  const artist = await ctx.getMapArtist(score);
+  const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, attempt.difficulty, artist);
+  const beatmapLink = ctx.formatBeatmapLink(score);
+  return beatmapLink ? `[${difficultyLabel}](${beatmapLink})` : `**${difficultyLabel}**`;
+}
+
+/** /rsc h2h:@user — the caller's record against another linked player, with a two-avatar card. */
+async function showHeadToHead(interaction, ctx, opponent) {
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+  if (opponent.id === userId) {
+    return interaction.editReply({
+      embeds: await ctx.createEmbed('Teto can\'t pit you against yourself. Pick another player!'),
+      ephemeral: true
+    });
+  }
+
+  const [association, opponentAssociation] = await Promise.all([
+    ctx.associations.get(guildId, userId),
+    ctx.associations.get(guildId, opponent.id),
+  ]);
+  if (!association || !association.osuUserId) {
+    return interaction.editReply({
+      embeds: await ctx.createEmbed('You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'),
+      ephemeral: true
+    });
+  }
+  if (!opponentAssociation || !opponentAssociation.osuUserId) {
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(`<@${opponent.id}> hasn't linked an OSU! profile yet.`),
+      ephemeral: true
+    });
+  }
+
+  const attempts = await ctx.challengeAttempts.getBetweenUsers(guildId, userId, opponent.id);
+  const summary = ctx.summarizeHeadToHead(attempts, userId, opponent.id);
+  if (summary.meetings === 0) {
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(`You and <@${opponent.id}> haven't met in a challenge yet. Respond to one of their challenges with \`/rsc\`!`)
+    });
+  }
+
+  const ownRecord = summary.records[userId];
+  const opponentRecord = summary.records[opponent.id];
+  const { attempt: lastAttempt, winnerUserId: lastWinner } = summary.lastMeeting;
+  const lastMeetingAt = Math.floor(new Date(lastAttempt.createdAt).getTime() / 1000);
+  const mostContested = summary.maps[0];
+  const lines = [
+    `⚔️ **Head-to-head:** <@${userId}> vs <@${opponent.id}>`,
+    `**Record:** ${ownRecord.wins} – ${opponentRecord.wins} (${summary.meetings} ${summary.meetings === 1 ? 'meeting' : 'meetings'} on ${summary.maps.length} ${summary.maps.length === 1 ? 'map' : 'maps'})`,
+    `**Last meeting:** ${await formatAttemptMap(ctx, lastAttempt)} — <@${lastWinner}> won <t:${lastMeetingAt}:R>`,
+  ];
+  if (summary.maps.length > 1 && mostContested.meetings > 1) {
+    lines.push(`**Most contested:** ${await formatAttemptMap(ctx, mostContested.lastAttempt)} (${mostContested.meetings} meetings)`);
+  }
+
+  let leftUser = { avatarBuffer: null, username: interaction.user.username };
+  let rightUser = { avatarBuffer: null, username: opponent.username };
+  try {
+    leftUser = await fetchCardUser(ctx, association.osuUserId, leftUser.username);
+    rightUser = await fetchCardUser(ctx, opponentAssociation.osuUserId, rightUser.username);
+  } catch (e) {
+    console.warn('[rsc h2h] Failed to fetch osu users for card:', e.message);
+  }
+  const cardBuffer = await ctx.drawHeadToHeadCard(leftUser, rightUser, ownRecord, opponentRecord);
+  const cardAttachment = new ctx.AttachmentBuilder(cardBuffer, { name: 'h2h-card.png' });
+
+  const embed = new ctx.EmbedBuilder()
+    .setColor(ctx.BOT_EMBED_COLOR)
+    .setDescription(lines.join('\n'))
+    .setImage('attachment://h2h-card.png');
+  return interaction.editReply({ embeds: [embed], files: [cardAttachment] });
+}
+
+/** Signed change for progress lines, e.g. "+1,234" / "-56"; `decimals` for pp. */
+function formatSignedChange(value, decimals = 0) {
+  const text = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return `${value < 0 ? '-' : '+'}${text}`;
+}
+
+/**
+ * /teto progress [user] [days] — a player's global rank and pp over time from the daily stats snapshots,
+ * with a line chart. Records today's snapshot first if the daily job hasn't yet.
+ */
+async function showProgress(interaction, ctx, user) {
+  const guildId = interaction.guildId;
+  const isSelf = user.id === interaction.user.id;
+  const association = await ctx.associations.get(guildId, user.id);
+  if (!association || !association.osuUserId) {
+    return interaction.reply({
+      embeds: await ctx.createEmbed(isSelf
+        ? 'You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'
+        : `<@${user.id}> hasn't linked an OSU! profile yet.`),
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: false });
+  const days = interaction.options.getInteger('days') ?? ctx.PROGRESS_DEFAULT_DAYS;
+  const ruleset = association.ruleset || ctx.DEFAULT_RULESET;
+  const today = ctx.toDateString(new Date());
+  const sinceDate = ctx.daysAgoString(days);
+  let snapshots = await ctx.userStatsSnapshots.getHistory(association.osuUserId, ruleset, sinceDate);
+  if (snapshots[snapshots.length - 1]?.date !== today) {
+    await ctx.recordUserStats(ctx, association.osuUserId, ruleset, today);
+    snapshots = await ctx.userStatsSnapshots.getHistory(association.osuUserId, ruleset, sinceDate);
+  }
+  if (snapshots.length < 2) {
+    const who = isSelf ? 'your' : `<@${user.id}>'s`;
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(await ctx.formatTetoText(`Teto has started keeping track of ${who} stats. Check back tomorrow to see the progress!`))
+    });
+  }
+
+  const progress = ctx.summarizeProgress(snapshots);
+  const { first, last } = progress;
+  const rankText = last.globalRank != null ? `#${last.globalRank.toLocaleString('en-US')}` : 'Unranked';
+  const rankChange = progress.rankGained != null && progress.rankGained !== 0
+    ? ` (${progress.rankGained > 0 ? '▲' : '▼'} ${Math.abs(progress.rankGained).toLocaleString('en-US')})`
+    : '';
+  const lines = [
+    `📈 **Progress for <@${user.id}>** (${ctx.getRulesetName(ruleset)}) since ${first.date}`,
+    `• **Global rank:** ${rankText}${rankChange}`,
+    `• **PP:** ${last.pp.toLocaleString('en-US', { maximumFractionDigits: 2 })} (${formatSignedChange(progress.ppGained, 2)})`,
+    `• **Accuracy:** ${last.accuracy.toFixed(2)}% (${formatSignedChange(last.accuracy - first.accuracy, 2)}%)`,
+    `• **Play count:** ${last.playCount.toLocaleString('en-US')} (${formatSignedChange(progress.playsAdded)})`,
+  ];
+
+  const chartBuffer = await ctx.drawProgressChart(association.osuUsername || user.username, snapshots);
+  const chartAttachment = new ctx.AttachmentBuilder(chartBuffer, { name: 'progress-chart.png' });
+  const embed = new ctx.EmbedBuilder()
+    .setColor(ctx.BOT_EMBED_COLOR)
+    .setDescription(lines.join('\n'))
+    .setImage('attachment://progress-chart.png');
+  return interaction.editReply({ embeds: [embed], files: [chartAttachment] });
+}
+
+/** YYYY-MM-DD option value when it is a real date, otherwise null. */
+function parseDateOption(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null;
+}
+
+/** One /teto map history line: date, map, submitter, mods, votes and a jump link to the post. */
+function formatArchivedSubmission(ctx, guildId, submission) {
+  const stars = submission.starRating != null ? `★${submission.starRating.toFixed(2)} ` : '';
+  const label = submission.mapTitle
+    ? ctx.formatDifficultyLabel(submission.mapTitle, submission.difficulty ?? 'Unknown', submission.artist ?? '')
+    : `Beatmap ${submission.beatmapId}`;
+  const mods = submission.mods.length > 0 ? ` | ${submission.mods.join(', ')}` : '';
+  const post = submission.messageId
+    ? ` | [post](https://discord.com/channels/${guildId}/${submission.channelId}/${submission.messageId})`
+    : '';
+  return `• ${submission.submissionDate} ${stars}[${label}](https://osu.ppy.sh/b/${submission.beatmapId}) — <@${submission.userId}>${mods} | 👍 ${submission.upvotes} 👎 ${submission.downvotes}${post}`;
+}
+
+/**
+ * /teto map history [user] [min_stars] [max_stars] [from] [to] [status] — every map of the day submitted
+ * in this server (newest first) from the submission archive, paged.
+ */
+async function showMapHistory(interaction, ctx) {
+  const guildId = interaction.guildId;
+  const user = interaction.options.getUser('user');
+  const minStars = interaction.options.getNumber('min_stars');
+  const maxStars = interaction.options.getNumber('max_stars');
+  const fromInput = interaction.options.getString('from')?.trim();
+  const toInput = interaction.options.getString('to')?.trim();
+  const status = interaction.options.getString('status');
+
+  const fromDate = fromInput ? parseDateOption(fromInput) : null;
+  const toDate = toInput ? parseDateOption(toInput) : null;
+  if ((fromInput && !fromDate) || (toInput && !toDate)) {
+    return interaction.reply({ embeds: await ctx.createEmbed('Dates must look like 2026-01-31 (YYYY-MM-DD).'), ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: false });
+  const submissions = await ctx.submissionArchive.search(guildId, {
+    userId: user?.id,
+    minStars,
+    maxStars,
+    fromDate,
+    toDate,
+    status,
+  });
+  if (submissions.length === 0) {
+    const hasFilters = user || minStars != null || maxStars != null || fromDate || toDate || status;
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(hasFilters
+        ? 'No maps of the day match these filters.'
+        : 'No maps of the day have been submitted in this server yet. Use `/teto map submit` to submit one!')
+    });
+  }
+
+  const pageCount = Math.ceil(submissions.length / MAP_HISTORY_PAGE_SIZE);
+  return await sendPagedReply(interaction, ctx, {
+    pageCount,
+    customIdPrefix: 'map_history',
+    command: '/teto map history',
+    renderPage: async (page) => {
+      const lines = submissions
+        .slice(page * MAP_HISTORY_PAGE_SIZE, (page + 1) * MAP_HISTORY_PAGE_SIZE)
+        .map(submission => formatArchivedSubmission(ctx, guildId, submission));
+      const header = await ctx.formatTetoText(`**Map of the day history** (${submissions.length})`);
+      return ctx.createEmbed(`${header}\n\n${lines.join('\n')}`);
+    },
+  });
+}
+
+/** Quota or cooldown message when the submitter can't submit another map now; curators (exempt role) always can. */
+async function checkSubmissionQuotaFor(interaction, ctx, settings, today) {
+  const roleId = settings.submissionExemptRoleId;
+  if (roleId && interaction.member?.roles?.cache?.has(roleId)) return null;
+  const recent = await ctx.submissions.getSince(interaction.guildId, interaction.user.id, ctx.submissionHistoryStart(today));
+  return ctx.checkSubmissionQuota(settings, recent, { today });
+}
+
+/**
+ * Earlier submission of the same difficulty or beatmapset within the guild's duplicate window (counted back
+ * from the guild's submission day `today`), or null (also null when the check is off).
+ */
+async function findDuplicateSubmission(ctx, guildId, settings, beatmapId, beatmap, today) {
+  if (!settings.duplicateMapWindowDays) return null;
+  return ctx.submissionArchive.findRecentDuplicate(guildId, {
+    beatmapId: String(beatmapId),
+    beatmapsetId: beatmap?.beatmapset_id != null ? String(beatmap.beatmapset_id) : null,
+    sinceDate: ctx.daysAgoString(settings.duplicateMapWindowDays, new Date(`${today}T00:00:00Z`)),
+  });
+}
+
+/** "This map was already submitted by ..." with a link to the earlier post. */
+function formatDuplicateSubmission(guildId, duplicate, beatmapId) {
+  const what = duplicate.beatmapId === String(beatmapId) ? 'This map' : 'Another difficulty of this map';
+  const post = duplicate.messageId
+    ? ` ([see the post](https://discord.com/channels/${guildId}/${duplicate.channelId}/${duplicate.messageId}))`
+    : '';
+  return `${what} was already submitted by <@${duplicate.userId}> on ${duplicate.submissionDate}${post}.`;
+}
+
+/**
+ * Ask the submitter, in the deferred reply, whether to post a map that was submitted recently. Returns the button
+ * interaction when they confirm (the caller replies through it), or null when they cancel or don't answer in time.
+ */
+async function confirmDuplicateSubmission(interaction, ctx, duplicateText) {
+  const row = new ctx.ActionRowBuilder().addComponents(
+    new ctx.ButtonBuilder()
+      .setCustomId('duplicate_map_submit')
+      .setLabel('Submit anyway')
+      .setStyle(ctx.ButtonStyle.Primary),
+    new ctx.ButtonBuilder()
+      .setCustomId('duplicate_map_cancel')
+      .setLabel('Cancel')
+      .setStyle(ctx.ButtonStyle.Secondary)
+  );
+  const reply = await interaction.editReply({
+    embeds: await ctx.createEmbed(`${duplicateText}\nSubmit it as your map of the day anyway?`),
+    components: [row]
+  });
+
+  let choice;
+  try {
+    choice = await reply.awaitMessageComponent({
+      componentType: ctx.ComponentType.Button,
+      time: DUPLICATE_CONFIRM_TIMEOUT_MS,
+    });
+  } catch (_) {
+    await interaction.editReply({
+      embeds: await ctx.createEmbed('No answer in time, so the map was not submitted.'),
+      components: []
+    });
+    return null;
+  }
+  if (choice.customId !== 'duplicate_map_submit') {
+    await choice.update({ embeds: await ctx.createEmbed('Submission cancelled.'), components: [] });
+    return null;
+  }
+  return choice;
+}
+
+/** Reply when a message context-menu command targets a message without a map link */
+const NO_LINK_IN_TARGET_MESSAGE = 'That message has no difficulty or score link. Right-click a message with a map link (e.g. osu.ppy.sh/b/123) or a score link (e.g. osu.ppy.sh/scores/123).';
+
+/** All text of a message where a map link could be: content plus every embed part. */
+function getMessageText(message) {
+  let messageText = message.content || '';
+  for (const embed of message.embeds || []) {
+    if (embed.description) messageText += ' ' + embed.description;
+    if (embed.title) messageText += ' ' + embed.title;
+    if (embed.footer?.text) messageText += ' ' + embed.footer.text;
+    if (embed.author?.name) messageText += ' ' + embed.author.name;
+    if (embed.url) messageText += ' ' + embed.url;
+    if (embed.fields && Array.isArray(embed.fields)) {
+      for (const field of embed.fields) {
+        if (field.name) messageText += ' ' + field.name;
+        if (field.value) messageText += ' ' + field.value;
+      }
+    }
+  }
+  return messageText.trim();
+}
+
+/**
+ * Beatmap a message links to: { beatmapId, difficulty, link }, or null. Difficulty links come first;
+ * otherwise the first osu! link that resolves to a beatmap (e.g. a score link).
+ */
+async function findBeatmapInfoInMessage(ctx, message) {
+  const messageText = getMessageText(message);
+  const beatmapInfo = ctx.extractBeatmapInfoFromMessage(messageText);
+  if (beatmapInfo) {
+    return { ...beatmapInfo, link: ctx.buildBeatmapLinkFromIds(beatmapInfo.beatmapId) };
+  }
+
+  const anyOsuLinkMatch = messageText.match(/https?:\/\/osu\.ppy\.sh\/[^\s\)]+/);
+  if (anyOsuLinkMatch) {
+    const resolved = await ctx.resolveMapOrScoreLink(anyOsuLinkMatch[0]);
+    if (resolved?.beatmapId) {
+      return {
+        beatmapId: resolved.beatmapId,
+        difficulty: resolved.score?.beatmap?.version ?? null,
+        link: anyOsuLinkMatch[0]
+      };
+    }
+  }
+  return null;
+}
+
+/** Recent plays offered by /rsc and /trs (Discord allows up to 25 select options) */
+const RECENT_SCORE_CHOICES = 10;
+/** How long the recent score menu waits for a pick */
+const RECENT_SCORE_PICK_TIMEOUT_MS = 2 * 60 * 1000;
+/** How long the submitter has to confirm a duplicate map of the day */
+const DUPLICATE_CONFIRM_TIMEOUT_MS = 60 * 1000;
+
+/** Select menu option for a recent play: "Title [Diff]" with rank, pp, accuracy and mods underneath. */
+async function formatRecentScoreOption(ctx, score, index) {
+  const mapTitle = await ctx.getMapTitle(score);
+  const difficulty = score.beatmap?.version ?? 'Unknown';
+  const accuracy = typeof score.accuracy === 'number' ? `${(score.accuracy * 100).toFixed(2)}%` : null;
+  const pp = score.pp != null ? `${Math.round(Number(score.pp))}pp` : null;
+  const details = [score.rank || 'N/A', pp, accuracy, ctx.formatMods(score)].filter(Boolean).join(' · ');
+  return {
+    label: `${mapTitle} [${difficulty}]`.slice(0, 100),
+    description: details.slice(0, 100),
+    value: String(index),
+  };
+}
+
+/**
+ * Let the player choose which recent play to use. With a single play there is nothing to choose.
+ * Returns the chosen score, or null when nothing was picked in time (the reply says so).
+ */
+async function pickRecentScore(interaction, ctx, scores, prompt) {
+  if (scores.length <= 1) return scores[0] ?? null;
+
+  const options = [];
+  for (const [index, score] of scores.slice(0, 25).entries()) {
+    options.push(await formatRecentScoreOption(ctx, score, index));
+  }
+  const menu = new ctx.StringSelectMenuBuilder()
+    .setCustomId('recent_score_pick')
+    .setPlaceholder('Choose a recent play')
+    .addOptions(options);
+  const reply = await interaction.editReply({
+    embeds: await ctx.createEmbed(prompt),
+    components: [new ctx.ActionRowBuilder().addComponents(menu)]
+  });
+
+  let selection;
+  try {
+    selection = await reply.awaitMessageComponent({
+      componentType: ctx.ComponentType.StringSelect,
+      time: RECENT_SCORE_PICK_TIMEOUT_MS,
+      filter: (i) => {
+        if (i.user.id === interaction.user.id) return true;
+        ctx.createEmbed('Only the person who ran this command can pick the score. Use the command yourself!')
+          .then((embeds) => i.reply({ embeds, ephemeral: true }))
+          .catch(() => {});
+        return false;
+      },
+    });
+  } catch (_) {
+    await interaction.editReply({
+      embeds: await ctx.createEmbed('No score was picked in time. Run the command again when you are ready!'),
+      components: []
+    });
+    return null;
+  }
+
+  const score = scores[Number(selection.values[0])];
+  await selection.update({
+    embeds: await ctx.createEmbed(`Using your play on **${(await formatRecentScoreOption(ctx, score, 0)).label}**...`),
+    components: []
+  });
+  return score;
+}
+
+/** osu! score ID as stored on challenge attempts; null for scores without one */
+function getResponseScoreId(score) {
+  return score?.id != null ? String(score.id) : null;
+}
+
+/**
+ * Whether this play was already used to respond to the challenge (by /rsc or the score poller), so the same
+ * play can't post a second card or move ratings twice.
+ */
+export async function isScoreAlreadyUsed(ctx, guildId, challenge, score) {
+  const scoreId = getResponseScoreId(score);
+  if (!scoreId) return false;
+  return ctx.challengeAttempts.hasScoreResponse(
+    guildId, challenge.beatmapId, challenge.difficulty, scoreId, new Date(challenge.createdAt ?? 0)
+  );
+}
+
+/**
+ * Judge a response against an active challenge and post it: updates the champion, reign and ladder
+ * ratings, posts the comparison card to the challenges channel and records the attempt.
+ * Shared by /rsc and the score poller (autoDetected notes that nobody ran /rsc).
+ * @returns {Promise<{ error: string } | { result: string, message: object }>}
+ */
+export async function postChallengeResponse(ctx, { guildId, userId, username, osuUserId, challenge, responderScore, opChannel, autoDetected = false }) {
+  const modLockText = ctx.formatModLock(challenge.modLock, challenge.lockedMods);
+  const challengeRuleset = ctx.getScoreRuleset(challenge.challengerScore);
+  const challengerScore = challenge.challengerScore;
+  const challengeDifficulty = challenge.difficulty;
+
+  if (typeof challengerScore !== 'object' || challengerScore === null) {
+    return { error: 'Error: Challenge data is invalid. Please create a new challenge.' };
+  }
+
+  const mapTitle = await ctx.getMapTitle(challengerScore);
+  const artist = await ctx.getMapArtist(challengerScore);
+  const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, challengeDifficulty, artist);
+  const starRatingText = await ctx.formatStarRating(challengerScore);
+  const beatmapLink = ctx.formatBeatmapLink(challengerScore);
+  const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
+
+  const { challengeWinRule } = await ctx.guildSettings.get(guildId);
+  let comparisonResult;
+  try {
+    comparisonResult = ctx.compareScores(challengerScore, responderScore, username, challengeWinRule);
+  } catch (error) {
+    console.error('Error comparing scores:', error);
+    return { error: `Error comparing scores: ${error.message}` };
+  }
+
+  const { responderWon, responderWins, statWinners, summary } = comparisonResult;
+  const isOwnChallenge = challenge.challengerUserId === userId;
+
+  if (responderWon) {
+    try {
+      await ctx.activeChallenges.updateChampion(
+        guildId,
+        challenge.beatmapId,
+        challengeDifficulty,
+        userId,
+        osuUserId,
+        responderScore
+      );
+    } catch (error) {
+      console.error('Error updating challenge champion:', error);
+    }
+    try {
+      if (isOwnChallenge) {
+        await ctx.challengeReigns.updateScore(guildId, challenge.beatmapId, challengeDifficulty, responderScore);
+      } else {
+        await ctx.challengeReigns.transfer(
+          guildId,
+          challenge.beatmapId,
+          challengeDifficulty,
+          userId,
+          osuUserId,
+          responderScore
+        );
+      }
+    } catch (error) {
+      console.error('Error recording challenge reign:', error);
+    }
+  }
+
+  // Ladder rating: every response against someone else's challenge moves points from loser to winner
+  let ratingResult = null;
+  if (!isOwnChallenge) {
+    try {
+      const championUserId = challenge.challengerUserId;
+      const [responderRating, championRating] = await Promise.all([
+        ctx.playerRatings.get(guildId, userId),
+        ctx.playerRatings.get(guildId, championUserId),
+      ]);
+      const starRating = await ctx.getStarRating(challengerScore);
+      const points = ctx.calculateRatingChange(responderRating.rating, championRating.rating, comparisonResult, starRating);
+      const { winner, loser } = await ctx.playerRatings.recordResult(
+        guildId,
+        responderWon ? userId : championUserId,
+        responderWon ? championUserId : userId,
+        points
+      );
+      ratingResult = {
+        points,
+        responder: responderWon ? winner : loser,
+        champion: responderWon ? loser : winner,
+      };
+    } catch (error) {
+      console.error('Error updating challenge ratings:', error);
+    }
+  }
+
+  const championOsuId = challenge.challengerOsuId;
+  let leftUser = { avatarBuffer: null, username: challengerScore.user?.username || 'Champion' };
+  let rightUser = { avatarBuffer: null, username };
+  try {
+    leftUser = await fetchCardUser(ctx, championOsuId, leftUser.username);
+    rightUser = await fetchCardUser(ctx, osuUserId, rightUser.username);
+  } catch (e) {
+    console.warn('[rsc] Failed to fetch osu users for card:', e.message);
+  }
+
+  const loserSide = responderWon ? 'left' : 'right';
+  const cardBuffer = await ctx.drawChallengeCard(leftUser, rightUser, challengerScore, responderScore, statWinners, loserSide, { modLockLabel: modLockText, ruleset: challengeRuleset });
+  const cardAttachment = new ctx.AttachmentBuilder(cardBuffer, { name: 'challenge-card.png' });
+
+  const statsLine = `(${summary})`;
+  let statusMessage = '';
+  if (isOwnChallenge) {
+    if (responderWon) {
+      statusMessage = `\n\n🏆 **${username} has improved the score! The stakes are higher now!** ${statsLine}`;
+    } else {
+      statusMessage = `\n\n😅 **${username} has failed to improve the score. Let's pretend Teto didn't see that...**`;
+    }
+  } else {
+    if (responderWon) {
+      statusMessage = `\n\n🏆 **${username} has won the challenge and is now the new champion!** ${statsLine}`;
+    } else {
+      statusMessage = `\n\n❌ **${username} did not win the challenge.** ${statsLine} The current champion remains.`;
+    }
+  }
+
+  let ratingLine = '';
+  if (ratingResult) {
+    const responderChange = ctx.formatRatingChange(responderWon ? ratingResult.points : -ratingResult.points);
+    const championChange = ctx.formatRatingChange(responderWon ? -ratingResult.points : ratingResult.points);
+    ratingLine = `\n📈 **Rating:** ${username} ${ratingResult.responder.rating} (${responderChange}) · ${leftUser.username} ${ratingResult.champion.rating} (${championChange})`;
+  }
+
+  const modLockLine = modLockText ? `\n🔒 **Mod lock:** ${modLockText}` : '';
+  const autoLine = autoDetected ? '\n📡 Teto spotted this play on their own.' : '';
+  const messageBeforeImage = `<@${userId}> has responded to the challenge on ${difficultyLink}!${modLockLine}${autoLine}\nLet's see who is better!`;
+  const messageAfterImage = `\n\n${statusMessage}${ratingLine}`;
+
+  const embed1 = new ctx.EmbedBuilder()
+    .setColor(ctx.BOT_EMBED_COLOR)
+    .setDescription(messageBeforeImage)
+    .setImage('attachment://challenge-card.png');
+  const embed2 = new ctx.EmbedBuilder()
+    .setColor(ctx.BOT_EMBED_COLOR)
+    .setDescription(messageAfterImage);
+  const sent = await opChannel.send({ embeds: [embed1, embed2], files: [cardAttachment] });
+
+  let result;
+  if (isOwnChallenge) {
+    result = responderWon ? 'improved' : 'not_improved';
+  } else {
+    result = responderWon ? 'won' : 'lost';
+  }
+  try {
+    await ctx.challengeAttempts.create(guildId, {
+      beatmapId: challenge.beatmapId,
+      difficulty: challengeDifficulty,
+      responderUserId: userId,
+      responderOsuId: osuUserId,
+      responderScore,
+      responderScoreId: getResponseScoreId(responderScore),
+      championUserId: challenge.challengerUserId,
+      championOsuId: challenge.challengerOsuId,
+      championScore: challengerScore,
+      statWinners,
+      responderWins,
+      result,
+      messageId: sent?.id,
+    });
+  } catch (error) {
+    console.error('Error recording challenge attempt:', error);
+  }
+
+  return { result, message: sent };
+}
+
 export async function handleRsc(interaction, ctx) {
   await interaction.deferReply({ ephemeral: false });
 
@@ -39,7 +652,23 @@ export async function handleRsc(interaction, ctx) {
       });
     }
     const userId = interaction.user.id;
-    const respondForMapLink = interaction.options.getString('respond_for_map_link');
+    const h2hUser = interaction.options.getUser('h2h');
+    if (h2hUser) {
+      return await showHeadToHead(interaction, ctx, h2hUser);
+    }
+    let respondForMapLink = interaction.options.getString('respond_for_map_link');
+    if (interaction.targetMessage) {
+      // "Respond to challenge" context menu: the map comes from the message that was right-clicked
+      const beatmapInfo = await findBeatmapInfoInMessage(ctx, interaction.targetMessage);
+      if (!beatmapInfo) {
+        return interaction.editReply({
+          embeds: await ctx.createEmbed(NO_LINK_IN_TARGET_MESSAGE),
+          ephemeral: true
+        });
+      }
+      respondForMapLink = beatmapInfo.link;
+    }
+    const modLockOption = interaction.options.getString('mod_lock') || 'any';
 
     const opChannelResult = await ctx.getOperatingChannel(guildId, interaction.guild, 'challenges');
     if (opChannelResult.error) {
@@ -59,10 +688,11 @@ export async function handleRsc(interaction, ctx) {
     }
 
     const osuUserId = association.osuUserId;
+    const ruleset = association.ruleset || ctx.DEFAULT_RULESET;
     let beatmapId, difficulty, userScore, existingChallenge;
 
     if (!respondForMapLink) {
-      const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: 1, include_fails: false });
+      const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: RECENT_SCORE_CHOICES, include_fails: false, mode: ruleset });
       const recentScores = Array.isArray(recentScoresData) ? recentScoresData : [];
 
       if (!recentScores || recentScores.length === 0) {
@@ -72,7 +702,8 @@ export async function handleRsc(interaction, ctx) {
         });
       }
 
-      userScore = recentScores[0];
+      userScore = await pickRecentScore(interaction, ctx, recentScores, 'Which play do you want to challenge with (or respond with)?');
+      if (!userScore) return;
 
       if (!ctx.isValidScore(userScore) && !hasValidScoreValue(ctx, userScore, null)) {
         return interaction.editReply({
@@ -102,7 +733,7 @@ export async function handleRsc(interaction, ctx) {
         });
       } else {
         const { difficultyLink, imageUrl } = await ctx.createAndPostChallenge(
-          guildId, userId, osuUserId, userScore, opChannel, interaction
+          guildId, userId, osuUserId, userScore, opChannel, interaction, modLockOption
         );
         return interaction.editReply({
           embeds: await ctx.createEmbed(`Challenge issued for ${difficultyLink}!`, imageUrl)
@@ -130,11 +761,13 @@ export async function handleRsc(interaction, ctx) {
         userScore = resolved.score;
       }
       if (!userScore) {
-        userScore = await ctx.getUserBeatmapScore(beatmapId, osuUserId);
+        const mapBeatmap = await ctx.getBeatmap(beatmapId).catch(() => null);
+        const mapRuleset = ctx.resolvePlayRuleset(mapBeatmap, ruleset);
+        userScore = ctx.tagScoreRuleset(await ctx.getUserBeatmapScore(beatmapId, osuUserId, { mode: mapRuleset }), mapRuleset);
       }
 
       if (!userScore) {
-        const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: 1, include_fails: false });
+        const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: 1, include_fails: false, mode: ruleset });
         const recentScores = Array.isArray(recentScoresData) ? recentScoresData : [];
 
         if (!recentScores || recentScores.length === 0) {
@@ -173,7 +806,7 @@ export async function handleRsc(interaction, ctx) {
 
       if (!existingChallenge) {
         const { difficultyLink, imageUrl, difficultyLabel } = await ctx.createAndPostChallenge(
-          guildId, userId, osuUserId, userScore, opChannel, interaction
+          guildId, userId, osuUserId, userScore, opChannel, interaction, modLockOption
         );
         return interaction.editReply({
           embeds: await ctx.createEmbed(`Huh? Looks like we are uncontested on **${difficultyLabel}**! COME AND CHALLENGE US!`, imageUrl)
@@ -194,7 +827,7 @@ export async function handleRsc(interaction, ctx) {
       }
 
       const { difficultyLink, imageUrl } = await ctx.createAndPostChallenge(
-        guildId, userId, osuUserId, userScore, opChannel, interaction
+        guildId, userId, osuUserId, userScore, opChannel, interaction, modLockOption
       );
       return interaction.editReply({
         embeds: await ctx.createEmbed(`Challenge issued for ${difficultyLink}!`, imageUrl)
@@ -202,22 +835,30 @@ export async function handleRsc(interaction, ctx) {
     }
 
     let responderScore;
+    const modLockText = ctx.formatModLock(existingChallenge.modLock, existingChallenge.lockedMods);
+    const meetsModLock = (s) => ctx.satisfiesModLock(s, existingChallenge.modLock, existingChallenge.lockedMods);
+    // Responses must be played in the same ruleset as the challenge (converts count as their own ruleset)
+    const challengeRuleset = ctx.getScoreRuleset(existingChallenge.challengerScore);
+    const inChallengeRuleset = (s) => ctx.getScoreRuleset(s) === challengeRuleset;
 
     if (respondForMapLink) {
       // With link: best score = highest flat score value only. The single-score API endpoint does NOT
       // return best by score value; use /all and pick max by extractScoreValue. Then use local if better.
       let apiScores = [];
       try {
-        apiScores = (await ctx.getUserBeatmapScoresAll(existingChallenge.beatmapId, osuUserId)) || [];
+        apiScores = ((await ctx.getUserBeatmapScoresAll(existingChallenge.beatmapId, osuUserId, { ruleset: challengeRuleset })) || [])
+          .map((s) => ctx.tagScoreRuleset(s, challengeRuleset));
       } catch (e) {
         console.warn('getUserBeatmapScoresAll failed:', e?.message);
       }
-      if (apiScores.length > 0) {
-        const validStrict = apiScores.filter((s) => s && ctx.isValidScore(s));
+      // /all is already filtered to the challenge's ruleset by the request
+      const lockedApiScores = apiScores.filter((s) => s && meetsModLock(s));
+      if (lockedApiScores.length > 0) {
+        const validStrict = lockedApiScores.filter((s) => s && ctx.isValidScore(s));
         const valid =
           validStrict.length > 0
             ? validStrict
-            : apiScores.filter((s) => s && typeof ctx.extractScoreValue(s) === 'number');
+            : lockedApiScores.filter((s) => s && typeof ctx.extractScoreValue(s) === 'number');
         if (valid.length > 0) {
           responderScore = valid.reduce((best, s) => {
             const v = Number(ctx.extractScoreValue(s)) || 0;
@@ -228,8 +869,11 @@ export async function handleRsc(interaction, ctx) {
       }
       const hasValidValue = responderScore && Number(ctx.extractScoreValue(responderScore)) > 0;
       if (!hasValidValue) {
+        const noScoreMessage = modLockText && apiScores.length > 0
+          ? `None of your scores on this beatmap meet the mod lock (${modLockText}). Play it with the right mods first!`
+          : 'You have no score for this beatmap. Play it first!';
         return interaction.editReply({
-          embeds: await ctx.createEmbed('You have no score for this beatmap. Play it first!'),
+          embeds: await ctx.createEmbed(noScoreMessage),
           ephemeral: true
         });
       }
@@ -253,7 +897,7 @@ export async function handleRsc(interaction, ctx) {
         let bestLocalValue = apiScoreValue;
         for (const record of localRecords || []) {
           const s = record?.score;
-          if (s && (ctx.isValidScore(s) || hasValidScoreValue(ctx, s, existingChallenge.beatmapId))) {
+          if (s && (ctx.isValidScore(s) || hasValidScoreValue(ctx, s, existingChallenge.beatmapId)) && inChallengeRuleset(s) && meetsModLock(s)) {
             const localValue = Number(ctx.extractScoreValue(s)) || 0;
             if (localValue > bestLocalValue) {
               bestLocalValue = localValue;
@@ -266,128 +910,45 @@ export async function handleRsc(interaction, ctx) {
         console.error('Error checking local scores for respond-with-link:', e);
       }
     } else {
-      // Without link: compare challenge to the user's most recent score (must be for this beatmap)
-      const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: 1, include_fails: false });
-      const recentScores = Array.isArray(recentScoresData) ? recentScoresData : [];
-      if (!recentScores || recentScores.length === 0) {
+      // Without link: compare challenge to the recent play the user picked (the challenge was found by its beatmap)
+      responderScore = userScore;
+      if (!inChallengeRuleset(responderScore)) {
         return interaction.editReply({
-          embeds: await ctx.createEmbed('You have no recent scores. Play a map first!'),
+          embeds: await ctx.createEmbed(`This challenge is for ${ctx.getRulesetName(challengeRuleset)} and your score was played in ${ctx.getRulesetName(ctx.getScoreRuleset(responderScore))}. Switch with \`/teto ruleset\` or play it in ${ctx.getRulesetName(challengeRuleset)}!`),
           ephemeral: true
         });
       }
-      responderScore = recentScores[0];
-      if (responderScore.beatmap?.id?.toString() !== existingChallenge.beatmapId) {
+      if (!meetsModLock(responderScore)) {
         return interaction.editReply({
-          embeds: await ctx.createEmbed('Your most recent score is not for this beatmap. Use `/rsc` with the map link to respond to this challenge.'),
+          embeds: await ctx.createEmbed(`This challenge is mod-locked (${modLockText}) and your score was played with ${ctx.formatMods(responderScore)}. It doesn't count!`),
           ephemeral: true
         });
       }
     }
 
-    const challengerScore = existingChallenge.challengerScore;
-    const challengeDifficulty = existingChallenge.difficulty;
-
-    if (typeof challengerScore !== 'object' || challengerScore === null) {
+    if (await isScoreAlreadyUsed(ctx, guildId, existingChallenge, responderScore)) {
       return interaction.editReply({
-        embeds: await ctx.createEmbed('Error: Challenge data is invalid. Please create a new challenge.'),
+        embeds: await ctx.createEmbed('This play was already used to respond to this challenge. Set a new score first!'),
         ephemeral: true
       });
     }
 
-    const mapTitle = await ctx.getMapTitle(challengerScore);
-    const artist = await ctx.getMapArtist(challengerScore);
-    const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, challengeDifficulty, artist);
-    const starRatingText = await ctx.formatStarRating(challengerScore);
-    const beatmapLink = ctx.formatBeatmapLink(challengerScore);
-    const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
-
-    let comparisonResult;
-    try {
-      comparisonResult = ctx.compareScores(challengerScore, responderScore, interaction.user.username);
-    } catch (error) {
-      console.error('Error comparing scores:', error);
+    const response = await postChallengeResponse(ctx, {
+      guildId,
+      userId,
+      username: interaction.user.username,
+      osuUserId,
+      challenge: existingChallenge,
+      responderScore,
+      opChannel,
+    });
+    if (response.error) {
       return interaction.editReply({
-        embeds: await ctx.createEmbed(`Error comparing scores: ${error.message}`),
+        embeds: await ctx.createEmbed(response.error),
         ephemeral: true
       });
     }
 
-    const { responderWins, statWinners } = comparisonResult;
-    const responderWon = responderWins >= 3;
-    const isOwnChallenge = existingChallenge.challengerUserId === userId;
-
-    if (responderWon) {
-      try {
-        await ctx.activeChallenges.updateChampion(
-          guildId,
-          existingChallenge.beatmapId,
-          challengeDifficulty,
-          userId,
-          osuUserId,
-          responderScore
-        );
-      } catch (error) {
-        console.error('Error updating challenge champion:', error);
-      }
-    }
-
-    const championOsuId = existingChallenge.challengerOsuId;
-    let leftUser = { avatarBuffer: null, username: challengerScore.user?.username || 'Champion' };
-    let rightUser = { avatarBuffer: null, username: interaction.user.username };
-    try {
-      const championUser = await ctx.getUser(championOsuId);
-      if (championUser) {
-        leftUser.username = (championUser.username && String(championUser.username).trim()) || leftUser.username;
-        if (championUser.avatar_url) {
-          const res = await fetch(championUser.avatar_url);
-          if (res.ok) leftUser.avatarBuffer = Buffer.from(await res.arrayBuffer());
-        }
-      }
-      const responderUser = await ctx.getUser(osuUserId);
-      if (responderUser) {
-        rightUser.username = (responderUser.username && String(responderUser.username).trim()) || interaction.user.username;
-        if (responderUser.avatar_url) {
-          const res = await fetch(responderUser.avatar_url);
-          if (res.ok) rightUser.avatarBuffer = Buffer.from(await res.arrayBuffer());
-        }
-      }
-    } catch (e) {
-      console.warn('[rsc] Failed to fetch osu users for card:', e.message);
-    }
-
-    const loserSide = responderWon ? 'left' : 'right';
-    const cardBuffer = await ctx.drawChallengeCard(leftUser, rightUser, challengerScore, responderScore, statWinners, loserSide);
-    const cardAttachment = new ctx.AttachmentBuilder(cardBuffer, { name: 'challenge-card.png' });
-
-    const statsLine = `(${responderWins}/5 key stats)`;
-    const displayName = interaction.user.username;
-    let statusMessage = '';
-    if (isOwnChallenge) {
-      if (responderWon) {
-        statusMessage = `\n\n🏆 **${displayName} has improved the score! The stakes are higher now!** ${statsLine}`;
-      } else {
-        statusMessage = `\n\n😅 **${displayName} has failed to improve the score. Let's pretend Teto didn't see that...**`;
-      }
-    } else {
-      if (responderWon) {
-        statusMessage = `\n\n🏆 **${displayName} has won the challenge and is now the new champion!** ${statsLine}`;
-      } else {
-        statusMessage = `\n\n❌ **${displayName} did not win the challenge.** ${statsLine} The current champion remains.`;
-      }
-    }
-
-    const messageBeforeImage = `<@${userId}> has responded to the challenge on ${difficultyLink}!\nLet's see who is better!`;
-    const messageAfterImage = `\n\n${statusMessage}`;
-
-    const embed1 = new ctx.EmbedBuilder()
-      .setColor(ctx.BOT_EMBED_COLOR)
-      .setDescription(messageBeforeImage)
-      .setImage('attachment://challenge-card.png');
-    const embed2 = new ctx.EmbedBuilder()
-      .setColor(ctx.BOT_EMBED_COLOR)
-      .setDescription(messageAfterImage);
-    await opChannel.send({ embeds: [embed1, embed2], files: [cardAttachment] });
-
     return interaction.editReply({
       embeds: await ctx.createEmbed(`Challenge response posted to <#${opChannel.id}>!`),
       ephemeral: true
@@ -401,6 +962,68 @@ export async function handleRsc(interaction, ctx) {
   }
 }
 
+/**
+ * Map for /tc and /lb: the `map` option (link or beatmap ID) when given, the linked map in the target message
+ * (message commands), otherwise the newest map or score link in the last 20 messages of the channel.
+ * @returns {Promise<{ beatmapInfo: { beatmapId: string, difficulty: string|null, link: string }|null, error?: string }>}
+ */
+async function findLookupBeatmap(interaction, ctx) {
+  const mapInput = interaction.options?.getString('map')?.trim();
+  if (mapInput) {
+    if (/^\d+$/.test(mapInput)) {
+      return { beatmapInfo: { beatmapId: mapInput, difficulty: null, link: ctx.buildBeatmapLinkFromIds(mapInput) } };
+    }
+    const resolved = await ctx.resolveMapOrScoreLink(mapInput);
+    if (resolved?.beatmapId) {
+      return { beatmapInfo: { beatmapId: resolved.beatmapId, difficulty: resolved.score?.beatmap?.version ?? null, link: mapInput } };
+    }
+    return {
+      beatmapInfo: null,
+      error: 'Could not find a beatmap in `map`. Use a difficulty link (e.g. osu.ppy.sh/b/123), a score link (e.g. osu.ppy.sh/scores/123) or a beatmap ID.',
+    };
+  }
+  if (interaction.targetMessage) {
+    const beatmapInfo = await findBeatmapInfoInMessage(ctx, interaction.targetMessage);
+    return beatmapInfo ? { beatmapInfo } : { beatmapInfo: null, error: NO_LINK_IN_TARGET_MESSAGE };
+  }
+  const messages = await interaction.channel.messages.fetch({ limit: 20 });
+  for (const [, message] of messages) {
+    const beatmapInfo = await findBeatmapInfoInMessage(ctx, message);
+    if (beatmapInfo) return { beatmapInfo };
+  }
+  return {
+    beatmapInfo: null,
+    error: 'No difficulty or score link found in the last 20 messages of this channel. Use a map link (e.g. osu.ppy.sh/b/123) or a score link (e.g. osu.ppy.sh/scores/123).',
+  };
+}
+
+/** /tc `sort` choices and how they're shown in the reply */
+const TC_SORT_LABELS = {
+  score: 'score',
+  pp: 'pp',
+  accuracy: 'accuracy',
+  date: 'newest first',
+};
+
+/** Comparator for /tc scores by a TC_SORT_LABELS key, best (or newest) first. */
+function compareTcScores(ctx, sortBy) {
+  if (sortBy === 'pp') return (a, b) => (Number(b.pp) || 0) - (Number(a.pp) || 0);
+  if (sortBy === 'accuracy') return (a, b) => (Number(b.accuracy) || 0) - (Number(a.accuracy) || 0);
+  if (sortBy === 'date') return (a, b) => (getScoreTime(b) ?? 0) - (getScoreTime(a) ?? 0);
+  return (a, b) => (Number(ctx.extractScoreValue(b)) || 0) - (Number(ctx.extractScoreValue(a)) || 0);
+}
+
+/**
+ * /tc `mods` filter: "NM" for no-mod scores only, otherwise scores that include every listed mod (NC counts as DT).
+ * @returns {{ modLock: string, mods: string[], label: string }|null} null when there's no filter
+ */
+function parseTcModFilter(ctx, input) {
+  const mods = ctx.parseModAcronyms(input);
+  if (mods.length === 0) return null;
+  if (mods.length === 1 && mods[0] === 'NM') return { modLock: 'exact', mods: [], label: 'no mods' };
+  return { modLock: 'required', mods, label: `with ${mods.join(', ')}` };
+}
+
 export async function handleTc(interaction, ctx) {
   await interaction.deferReply({ ephemeral: false });
 
@@ -412,62 +1035,33 @@ export async function handleTc(interaction, ctx) {
         ephemeral: true
       });
     }
-    const userId = interaction.user.id;
-    const channel = interaction.channel;
+    // `user` option: look up someone else's scores
+    const targetUser = interaction.options?.getUser('user') || interaction.user;
+    const userId = targetUser.id;
+    const isSelf = userId === interaction.user.id;
 
     const association = await ctx.associations.get(guildId, userId);
     if (!association || !association.osuUserId) {
       return interaction.editReply({
-        embeds: await ctx.createEmbed('You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'),
+        embeds: await ctx.createEmbed(isSelf
+          ? 'You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'
+          : `<@${userId}> hasn't linked an OSU! profile yet.`),
         ephemeral: true
       });
     }
 
     const osuUserId = association.osuUserId;
-
-    const messages = await channel.messages.fetch({ limit: 20 });
-
-    let beatmapInfo = null;
-    for (const [, message] of messages) {
-      let messageText = message.content || '';
-
-      if (message.embeds && message.embeds.length > 0) {
-        for (const embed of message.embeds) {
-          if (embed.description) messageText += ' ' + embed.description;
-          if (embed.title) messageText += ' ' + embed.title;
-          if (embed.footer?.text) messageText += ' ' + embed.footer.text;
-          if (embed.author?.name) messageText += ' ' + embed.author.name;
-          if (embed.url) messageText += ' ' + embed.url;
-          if (embed.fields && Array.isArray(embed.fields)) {
-            for (const field of embed.fields) {
-              if (field.name) messageText += ' ' + field.name;
-              if (field.value) messageText += ' ' + field.value;
-            }
-          }
-        }
-      }
-
-      messageText = messageText.trim();
-
-      beatmapInfo = ctx.extractBeatmapInfoFromMessage(messageText);
-      if (beatmapInfo) break;
-
-      const anyOsuLinkMatch = messageText.match(/https?:\/\/osu\.ppy\.sh\/[^\s\)]+/);
-      if (anyOsuLinkMatch) {
-        const resolved = await ctx.resolveMapOrScoreLink(anyOsuLinkMatch[0]);
-        if (resolved?.beatmapId) {
-          beatmapInfo = {
-            beatmapId: resolved.beatmapId,
-            difficulty: resolved.score?.beatmap?.version ?? null
-          };
-          break;
-        }
-      }
-    }
-
+    const owner = isSelf ? 'Your' : `<@${userId}>'s`;
+    const sortBy = interaction.options?.getString('sort') ?? null;
+    const modFilter = parseTcModFilter(ctx, interaction.options?.getString('mods'));
+    const matchesModFilter = (score) => !modFilter || ctx.satisfiesModLock(score, modFilter.modLock, modFilter.mods);
+    const filterNotes = [modFilter?.label, sortBy ? `sorted by ${TC_SORT_LABELS[sortBy] ?? sortBy}` : null].filter(Boolean);
+    const filterText = filterNotes.length > 0 ? ` (${filterNotes.join(', ')})` : '';
+
+    const { beatmapInfo, error: lookupError } = await findLookupBeatmap(interaction, ctx);
     if (!beatmapInfo) {
       return interaction.editReply({
-        embeds: await ctx.createEmbed('No difficulty or score link found in the last 20 messages of this channel. Use a map link (e.g. osu.ppy.sh/b/123) or a score link (e.g. osu.ppy.sh/scores/123).'),
+        embeds: await ctx.createEmbed(lookupError),
         ephemeral: true
       });
     }
@@ -477,7 +1071,6 @@ export async function handleTc(interaction, ctx) {
     let beatmapData = null;
 
     try {
-      const allBeatmapScores = await ctx.getUserBeatmapScoresAll(beatmapId, osuUserId);
       let beatmapDifficulty = null;
       try {
         beatmapData = await ctx.getBeatmap(beatmapId);
@@ -486,12 +1079,15 @@ export async function handleTc(interaction, ctx) {
       } catch (error) {
         // Continue without difficulty match
       }
+      const ruleset = ctx.resolvePlayRuleset(beatmapData, association.ruleset);
+      const allBeatmapScores = (await ctx.getUserBeatmapScoresAll(beatmapId, osuUserId, { ruleset }))
+        .map((score) => ctx.tagScoreRuleset(score, ruleset));
 
-      const matchingScores = allBeatmapScores;
+      const matchingScores = allBeatmapScores.filter(matchesModFilter);
 
       if (matchingScores.length > 0) {
         const sortedScores = matchingScores
-          .sort((a, b) => (b.score || 0) - (a.score || 0))
+          .sort(compareTcScores(ctx, sortBy ?? 'score'))
           .slice(0, 8);
 
         let mapTitle = null;
@@ -514,7 +1110,7 @@ export async function handleTc(interaction, ctx) {
         const starRatingText = await ctx.formatStarRating(scoreOrBeatmapForStarRating);
         const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
 
-        let message = `Your scores on ${difficultyLink}:\n\n`;
+        let message = `${owner} scores on ${difficultyLink}${filterText}:\n\n`;
 
         for (let i = 0; i < sortedScores.length; i++) {
           const score = sortedScores[i];
@@ -578,9 +1174,15 @@ export async function handleTc(interaction, ctx) {
     }
     const localScoreRecords = await ctx.localScores.getByBeatmapAndDifficulty(guildId, userId, beatmapId, finalDifficulty);
 
-    if (localScoreRecords && localScoreRecords.length > 0) {
-      const sortedRecords = localScoreRecords
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    const matchingRecords = (localScoreRecords || []).filter(record => matchesModFilter(record.score));
+
+    if (matchingRecords.length > 0) {
+      // Newest first unless another sort was picked
+      const compareRecordScores = compareTcScores(ctx, sortBy);
+      const sortedRecords = matchingRecords
+        .sort((a, b) => (!sortBy || sortBy === 'date'
+          ? new Date(b.createdAt) - new Date(a.createdAt)
+          : compareRecordScores(a.score, b.score)))
         .slice(0, 8);
 
       const firstScore = sortedRecords[0].score;
@@ -611,7 +1213,7 @@ export async function handleTc(interaction, ctx) {
       const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
 
       const storageText = await ctx.formatTetoText('(from Teto memories):');
-      let message = `Your scores on ${difficultyLink} ${storageText}\n\n`;
+      let message = `${owner} scores on ${difficultyLink}${filterText} ${storageText}\n\n`;
 
       for (let i = 0; i < sortedRecords.length; i++) {
         const record = sortedRecords[i];
@@ -687,8 +1289,14 @@ export async function handleTc(interaction, ctx) {
       difficultyLabel = 'this difficulty';
     }
 
+    let noScoreMessage = `No score found for ${difficultyLabel}. Play it first!`;
+    if (modFilter) {
+      noScoreMessage = `No score ${modFilter.label} found for ${difficultyLabel}${isSelf ? '' : ` from <@${userId}>`}.`;
+    } else if (!isSelf) {
+      noScoreMessage = `<@${userId}> has no score on ${difficultyLabel} yet.`;
+    }
     return interaction.editReply({
-      embeds: await ctx.createEmbed(`No score found for ${difficultyLabel}. Play it first!`),
+      embeds: await ctx.createEmbed(noScoreMessage),
       ephemeral: true
     });
   } catch (error) {
@@ -700,7 +1308,8 @@ export async function handleTc(interaction, ctx) {
   }
 }
 
-export async function handleTrs(interaction, ctx) {
+/** /lb — every linked member's best score on the map /tc would pick, best first, paged. */
+export async function handleLeaderboard(interaction, ctx) {
   await interaction.deferReply({ ephemeral: false });
 
   try {
@@ -713,8 +1322,237 @@ export async function handleTrs(interaction, ctx) {
     }
     const userId = interaction.user.id;
 
-    const association = await ctx.associations.get(guildId, userId);
-    if (!association || !association.osuUserId) {
+    const { beatmapInfo, error: lookupError } = await findLookupBeatmap(interaction, ctx);
+    if (!beatmapInfo) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed(lookupError),
+        ephemeral: true
+      });
+    }
+
+    const { beatmapId } = beatmapInfo;
+    let beatmapData = null;
+    try {
+      beatmapData = await ctx.getBeatmap(beatmapId);
+    } catch (error) {
+      // Continue with stored scores only (e.g. WIP maps)
+    }
+    const difficulty = beatmapData?.version ?? beatmapInfo.difficulty ?? null;
+    // Converts: rank in the caller's ruleset, like /tc
+    const association = await ctx.associations.get(guildId, userId);
+    const ruleset = ctx.resolvePlayRuleset(beatmapData, association?.ruleset);
+    const { entries, checkedMembers, totalMembers } = await ctx.collectMapLeaderboard(guildId, { beatmapId, difficulty, ruleset }, ctx, {
+      callerId: userId,
+      maxMembers: ctx.leaderboardMaxMembers,
+    });
+    const cappedNote = checkedMembers < totalMembers
+      ? `\n\n*Only ${checkedMembers} of ${totalMembers} linked members were checked on osu! (you and the most recently updated links first).*`
+      : '';
+
+    const mapSource = beatmapData ?? entries[0]?.score ?? null;
+    const mapTitle = beatmapData?.beatmapset?.title || beatmapData?.beatmapset?.title_unicode || (mapSource ? await ctx.getMapTitle(mapSource) : 'Unknown Map');
+    const artist = beatmapData?.beatmapset?.artist || beatmapData?.beatmapset?.artist_unicode || (mapSource ? await ctx.getMapArtist(mapSource) : '') || '';
+    const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, difficulty || 'Unknown', artist);
+    const beatmapLink = ctx.buildBeatmapLinkFromIds(beatmapId, beatmapData?.beatmapset_id || beatmapData?.beatmapset?.id);
+    const starRatingText = mapSource ? await ctx.formatStarRating(mapSource) : '';
+    const difficultyLink = `${starRatingText}[${difficultyLabel}](${beatmapLink})`;
+
+    if (entries.length === 0) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed(`Nobody in this server has a ${ctx.getRulesetName(ruleset)} score on ${difficultyLink} yet. Be the first!${cappedNote}`)
+      });
+    }
+
+    const medals = ['🥇', '🥈', '🥉'];
+    const formatEntry = async (entry, i) => {
+      const stats = await ctx.formatPlayerStatsCompact(entry.score);
+      return `${medals[i] || `**${i + 1}.**`} <@${entry.discordUserId}> — ${stats}${entry.local ? ' 📝' : ''}`;
+    };
+    const ownIndex = entries.findIndex(entry => entry.discordUserId === userId);
+    const hasLocal = entries.some(entry => entry.local);
+    const imageUrl = await ctx.getBeatmapsetImageUrl(mapSource);
+    const pageCount = Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE);
+
+    return await sendPagedReply(interaction, ctx, {
+      pageCount,
+      customIdPrefix: 'lb',
+      command: '/lb',
+      renderPage: async (page) => {
+        const start = page * LEADERBOARD_PAGE_SIZE;
+        const lines = await Promise.all(entries.slice(start, start + LEADERBOARD_PAGE_SIZE).map((entry, i) => formatEntry(entry, start + i)));
+        if (ownIndex >= 0 && (ownIndex < start || ownIndex >= start + LEADERBOARD_PAGE_SIZE)) {
+          lines.push('', await formatEntry(entries[ownIndex], ownIndex));
+        }
+        if (hasLocal) lines.push('', await ctx.formatTetoText('📝 Unranked/WIP score from Teto memories'));
+        const header = `**Server leaderboard** (${ctx.getRulesetName(ruleset)}, ${entries.length} ${entries.length === 1 ? 'player' : 'players'}) on ${difficultyLink}`;
+        return ctx.createEmbed(`${header}\n\n${lines.join('\n')}${cappedNote}`, imageUrl);
+      },
+    });
+  } catch (error) {
+    console.error('Error in /lb command:', error);
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(`Error: ${error.message}`),
+      ephemeral: true
+    });
+  }
+}
+
+/** Reply when /compare gets neither two score links nor a player */
+const COMPARE_USAGE = 'Give two score links (`score` and `against`), or a `user` to compare your best score on a map with theirs.';
+
+/**
+ * The two sides /compare judges: two score links, or the caller's and another player's best on a map.
+ * @returns {Promise<{ error: string } | { sides: Array<{ score: object, osuUserId: string, name: string }>, beatmapId: string }>}
+ */
+async function resolveCompareSides(interaction, ctx) {
+  const scoreLink = interaction.options.getString('score');
+  const againstLink = interaction.options.getString('against');
+  const opponent = interaction.options.getUser('user');
+
+  if (scoreLink || againstLink) {
+    if (!scoreLink || !againstLink) return { error: COMPARE_USAGE };
+    const resolved = await Promise.all([scoreLink, againstLink].map(link => ctx.resolveMapOrScoreLink(link)));
+    if (resolved.some(r => !r?.score)) {
+      return { error: 'Both `score` and `against` must be score links (e.g. osu.ppy.sh/scores/123).' };
+    }
+    if (resolved[0].beatmapId !== resolved[1].beatmapId) {
+      return { error: 'Both scores must be on the same difficulty.' };
+    }
+    const sides = resolved.map(({ score }) => ({
+      score,
+      osuUserId: String(score.user_id ?? score.user?.id ?? ''),
+      name: score.user?.username || 'Player',
+    }));
+    return { sides, beatmapId: resolved[0].beatmapId };
+  }
+
+  if (!opponent) return { error: COMPARE_USAGE };
+  const guildId = interaction.guildId;
+  if (opponent.id === interaction.user.id) {
+    return { error: 'Teto can\'t pit you against yourself. Pick another player!' };
+  }
+  const [association, opponentAssociation] = await Promise.all([
+    ctx.associations.get(guildId, interaction.user.id),
+    ctx.associations.get(guildId, opponent.id),
+  ]);
+  if (!association || !association.osuUserId) {
+    return { error: 'You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.' };
+  }
+  if (!opponentAssociation || !opponentAssociation.osuUserId) {
+    return { error: `<@${opponent.id}> hasn't linked an OSU! profile yet.` };
+  }
+
+  const { beatmapInfo, error: lookupError } = await findLookupBeatmap(interaction, ctx);
+  if (!beatmapInfo) return { error: lookupError };
+  const { beatmapId } = beatmapInfo;
+  const beatmap = await ctx.getBeatmap(beatmapId).catch(() => null);
+  // Converts: both players' best in the caller's ruleset
+  const ruleset = ctx.resolvePlayRuleset(beatmap, association.ruleset);
+  const [ownScore, opponentScore] = await Promise.all([association, opponentAssociation].map(async (a) => {
+    const score = await ctx.getUserBeatmapScore(beatmapId, a.osuUserId, { mode: ruleset });
+    return score ? ctx.tagScoreRuleset(score, ruleset) : null;
+  }));
+  if (!ownScore) return { error: 'You have no score for this beatmap. Play it first!' };
+  if (!opponentScore) return { error: `<@${opponent.id}> has no ${ctx.getRulesetName(ruleset)} score on this beatmap yet.` };
+  return {
+    sides: [
+      { score: ownScore, osuUserId: association.osuUserId, name: association.osuUsername || interaction.user.username },
+      { score: opponentScore, osuUserId: opponentAssociation.osuUserId, name: opponentAssociation.osuUsername || opponent.username },
+    ],
+    beatmapId,
+  };
+}
+
+/**
+ * /compare — judge two scores with the server's win rule and show the challenge comparison card,
+ * without issuing or answering a challenge (nothing is stored). On a tie the first score holds, as a champion would.
+ */
+export async function handleCompare(interaction, ctx) {
+  await interaction.deferReply({ ephemeral: false });
+
+  try {
+    const guildId = interaction.guildId;
+    if (!guildId) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('This command can only be used in a server.'),
+        ephemeral: true
+      });
+    }
+
+    const resolved = await resolveCompareSides(interaction, ctx);
+    if (resolved.error) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed(resolved.error),
+        ephemeral: true
+      });
+    }
+    const [first, second] = resolved.sides;
+    for (const side of resolved.sides) {
+      await enrichScoreBeatmap(ctx, side.score, resolved.beatmapId);
+    }
+    const ruleset = ctx.getScoreRuleset(first.score);
+    if (ctx.getScoreRuleset(second.score) !== ruleset) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('Both scores must be in the same game mode.'),
+        ephemeral: true
+      });
+    }
+
+    const { challengeWinRule } = await ctx.guildSettings.get(guildId);
+    const { responderWon, statWinners, summary } = ctx.compareScores(first.score, second.score, second.name, challengeWinRule);
+
+    let leftUser = { avatarBuffer: null, username: first.name };
+    let rightUser = { avatarBuffer: null, username: second.name };
+    try {
+      leftUser = await fetchCardUser(ctx, first.osuUserId, first.name);
+      rightUser = await fetchCardUser(ctx, second.osuUserId, second.name);
+    } catch (e) {
+      console.warn('[compare] Failed to fetch osu users for card:', e.message);
+    }
+    const cardBuffer = await ctx.drawChallengeCard(leftUser, rightUser, first.score, second.score, statWinners, responderWon ? 'left' : 'right', { ruleset });
+    const cardAttachment = new ctx.AttachmentBuilder(cardBuffer, { name: 'compare-card.png' });
+
+    const mapTitle = await ctx.getMapTitle(first.score);
+    const artist = await ctx.getMapArtist(first.score);
+    const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, first.score.beatmap?.version ?? 'Unknown', artist);
+    const starRatingText = await ctx.formatStarRating(first.score);
+    const beatmapLink = ctx.formatBeatmapLink(first.score);
+    const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
+
+    const embed1 = new ctx.EmbedBuilder()
+      .setColor(ctx.BOT_EMBED_COLOR)
+      .setDescription(`⚖️ **${leftUser.username}** vs **${rightUser.username}** on ${difficultyLink}\nJust for fun: no challenge is issued or answered.`)
+      .setImage('attachment://compare-card.png');
+    const embed2 = new ctx.EmbedBuilder()
+      .setColor(ctx.BOT_EMBED_COLOR)
+      .setDescription(responderWon
+        ? `🏆 **${rightUser.username}** beats **${leftUser.username}**! (${summary})`
+        : `🛡️ **${leftUser.username}** holds off **${rightUser.username}**! (${summary})`);
+    return interaction.editReply({ embeds: [embed1, embed2], files: [cardAttachment] });
+  } catch (error) {
+    console.error('Error in /compare command:', error);
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(`Error: ${error.message}`),
+      ephemeral: true
+    });
+  }
+}
+
+export async function handleTrs(interaction, ctx) {
+  await interaction.deferReply({ ephemeral: false });
+
+  try {
+    const guildId = interaction.guildId;
+    if (!guildId) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('This command can only be used in a server.'),
+        ephemeral: true
+      });
+    }
+    const userId = interaction.user.id;
+
+    const association = await ctx.associations.get(guildId, userId);
+    if (!association || !association.osuUserId) {
       return interaction.editReply({
         embeds: await ctx.createEmbed('You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'),
         ephemeral: true
@@ -723,7 +1561,7 @@ export async function handleTrs(interaction, ctx) {
 
     const osuUserId = association.osuUserId;
 
-    const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: 1, include_fails: true });
+    const recentScoresData = await ctx.getUserRecentScores(osuUserId, { limit: RECENT_SCORE_CHOICES, include_fails: true, mode: association.ruleset || ctx.DEFAULT_RULESET });
     const recentScores = Array.isArray(recentScoresData) ? recentScoresData : [];
 
     if (!recentScores || recentScores.length === 0) {
@@ -733,7 +1571,27 @@ export async function handleTrs(interaction, ctx) {
       });
     }
 
-    const userScore = recentScores[0];
+    let candidateScores = recentScores;
+    if (interaction.targetMessage) {
+      // "Record score for this map" context menu: only plays on the map in the right-clicked message
+      const beatmapInfo = await findBeatmapInfoInMessage(ctx, interaction.targetMessage);
+      if (!beatmapInfo) {
+        return interaction.editReply({
+          embeds: await ctx.createEmbed(NO_LINK_IN_TARGET_MESSAGE),
+          ephemeral: true
+        });
+      }
+      candidateScores = recentScores.filter((s) => String(s.beatmap?.id ?? s.beatmap_id) === String(beatmapInfo.beatmapId));
+      if (candidateScores.length === 0) {
+        return interaction.editReply({
+          embeds: await ctx.createEmbed(`None of your last ${RECENT_SCORE_CHOICES} plays are on that map. Play it first!`),
+          ephemeral: true
+        });
+      }
+    }
+
+    const userScore = await pickRecentScore(interaction, ctx, candidateScores, 'Which play should Teto record?');
+    if (!userScore) return;
 
     if (!ctx.isValidScore(userScore) && !hasValidScoreValue(ctx, userScore, null)) {
       return interaction.editReply({
@@ -800,7 +1658,7 @@ export async function handleTrs(interaction, ctx) {
       }
     }
 
-    const message = `Your most recent score on ${difficultyLink}:\n\n${playerStats}${statusMessage}`;
+    const message = `Your score on ${difficultyLink}:\n\n${playerStats}${statusMessage}`;
     const imageUrl = await ctx.getBeatmapsetImageUrl(userScore);
 
     return interaction.editReply({
@@ -815,6 +1673,162 @@ export async function handleTrs(interaction, ctx) {
   }
 }
 
+const CHALLENGES_PAGE_SIZE = 10;
+/** Players per /lb page */
+const LEADERBOARD_PAGE_SIZE = 10;
+/** Submissions per /teto map history page */
+const MAP_HISTORY_PAGE_SIZE = 10;
+/** How long the prev/next buttons stay active on a paged reply (/challenges, /lb) */
+const PAGED_REPLY_TIMEOUT_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Players shown by /teto ladder */
+const RATING_LADDER_SIZE = 10;
+
+/** Short "Xd Yh" label for how long the current champion has held a challenge. */
+function formatHeldFor(timeHeld) {
+  return timeHeld.days > 0 ? `${timeHeld.days}d ${timeHeld.hours}h` : `${timeHeld.hours}h`;
+}
+
+/**
+ * Reply with the first page and, when there is more than one, prev/next buttons that only the caller
+ * can use (for PAGED_REPLY_TIMEOUT_MS). renderPage(page) returns the page's embeds; a "Page x/y" footer is added.
+ * @param {{ pageCount: number, renderPage: (page: number) => Promise<object[]>, customIdPrefix: string, command: string }} options
+ */
+async function sendPagedReply(interaction, ctx, { pageCount, renderPage, customIdPrefix, command }) {
+  const prevId = `${customIdPrefix}_prev`;
+  const nextId = `${customIdPrefix}_next`;
+  const buildPage = async (page) => {
+    const embeds = await renderPage(page);
+    embeds[embeds.length - 1].setFooter({ text: `Page ${page + 1}/${pageCount}` });
+
+    if (pageCount <= 1) return { embeds, components: [] };
+    const row = new ctx.ActionRowBuilder().addComponents(
+      new ctx.ButtonBuilder()
+        .setCustomId(prevId)
+        .setLabel('◀ Prev')
+        .setStyle(ctx.ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ctx.ButtonBuilder()
+        .setCustomId(nextId)
+        .setLabel('Next ▶')
+        .setStyle(ctx.ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount - 1)
+    );
+    return { embeds, components: [row] };
+  };
+
+  let page = 0;
+  const reply = await interaction.editReply(await buildPage(page));
+  if (pageCount <= 1) return reply;
+
+  const collector = reply.createMessageComponentCollector({
+    componentType: ctx.ComponentType.Button,
+    time: PAGED_REPLY_TIMEOUT_MS,
+  });
+  collector.on('collect', async (buttonInteraction) => {
+    try {
+      if (buttonInteraction.user.id !== interaction.user.id) {
+        return buttonInteraction.reply({
+          embeds: await ctx.createEmbed(`Only the person who ran this command can turn pages. Use \`${command}\` yourself!`),
+          ephemeral: true
+        });
+      }
+      page = buttonInteraction.customId === prevId
+        ? Math.max(0, page - 1)
+        : Math.min(pageCount - 1, page + 1);
+      await buttonInteraction.update(await buildPage(page));
+    } catch (error) {
+      console.error(`Error paging ${command}:`, error);
+    }
+  });
+  collector.on('end', async () => {
+    try {
+      await interaction.editReply({ components: [] });
+    } catch (_) { /* reply may be deleted */ }
+  });
+  return reply;
+}
+
+export async function handleChallenges(interaction, ctx) {
+  await interaction.deferReply({ ephemeral: false });
+
+  try {
+    const guildId = interaction.guildId;
+    if (!guildId) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('This command can only be used in a server.'),
+        ephemeral: true
+      });
+    }
+
+    const minStars = interaction.options.getNumber('min_stars');
+    const maxStars = interaction.options.getNumber('max_stars');
+    const holder = interaction.options.getUser('holder');
+    const modsInput = interaction.options.getString('mods');
+    const maxAgeDays = interaction.options.getInteger('max_age_days');
+    const requiredMods = ctx.parseModAcronyms(modsInput);
+
+    const allChallenges = await ctx.activeChallenges.getAll(guildId);
+    if (allChallenges.length === 0) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('There are no active challenges in this server yet. Use `/rsc` to issue one!')
+      });
+    }
+
+    const now = Date.now();
+    const challenges = [];
+    for (const challenge of allChallenges) {
+      if (holder && challenge.challengerUserId !== holder.id) continue;
+      if (maxAgeDays != null && now - new Date(challenge.createdAt).getTime() > maxAgeDays * DAY_MS) continue;
+      const score = challenge.challengerScore;
+      if (requiredMods.length > 0) {
+        const mods = ctx.getModAcronyms(score);
+        if (!requiredMods.every((m) => mods.includes(m))) continue;
+      }
+      if (minStars != null || maxStars != null) {
+        const stars = score && typeof score === 'object' ? await ctx.getStarRating(score) : null;
+        if (stars == null) continue;
+        if (minStars != null && stars < minStars) continue;
+        if (maxStars != null && stars > maxStars) continue;
+      }
+      challenges.push(challenge);
+    }
+
+    if (challenges.length === 0) {
+      return interaction.editReply({
+        embeds: await ctx.createEmbed('No active challenges match these filters.')
+      });
+    }
+
+    challenges.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    const pageCount = Math.ceil(challenges.length / CHALLENGES_PAGE_SIZE);
+
+    return await sendPagedReply(interaction, ctx, {
+      pageCount,
+      customIdPrefix: 'challenges',
+      command: '/challenges',
+      renderPage: async (page) => {
+        const pageChallenges = challenges.slice(page * CHALLENGES_PAGE_SIZE, (page + 1) * CHALLENGES_PAGE_SIZE);
+        const entries = await Promise.all(pageChallenges.map(async (challenge) => {
+          const entry = await ctx.formatChallengeEntry(challenge);
+          const mods = ctx.formatMods(challenge.challengerScore);
+          const heldFor = formatHeldFor(ctx.calculateTimeHeld(challenge.updatedAt));
+          const modLockText = ctx.formatModLock(challenge.modLock, challenge.lockedMods);
+          return `• ${entry} | ${mods}${modLockText ? ` 🔒 ${modLockText}` : ''} | held ${heldFor}`;
+        }));
+        const header = await ctx.formatTetoText(`**Active challenges** (${challenges.length})`);
+        return ctx.createEmbed(`${header}\n\n${entries.join('\n')}`);
+      },
+    });
+  } catch (error) {
+    console.error('Error in /challenges command:', error);
+    return interaction.editReply({
+      embeds: await ctx.createEmbed(`Error: ${error.message}`),
+      ephemeral: true
+    });
+  }
+}
+
 export async function handleTeto(interaction, ctx) {
   const subcommandGroup = interaction.options.getSubcommandGroup(false);
   const sub = interaction.options.getSubcommand(false);
@@ -828,25 +1842,18 @@ export async function handleTeto(interaction, ctx) {
   const channel = interaction.channel;
 
   if (sub === 'setup') {
-    const member = interaction.member;
-    if (!member) {
-      return interaction.reply({ embeds: await ctx.createEmbed('Unable to verify permissions. Please try again.'), ephemeral: true });
-    }
-    const isOwner = interaction.guild.ownerId === interaction.user.id;
-    const memberPerms = member.permissions;
-    const hasAdmin = memberPerms && memberPerms.has(PermissionsBitField.Flags.Administrator);
-    if (!isOwner && !hasAdmin) {
+    if (!isGuildAdmin(interaction)) {
       return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
     }
     const channelType = interaction.options.getString('set_this_channel_for');
-    if (!channelType || (channelType !== 'tmotd' && channelType !== 'challenges')) {
+    if (!channelType || !ctx.CHANNEL_TYPES[channelType]) {
       return interaction.reply({
-        embeds: await ctx.createEmbed('Invalid channel type. Please select either "TMOTD" or "Challenges".'),
+        embeds: await ctx.createEmbed('Invalid channel type. Please select "TMOTD", "Challenges" or "Top plays".'),
         ephemeral: true
       });
     }
     await ctx.dbServerConfig.setChannel(guildId, channelType, channel.id);
-    const channelTypeName = channelType === 'tmotd' ? 'TMOTD' : 'Challenges';
+    const channelTypeName = ctx.CHANNEL_TYPES[channelType].name;
     const message = await ctx.formatTetoText(`Teto configured! ${channelTypeName} channel set to <#${channel.id}>.`);
     return interaction.reply({
       embeds: await ctx.createEmbed(message),
@@ -854,6 +1861,190 @@ export async function handleTeto(interaction, ctx) {
     });
   }
 
+  if (subcommandGroup === 'config' && sub === 'challenges') {
+    if (!isGuildAdmin(interaction)) {
+      return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
+    }
+    const winRule = interaction.options.getString('win_rule');
+    const updates = {};
+    if (winRule) {
+      if (!ctx.WIN_RULES[winRule]) {
+        return interaction.reply({ embeds: await ctx.createEmbed('Invalid win rule.'), ephemeral: true });
+      }
+      updates.challengeWinRule = winRule;
+    }
+    const expiryDays = interaction.options.getInteger('expiry_days');
+    if (expiryDays !== null) {
+      // 0 turns expiry off
+      updates.challengeExpiryDays = expiryDays > 0 ? expiryDays : null;
+    }
+    const autoRespond = interaction.options.getBoolean('auto_respond');
+    if (autoRespond !== null) {
+      updates.autoRespondEnabled = autoRespond;
+    }
+    if (Object.keys(updates).length > 0) {
+      await ctx.guildSettings.update(guildId, updates);
+    }
+    const settings = await ctx.guildSettings.get(guildId);
+    const rule = ctx.WIN_RULES[settings.challengeWinRule] || ctx.WIN_RULES[ctx.DEFAULT_WIN_RULE];
+    const heading = Object.keys(updates).length > 0 ? 'Teto updated the challenge settings!' : 'Current challenge settings:';
+    const expiryText = settings.challengeExpiryDays
+      ? `retired after ${settings.challengeExpiryDays} ${settings.challengeExpiryDays === 1 ? 'day' : 'days'} without a response`
+      : 'never';
+    const autoRespondText = settings.autoRespondEnabled
+      ? 'on — players who opt in with `/teto autorespond` get their plays checked automatically'
+      : 'off';
+    const message = await ctx.formatTetoText(`${heading}\n• **Win rule:** ${rule.name} — ${rule.description}\n• **Expiry:** ${expiryText}\n• **Auto responses:** ${autoRespondText}`);
+    return interaction.reply({
+      embeds: await ctx.createEmbed(message),
+      ephemeral: true
+    });
+  }
+
+  if (subcommandGroup === 'config' && sub === 'maps') {
+    if (!isGuildAdmin(interaction)) {
+      return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
+    }
+    const updates = {};
+    const windowDays = interaction.options.getInteger('duplicate_window_days');
+    if (windowDays !== null) {
+      // 0 turns the duplicate check off
+      updates.duplicateMapWindowDays = windowDays > 0 ? windowDays : null;
+    }
+    const duplicateAction = interaction.options.getString('duplicates');
+    if (duplicateAction) {
+      updates.duplicateMapAction = duplicateAction;
+    }
+    // 0 removes a limit
+    const perDay = interaction.options.getInteger('per_day');
+    if (perDay !== null) updates.submissionsPerDay = perDay > 0 ? perDay : null;
+    const perWeek = interaction.options.getInteger('per_week');
+    if (perWeek !== null) updates.submissionsPerWeek = perWeek > 0 ? perWeek : null;
+    const cooldownHours = interaction.options.getInteger('cooldown_hours');
+    if (cooldownHours !== null) updates.submissionCooldownHours = cooldownHours > 0 ? cooldownHours : null;
+    const curatorRole = interaction.options.getRole('curator_role');
+    if (curatorRole) updates.submissionExemptRoleId = curatorRole.id;
+    if (interaction.options.getBoolean('remove_curator_role')) updates.submissionExemptRoleId = null;
+    if (Object.keys(updates).length > 0) {
+      await ctx.guildSettings.update(guildId, updates);
+    }
+    const settings = await ctx.guildSettings.get(guildId);
+    const heading = Object.keys(updates).length > 0 ? 'Teto updated the map of the day settings!' : 'Current map of the day settings:';
+    const duplicateText = settings.duplicateMapWindowDays
+      ? `maps submitted in the last ${settings.duplicateMapWindowDays} ${settings.duplicateMapWindowDays === 1 ? 'day' : 'days'} (same difficulty or beatmapset) are ${settings.duplicateMapAction === 'reject' ? 'rejected' : 'only posted after the submitter confirms'}`
+      : 'off';
+    const curatorText = settings.submissionExemptRoleId
+      ? `<@&${settings.submissionExemptRoleId}> members skip the quota and cooldown`
+      : 'none';
+    const message = await ctx.formatTetoText(`${heading}\n• **Quota:** ${ctx.formatSubmissionQuota(settings)}\n• **Curators:** ${curatorText}\n• **Duplicate check:** ${duplicateText}`);
+    return interaction.reply({
+      embeds: await ctx.createEmbed(message),
+      ephemeral: true
+    });
+  }
+
+  if (subcommandGroup === 'config' && sub === 'timezone') {
+    if (!isGuildAdmin(interaction)) {
+      return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
+    }
+    const timezoneInput = interaction.options.getString('timezone');
+    let heading = 'Current server timezone:';
+    if (timezoneInput) {
+      const timezone = ctx.normalizeTimezone(timezoneInput);
+      if (!timezone) {
+        return interaction.reply({
+          embeds: await ctx.createEmbed('Unknown timezone. Use an IANA timezone name like `Europe/Berlin`, `America/New_York` or `UTC`.'),
+          ephemeral: true
+        });
+      }
+      await ctx.guildSettings.update(guildId, { timezone });
+      await ctx.rescheduleGuild(guildId);
+      heading = 'Teto updated the server timezone!';
+    }
+    const { timezone } = await ctx.guildSettings.get(guildId);
+    const message = await ctx.formatTetoText(`${heading} **${timezone}** (it is ${ctx.todayInTimezone(timezone)} there)\n• A new map of the day can be submitted from midnight\n• Old submissions are cleared at midnight and the weekly update is posted on Saturdays at 16:00`);
+    return interaction.reply({
+      embeds: await ctx.createEmbed(message),
+      ephemeral: true
+    });
+  }
+
+  if (subcommandGroup === 'config' && sub === 'map_rules') {
+    if (!isGuildAdmin(interaction)) {
+      return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
+    }
+    const options = interaction.options;
+    const updates = options.getBoolean('reset') ? { ...ctx.SUBMISSION_RULES_DEFAULTS } : {};
+    const current = { ...(await ctx.submissionRules.get(guildId)), ...updates };
+    const invalid = async (message) => interaction.reply({ embeds: await ctx.createEmbed(message), ephemeral: true });
+
+    // 0 removes a limit
+    const minStars = options.getNumber('min_stars');
+    if (minStars !== null) updates.minStars = minStars > 0 ? minStars : null;
+    const maxStars = options.getNumber('max_stars');
+    if (maxStars !== null) updates.maxStars = maxStars > 0 ? maxStars : null;
+    const effectiveMin = updates.minStars !== undefined ? updates.minStars : current.minStars;
+    const effectiveMax = updates.maxStars !== undefined ? updates.maxStars : current.maxStars;
+    if (effectiveMin != null && effectiveMax != null && effectiveMin > effectiveMax) {
+      return invalid('The minimum star rating must not be above the maximum.');
+    }
+    const maxDrain = options.getInteger('max_drain_seconds');
+    if (maxDrain !== null) updates.maxDrainSeconds = maxDrain > 0 ? maxDrain : null;
+
+    const statusesInput = options.getString('statuses')?.trim();
+    if (statusesInput) {
+      const statuses = statusesInput.toLowerCase() === 'any' ? [] : ctx.parseStatusList(statusesInput);
+      if (!statuses) {
+        return invalid(`Unknown beatmap status. Use any of: ${ctx.BEATMAP_STATUS_NAMES.join(', ')} (or "any").`);
+      }
+      updates.allowedStatuses = statuses;
+    }
+
+    const banMapper = options.getString('ban_mapper')?.trim().toLowerCase();
+    const unbanMapper = options.getString('unban_mapper')?.trim().toLowerCase();
+    if (banMapper || unbanMapper) {
+      updates.bannedMappers = current.bannedMappers.filter(mapper => mapper !== banMapper && mapper !== unbanMapper);
+      if (banMapper) updates.bannedMappers.push(banMapper);
+    }
+
+    const banSetInput = options.getString('ban_beatmapset');
+    const unbanSetInput = options.getString('unban_beatmapset');
+    if (banSetInput || unbanSetInput) {
+      const banSet = banSetInput ? ctx.parseBeatmapsetId(banSetInput) : null;
+      const unbanSet = unbanSetInput ? ctx.parseBeatmapsetId(unbanSetInput) : null;
+      if ((banSetInput && !banSet) || (unbanSetInput && !unbanSet)) {
+        return invalid('Use a beatmapset link (e.g. osu.ppy.sh/beatmapsets/123) or a beatmapset ID.');
+      }
+      updates.bannedBeatmapsetIds = current.bannedBeatmapsetIds.filter(id => id !== banSet && id !== unbanSet);
+      if (banSet) updates.bannedBeatmapsetIds.push(banSet);
+    }
+
+    const themedDay = options.getString('themed_day');
+    const themedModsInput = options.getString('themed_mods')?.trim();
+    if (themedDay || themedModsInput) {
+      if (!themedDay || !themedModsInput) {
+        return invalid('Set `themed_day` and `themed_mods` together (e.g. Tuesday + DT, or "none" to clear the theme).');
+      }
+      const themedMods = themedModsInput.toLowerCase() === 'none' ? [] : ctx.parseThemedMods(themedModsInput);
+      if (!themedMods) {
+        return invalid(`Themed mods must be mods a map can be recommended with: ${ctx.VALID_MODS.join(', ')} (e.g. HR or HDDT).`);
+      }
+      updates.themedDayMods = { ...current.themedDayMods, [themedDay]: themedMods };
+      if (themedMods.length === 0) delete updates.themedDayMods[themedDay];
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await ctx.submissionRules.update(guildId, updates);
+    }
+    const rules = await ctx.submissionRules.get(guildId);
+    const heading = Object.keys(updates).length > 0 ? 'Teto updated the map of the day rules!' : 'Current map of the day rules:';
+    const message = await ctx.formatTetoText(`${heading}\n${ctx.formatSubmissionRules(rules).join('\n')}`);
+    return interaction.reply({
+      embeds: await ctx.createEmbed(message),
+      ephemeral: true
+    });
+  }
+
   if (sub === 'link') {
     const profileLink = interaction.options.getString('profilelink');
     if (!profileLink || !profileLink.includes('osu.ppy.sh/users/')) {
@@ -901,14 +2092,19 @@ export async function handleTeto(interaction, ctx) {
       const verifiedUserId = osuUser.id?.toString();
       const verifiedUsername = osuUser.username;
       const verifiedProfileLink = `https://osu.ppy.sh/users/${verifiedUserId}`;
+      // Default to the game mode set on the osu! profile
+      const ruleset = ctx.normalizeRuleset(interaction.options.getString('ruleset'))
+        ?? ctx.normalizeRuleset(osuUser.playmode)
+        ?? ctx.DEFAULT_RULESET;
       await ctx.associations.set(guildId, interaction.user.id, {
         discordUsername: interaction.user.username,
         osuUsername: verifiedUsername,
         osuUserId: verifiedUserId,
         profileLink: verifiedProfileLink,
+        ruleset,
       });
       return interaction.editReply({
-        embeds: await ctx.createEmbed(`✅ Successfully linked your Discord account to OSU! profile: **${verifiedUsername}**\nProfile: ${verifiedProfileLink}`)
+        embeds: await ctx.createEmbed(`✅ Successfully linked your Discord account to OSU! profile: **${verifiedUsername}**\nProfile: ${verifiedProfileLink}\nGame mode: **${ctx.getRulesetName(ruleset)}** (change with \`/teto ruleset\`)`)
       });
     } catch (error) {
       console.error('Error verifying OSU profile:', error);
@@ -918,26 +2114,155 @@ export async function handleTeto(interaction, ctx) {
     }
   }
 
+  if (sub === 'ruleset') {
+    const ruleset = ctx.normalizeRuleset(interaction.options.getString('mode'));
+    if (!ruleset) {
+      return interaction.reply({ embeds: await ctx.createEmbed('Invalid game mode.'), ephemeral: true });
+    }
+    const association = await ctx.associations.get(guildId, interaction.user.id);
+    if (!association) {
+      return interaction.reply({
+        embeds: await ctx.createEmbed('You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'),
+        ephemeral: true
+      });
+    }
+    await ctx.associations.setRuleset(guildId, interaction.user.id, ruleset);
+    return interaction.reply({
+      embeds: await ctx.createEmbed(await ctx.formatTetoText(`Teto will now use your **${ctx.getRulesetName(ruleset)}** scores.`)),
+      ephemeral: true
+    });
+  }
+
+  if (sub === 'autorespond') {
+    const enabled = interaction.options.getBoolean('enabled');
+    const association = await ctx.associations.get(guildId, interaction.user.id);
+    if (!association) {
+      return interaction.reply({
+        embeds: await ctx.createEmbed('You need to link your Discord profile to your OSU! profile first. Use `/teto link` command to do so.'),
+        ephemeral: true
+      });
+    }
+    await ctx.associations.setAutoRespond(guildId, interaction.user.id, enabled);
+    if (!enabled) {
+      return interaction.reply({
+        embeds: await ctx.createEmbed('Teto will stop responding to challenges for you. Use `/rsc` as usual!'),
+        ephemeral: true
+      });
+    }
+    const settings = await ctx.guildSettings.get(guildId);
+    const guildNote = settings.autoRespondEnabled
+      ? ''
+      : '\nAutomatic responses are turned off in this server for now; Teto will start once an admin enables them with `/teto config challenges auto_respond`.';
+    return interaction.reply({
+      embeds: await ctx.createEmbed(await ctx.formatTetoText(`Teto will keep an eye on your new plays and respond to challenges on those maps for you (your best new play per map, every few minutes).${guildNote}`)),
+      ephemeral: true
+    });
+  }
+
+  if (sub === 'rating') {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const rating = await ctx.playerRatings.get(guildId, user.id);
+    if (rating.wins + rating.losses === 0) {
+      const who = user.id === interaction.user.id ? 'You haven\'t' : `<@${user.id}> hasn't`;
+      return interaction.reply({
+        embeds: await ctx.createEmbed(`${who} played any rated challenges yet. Everyone starts at **${rating.rating}**; respond to a challenge with \`/rsc\` to get on the ladder!`),
+        ephemeral: true
+      });
+    }
+    const [position, playerCount] = await Promise.all([
+      ctx.playerRatings.getPosition(guildId, rating.rating),
+      ctx.playerRatings.count(guildId),
+    ]);
+    const message = `📈 **Challenge rating for <@${user.id}>**\n• **Rating:** ${rating.rating} (#${position} of ${playerCount})\n• **Record:** ${rating.wins}W ${rating.losses}L\n• **Peak:** ${rating.peakRating}`;
+    return interaction.reply({
+      embeds: await ctx.createEmbed(message)
+    });
+  }
+
+  if (sub === 'ladder') {
+    const top = await ctx.playerRatings.getLeaderboard(guildId, RATING_LADDER_SIZE);
+    if (top.length === 0) {
+      return interaction.reply({
+        embeds: await ctx.createEmbed('Nobody is on the ladder yet. Respond to a challenge with `/rsc` to get rated!'),
+        ephemeral: true
+      });
+    }
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = top.map((r, i) => `${medals[i] || `**${i + 1}.**`} <@${r.discordUserId}> — **${r.rating}** (${r.wins}W ${r.losses}L)`);
+    if (!top.some((r) => r.discordUserId === interaction.user.id)) {
+      const own = await ctx.playerRatings.get(guildId, interaction.user.id);
+      if (own.wins + own.losses > 0) {
+        const position = await ctx.playerRatings.getPosition(guildId, own.rating);
+        lines.push('', `**${position}.** <@${interaction.user.id}> — **${own.rating}** (${own.wins}W ${own.losses}L)`);
+      }
+    }
+    const header = await ctx.formatTetoText('**Challenge ladder**');
+    return interaction.reply({
+      embeds: await ctx.createEmbed(`${header}\n\n${lines.join('\n')}`)
+    });
+  }
+
+  if (subcommandGroup === 'map' && sub === 'history') {
+    return showMapHistory(interaction, ctx);
+  }
+
+  if (sub === 'progress') {
+    return showProgress(interaction, ctx, interaction.options.getUser('user') || interaction.user);
+  }
+
   if (sub === 'help') {
+    const settings = await ctx.guildSettings.get(guildId);
+    const mapRules = ctx.formatSubmissionRules(await ctx.submissionRules.get(guildId));
+    const winRule = ctx.WIN_RULES[settings.challengeWinRule] || ctx.WIN_RULES[ctx.DEFAULT_WIN_RULE];
     const helpMessage = `**Teto Bot Commands**
 
 **Map of the Day:**
-• \`/teto map submit\` — Submit your map of the day (optional mods)
+• \`/teto map submit\` — Submit your map of the day (optional mods; maps submitted recently are flagged as duplicates)
+• Quota: ${ctx.formatSubmissionQuota(settings)}${settings.submissionExemptRoleId ? ` (<@&${settings.submissionExemptRoleId}> members are exempt)` : ''}
+• \`/teto map history\` — Browse past maps of the day with their votes (filters: submitter, star range, dates, status)
+
+**Map of the day rules:**
+${mapRules.join('\n')}
 
 **Challenges (\`/rsc\`):**
-• No link: Use most recent score to issue or respond
+• No link: Pick one of your recent plays to issue or respond
 • With link: Use your best score for that beatmap to issue or respond
-• **Win rule:** 5 key stats (PP or 300s when both PP are 0, Accuracy, Max Combo, Score, Misses). Need **3+** to win. Response shows a comparison card and your stat count (X/5).
-• Responding to your own challenge: same 3/5 rule applies to update the challenge; otherwise "pretend Teto didn't see that"
+• **Win rule (${winRule.name}):** ${winRule.description} Response shows a comparison card and the result.
+• \`mod_lock\` (when issuing): responses must use exactly your mods, or include all of them
+• Responding to your own challenge: same rule applies to update the challenge; otherwise "pretend Teto didn't see that"
+• \`h2h\`: your head-to-head record against another player (no challenge is issued)
+• \`/compare\`: put two score links (or your best and another player's on a map) side by side with the comparison card, just for fun
+${settings.challengeExpiryDays ? `• Challenges with no response for ${settings.challengeExpiryDays} days are retired and the holder is crowned permanently\n` : ''}
+**Browse:**
+• \`/challenges\` — List active challenges (filters: star range, holder, mods, age)
+
+**Ladder:**
+• Every response to someone else's challenge moves rating points from the loser to the winner (more on harder maps and clearer wins)
+• \`/teto rating\` — Your rating, record and ladder position (or another player's)
+• \`/teto ladder\` — Top rated players in this server
+
+**Progress:**
+• \`/teto progress\` — Chart your global rank and pp over time (or another player's); Teto snapshots linked players' stats daily
 
 **Score Tracking:**
-• \`/trs\` — Record your most recent unranked/WIP score
-• \`/tc\` — Look up your scores for a map (uses last 20 messages for link)
+• \`/trs\` — Record one of your recent unranked/WIP scores
+• \`/tc\` — Look up scores for a map (uses last 20 messages for link unless \`map\` is given; \`user\`, \`mods\` and \`sort\` options)
+• \`/lb\` — Server leaderboard for a map: every linked member's best score (same map lookup as \`/tc\`)
+
+**Right-click a message with a map link > Apps:**
+• **Respond to challenge** — \`/rsc\` for that map
+• **My scores on this map** — \`/tc\` for that map
+• **Record score for this map** — \`/trs\` with your recent plays on that map
 
 **Setup:**
-• \`/teto setup\` — Set channel for TMOTD or Challenges (admin)
+• \`/teto setup\` — Set channel for TMOTD, Challenges or the Top plays feed (admin)
+• \`/teto config challenges\` — Show or change challenge settings such as the win rule (${Object.values(ctx.WIN_RULES).map(r => r.name).join(', ')}), expiry and auto responses (admin)
+• \`/teto config maps\` — Show or change map of the day settings: quota, cooldown, curator role and the duplicate check (admin)
+• \`/teto config timezone\` — Show or change the server's timezone for the map of the day day, daily reset and weekly update (admin)
+• \`/teto config map_rules\` — Show or change the rules maps of the day must follow: star range, drain length, statuses, banned mappers/beatmapsets, themed days (admin)
 • \`/teto link\` — Link Discord to OSU! profile (required for most commands)
-• \`/teto test\` — Test command UI (admin)
+• \`/teto ruleset\` — Choose your game mode (osu!, taiko, catch, mania)
+• \`/teto autorespond\` — Let Teto respond to challenges for you when you play their maps${settings.autoRespondEnabled ? '' : ' (needs an admin to enable it)'}
 • \`/teto help\` — This message`;
     return interaction.reply({
       embeds: await ctx.createEmbed(helpMessage),
@@ -945,56 +2270,23 @@ export async function handleTeto(interaction, ctx) {
     });
   }
 
-  if (sub === 'test') {
-    const member = interaction.member;
-    if (!member) {
-      return interaction.reply({ embeds: await ctx.createEmbed('Unable to verify permissions. Please try again.'), ephemeral: true });
-    }
-    const isOwner = interaction.guild.ownerId === interaction.user.id;
-    const hasAdmin = member.permissions && member.permissions.has(PermissionsBitField.Flags.Administrator);
-    if (!isOwner && !hasAdmin) {
-      return interaction.reply({ embeds: await ctx.createEmbed('Only administrators can run this command.'), ephemeral: true });
-    }
-    await interaction.deferReply({ ephemeral: false });
-    try {
-      const testCommand = interaction.options.getString('command');
-      if (!testCommand) {
-        return interaction.editReply({
-          embeds: await ctx.createEmbed('Invalid test command. Available: trs, tc, rsci, rscr, motd, report, card'),
-          ephemeral: true
-        });
-      }
-      const handled = await runTestCommand(interaction, guildId, testCommand, ctx.buildTestContext());
-      if (!handled) {
-        return interaction.editReply({
-          embeds: await ctx.createEmbed('Invalid test command. Available: trs, tc, rsci, rscr, motd, report, card'),
-          ephemeral: true
-        });
-      }
-    } catch (error) {
-      console.error('Error in /teto test command:', error);
-      return interaction.editReply({
-        embeds: await ctx.createEmbed(`Error: ${error.message}`),
-        ephemeral: true
-      });
-    }
-    return;
-  }
-
   if (subcommandGroup === 'map' && sub === 'submit') {
+    // Looking up the map, quota, rules and duplicates can outlast Discord's 3 seconds to answer
+    await interaction.deferReply({ ephemeral: true });
     const mapLink = interaction.options.getString('maplink');
     if (!mapLink || !mapLink.includes('osu.ppy.sh')) {
-      return interaction.reply({ embeds: await ctx.createEmbed("Impossible to submit the map - link doesn't contain OSU! map"), ephemeral: true });
+      return interaction.editReply({ embeds: await ctx.createEmbed("Impossible to submit the map - link doesn't contain OSU! map") });
     }
     const resolved = await ctx.resolveMapOrScoreLink(mapLink);
     const effectiveBeatmapId = resolved?.beatmapId ?? ctx.extractBeatmapId(mapLink);
     if (!effectiveBeatmapId) {
-      return interaction.reply({ embeds: await ctx.createEmbed("Could not extract beatmap or score from the link. Use a difficulty link (e.g. osu.ppy.sh/b/123) or a score link (e.g. osu.ppy.sh/scores/123)."), ephemeral: true });
+      return interaction.editReply({ embeds: await ctx.createEmbed("Could not extract beatmap or score from the link. Use a difficulty link (e.g. osu.ppy.sh/b/123) or a score link (e.g. osu.ppy.sh/scores/123).") });
     }
-    const today = ctx.todayString();
-    const hasSubmitted = await ctx.submissions.hasSubmittedToday(guildId, interaction.user.id, today);
-    if (hasSubmitted) {
-      return interaction.reply({ embeds: await ctx.createEmbed('You already submitted a map today!'), ephemeral: true });
+    const today = await ctx.guildTodayString(guildId);
+    const settings = await ctx.guildSettings.get(guildId);
+    const quotaError = await checkSubmissionQuotaFor(interaction, ctx, settings, today);
+    if (quotaError) {
+      return interaction.editReply({ embeds: await ctx.createEmbed(quotaError) });
     }
     const mods = [];
     for (let i = 1; i <= 5; i++) {
@@ -1003,7 +2295,7 @@ export async function handleTeto(interaction, ctx) {
     }
     const opChannelResult = await ctx.getOperatingChannel(guildId, interaction.guild, 'tmotd');
     if (opChannelResult.error) {
-      return interaction.reply({ embeds: await ctx.createEmbed(opChannelResult.error), ephemeral: true });
+      return interaction.editReply({ embeds: await ctx.createEmbed(opChannelResult.error) });
     }
     const opChannel = opChannelResult.channel;
     const opChannelId = opChannelResult.channelId;
@@ -1029,6 +2321,32 @@ export async function handleTeto(interaction, ctx) {
       console.error('Error getting beatmap data for map of the day:', error);
     }
 
+    const rules = await ctx.submissionRules.get(guildId);
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const ruleFailures = ctx.checkSubmissionRules(rules, beatmap, { mods, weekday });
+    if (ruleFailures.length > 0) {
+      const failureLines = ruleFailures.map(failure => `• ${failure}`).join('\n');
+      return interaction.editReply({
+        embeds: await ctx.createEmbed(`Teto can't accept this map of the day:\n${failureLines}\n\nSee the server's rules in \`/teto help\`.`)
+      });
+    }
+
+    // Replies go through the confirmation button once the submitter has been asked about a duplicate
+    let respond = async (message) => interaction.editReply({ embeds: await ctx.createEmbed(message) });
+    const duplicate = await findDuplicateSubmission(ctx, guildId, settings, effectiveBeatmapId, beatmap, today);
+    if (duplicate) {
+      const duplicateText = formatDuplicateSubmission(guildId, duplicate, effectiveBeatmapId);
+      if (settings.duplicateMapAction === 'reject') {
+        return respond(`${duplicateText}\nPick a different map for today!`);
+      }
+      const confirmation = await confirmDuplicateSubmission(interaction, ctx, duplicateText);
+      if (!confirmation) return;
+      respond = async (message) => confirmation.update({ embeds: await ctx.createEmbed(message), components: [] });
+      // Another submission may have gone through while they were deciding
+      const quotaErrorNow = await checkSubmissionQuotaFor(interaction, ctx, settings, today);
+      if (quotaErrorNow) return respond(quotaErrorNow);
+    }
+
     const artist = beatmap?.beatmapset?.artist || beatmap?.beatmapset?.artist_unicode || '';
     let difficultyLabel = null;
     const starRatingText = await ctx.formatStarRating(beatmap);
@@ -1056,10 +2374,29 @@ export async function handleTeto(interaction, ctx) {
         console.warn('Failed to add reactions to submission (non-critical):', reactErr);
       }
       await ctx.submissions.create(guildId, interaction.user.id, today);
-      return interaction.reply({ embeds: await ctx.createEmbed(`Map submitted to <#${opChannelId}>!`), ephemeral: true });
+      try {
+        const status = beatmap ? ctx.getBeatmapStatusName(beatmap.status) : 'Unknown';
+        await ctx.submissionArchive.create(guildId, {
+          userId: interaction.user.id,
+          submissionDate: today,
+          beatmapId: String(effectiveBeatmapId),
+          beatmapsetId: beatmap?.beatmapset_id != null ? String(beatmap.beatmapset_id) : null,
+          mapTitle: mapName,
+          artist: artist || null,
+          difficulty: difficultyName,
+          starRating: beatmap?.difficulty_rating ?? null,
+          status: status !== 'Unknown' ? status.toLowerCase() : null,
+          mods,
+          channelId: opChannelId,
+          messageId: sent.id,
+        });
+      } catch (archiveErr) {
+        console.error('Failed to archive submission (non-critical):', archiveErr);
+      }
+      return respond(`Map submitted to <#${opChannelId}>!`);
     } catch (err) {
       console.error('Failed to post submission:', err);
-      return interaction.reply({ embeds: await ctx.createEmbed('Failed to submit the map. Check bot permissions in the operating channel.'), ephemeral: true });
+      return respond('Failed to submit the map. Check bot permissions in the operating channel.');
     }
   }
 }
@@ -1,6 +1,12 @@
-import { SlashCommandBuilder } from 'discord.js';
+import { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType } from 'discord.js';
+import { RULESETS } from './rulesets.js';
+import { PROGRESS_DEFAULT_DAYS, PROGRESS_MAX_DAYS } from './userStats.js';
+import { BEATMAP_STATUS_NAMES, WEEKDAY_NAMES, VALID_MODS } from './submissionRules.js';
 
-const VALID_MODS = ["EZ","NF","HT","HR","SD","PF","DT","NC","HD","FL","RL","SO","SV2"];
+const RULESET_CHOICES = Object.entries(RULESETS).map(([value, r]) => ({ name: r.name, value }));
+
+// Beatmap statuses /teto map history filters on (archived_submissions.status holds the lowercased name)
+const MAP_STATUS_CHOICES = BEATMAP_STATUS_NAMES.map(name => ({ name, value: name.toLowerCase() }));
 
 const mapSubmit = new SlashCommandBuilder()
   .setName('teto')
@@ -16,7 +22,8 @@ const mapSubmit = new SlashCommandBuilder()
           .setRequired(true)
           .addChoices(
             { name: 'TMOTD', value: 'tmotd' },
-            { name: 'Challenges', value: 'challenges' }
+            { name: 'Challenges', value: 'challenges' },
+            { name: 'Top plays', value: 'topplays' }
           )
       )
   )
@@ -30,25 +37,70 @@ const mapSubmit = new SlashCommandBuilder()
           .setDescription('Link to your OSU! profile')
           .setRequired(true)
       )
+      .addStringOption(opt =>
+        opt
+          .setName('ruleset')
+          .setDescription('Game mode you play (default: your osu! profile default)')
+          .setRequired(false)
+          .addChoices(...RULESET_CHOICES)
+      )
   )
   .addSubcommand(sub =>
     sub
-      .setName('test')
-      .setDescription('Test command UI (admin only)')
+      .setName('ruleset')
+      .setDescription('Set which game mode Teto uses for your scores')
       .addStringOption(opt =>
         opt
-          .setName('command')
-          .setDescription('Command to test')
+          .setName('mode')
+          .setDescription('Game mode')
           .setRequired(true)
-          .addChoices(
-            { name: 'trs', value: 'trs' },
-            { name: 'tc', value: 'tc' },
-            { name: 'rsci', value: 'rsci' },
-            { name: 'rscr', value: 'rscr' },
-            { name: 'motd', value: 'motd' },
-            { name: 'report', value: 'report' },
-            { name: 'card', value: 'card' }
-          )
+          .addChoices(...RULESET_CHOICES)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('autorespond')
+      .setDescription('Let Teto respond to challenges for you when you play their maps')
+      .addBooleanOption(opt =>
+        opt
+          .setName('enabled')
+          .setDescription('Turn automatic challenge responses on or off')
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('rating')
+      .setDescription('Show a challenge ladder rating')
+      .addUserOption(opt =>
+        opt
+          .setName('user')
+          .setDescription('Whose rating to show (default: you)')
+          .setRequired(false)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('ladder')
+      .setDescription('Show the challenge rating leaderboard for this server')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('progress')
+      .setDescription('Chart a player\'s global rank and pp over time')
+      .addUserOption(opt =>
+        opt
+          .setName('user')
+          .setDescription('Whose progress to show (default: you)')
+          .setRequired(false)
+      )
+      .addIntegerOption(opt =>
+        opt
+          .setName('days')
+          .setDescription(`How many days back to chart (default: ${PROGRESS_DEFAULT_DAYS})`)
+          .setRequired(false)
+          .setMinValue(2)
+          .setMaxValue(PROGRESS_MAX_DAYS)
       )
   )
   .addSubcommand(sub =>
@@ -56,6 +108,189 @@ const mapSubmit = new SlashCommandBuilder()
       .setName('help')
       .setDescription('Show all available commands and their descriptions')
   )
+  .addSubcommandGroup(group =>
+    group
+      .setName('config')
+      .setDescription('Server settings (admin only)')
+      .addSubcommand(sub =>
+        sub
+          .setName('challenges')
+          .setDescription('Show or change challenge settings')
+          .addStringOption(opt =>
+            opt
+              .setName('win_rule')
+              .setDescription('How a challenge response is judged')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Key stats (3 of 5)', value: 'key_stats' },
+                { name: 'Score', value: 'score' },
+                { name: 'Score V2 (standardised)', value: 'score_v2' },
+                { name: 'Accuracy', value: 'accuracy' },
+                { name: 'PP', value: 'pp' },
+                { name: 'Weighted key stats', value: 'weighted' }
+              )
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName('expiry_days')
+              .setDescription('Retire challenges with no response for this many days (0 = never)')
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(365)
+          )
+          .addBooleanOption(opt =>
+            opt
+              .setName('auto_respond')
+              .setDescription('Allow players to opt in to automatic challenge responses (/teto autorespond)')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName('maps')
+          .setDescription('Show or change map of the day settings')
+          .addIntegerOption(opt =>
+            opt
+              .setName('duplicate_window_days')
+              .setDescription('Flag maps submitted again within this many days (0 = off)')
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(365)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('duplicates')
+              .setDescription('What happens when a recently submitted map is submitted again')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Ask the submitter to confirm', value: 'confirm' },
+                { name: 'Reject the submission', value: 'reject' }
+              )
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName('per_day')
+              .setDescription('Maps each player may submit per day (0 = unlimited)')
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(50)
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName('per_week')
+              .setDescription('Maps each player may submit in any 7 days (0 = no weekly limit)')
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(100)
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName('cooldown_hours')
+              .setDescription("Hours between a player's submissions (0 = none)")
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(168)
+          )
+          .addRoleOption(opt =>
+            opt
+              .setName('curator_role')
+              .setDescription('Members with this role skip the quota and cooldown')
+              .setRequired(false)
+          )
+          .addBooleanOption(opt =>
+            opt
+              .setName('remove_curator_role')
+              .setDescription('Stop exempting the curator role')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName('timezone')
+          .setDescription('Show or change the server timezone (map of the day, daily reset, weekly update)')
+          .addStringOption(opt =>
+            opt
+              .setName('timezone')
+              .setDescription('IANA timezone, e.g. Europe/Berlin, America/New_York or UTC')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(sub =>
+        sub
+          .setName('map_rules')
+          .setDescription('Show or change the rules maps of the day must follow')
+          .addNumberOption(opt =>
+            opt
+              .setName('min_stars')
+              .setDescription('Minimum star rating (0 = no minimum)')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+          .addNumberOption(opt =>
+            opt
+              .setName('max_stars')
+              .setDescription('Maximum star rating (0 = no maximum)')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+          .addIntegerOption(opt =>
+            opt
+              .setName('max_drain_seconds')
+              .setDescription('Maximum drain length in seconds (0 = no limit)')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('statuses')
+              .setDescription('Allowed beatmap statuses, e.g. "ranked, loved" ("any" allows all)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('ban_mapper')
+              .setDescription('Ban maps by this mapper (osu! username or user ID)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('unban_mapper')
+              .setDescription('Allow maps by a banned mapper again')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('ban_beatmapset')
+              .setDescription('Ban a beatmapset (link or ID)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('unban_beatmapset')
+              .setDescription('Allow a banned beatmapset again (link or ID)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('themed_day')
+              .setDescription('Weekday to set required mods for (use with themed_mods)')
+              .setRequired(false)
+              .addChoices(...WEEKDAY_NAMES.map((name, weekday) => ({ name, value: String(weekday) })))
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('themed_mods')
+              .setDescription('Mods every map must recommend on themed_day, e.g. HR ("none" clears the theme)')
+              .setRequired(false)
+          )
+          .addBooleanOption(opt =>
+            opt
+              .setName('reset')
+              .setDescription('Remove every rule')
+              .setRequired(false)
+          )
+      )
+  )
   .addSubcommandGroup(group => {
     const g = group
       .setName('map')
@@ -80,7 +315,53 @@ const mapSubmit = new SlashCommandBuilder()
           );
         }
         return s;
-      });
+      })
+      .addSubcommand(sc =>
+        sc
+          .setName('history')
+          .setDescription('Browse past maps of the day submitted in this server')
+          .addUserOption(opt =>
+            opt
+              .setName('user')
+              .setDescription('Only maps submitted by this player')
+              .setRequired(false)
+          )
+          .addNumberOption(opt =>
+            opt
+              .setName('min_stars')
+              .setDescription('Minimum star rating')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+          .addNumberOption(opt =>
+            opt
+              .setName('max_stars')
+              .setDescription('Maximum star rating')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('from')
+              .setDescription('Submitted on or after this date (YYYY-MM-DD)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('to')
+              .setDescription('Submitted on or before this date (YYYY-MM-DD)')
+              .setRequired(false)
+          )
+          .addStringOption(opt =>
+            opt
+              .setName('status')
+              .setDescription('Beatmap status when submitted')
+              .setRequired(false)
+              .addChoices(
+                ...MAP_STATUS_CHOICES
+              )
+          )
+      );
     return g;
   });
 
@@ -92,6 +373,23 @@ const rscCommand = new SlashCommandBuilder()
       .setName('respond_for_map_link')
       .setDescription('Link to OSU! beatmap or score (e.g. osu.ppy.sh/b/123 or osu.ppy.sh/scores/123)')
       .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('mod_lock')
+      .setDescription('When issuing: lock responses to your mods')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Any mods (no lock)', value: 'any' },
+        { name: 'Exactly my mods', value: 'exact' },
+        { name: 'Must include my mods', value: 'required' }
+      )
+  )
+  .addUserOption(opt =>
+    opt
+      .setName('h2h')
+      .setDescription('Show your head-to-head challenge record against this player instead')
+      .setRequired(false)
   );
 
 const trsCommand = new SlashCommandBuilder()
@@ -100,6 +398,127 @@ const trsCommand = new SlashCommandBuilder()
 
 const tcCommand = new SlashCommandBuilder()
   .setName('tc')
-  .setDescription('Look up your scores for the map');
+  .setDescription('Look up your scores for the map')
+  .addStringOption(opt =>
+    opt
+      .setName('map')
+      .setDescription('Beatmap link, score link or beatmap ID (default: last map linked in this channel)')
+      .setRequired(false)
+  )
+  .addUserOption(opt =>
+    opt
+      .setName('user')
+      .setDescription('Whose scores to show (default: you)')
+      .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('mods')
+      .setDescription('Only scores with these mods (e.g. HDDT), or NM for no mods')
+      .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('sort')
+      .setDescription('How to order the scores (default: score)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Score', value: 'score' },
+        { name: 'PP', value: 'pp' },
+        { name: 'Accuracy', value: 'accuracy' },
+        { name: 'Date (newest first)', value: 'date' }
+      )
+  );
+
+const lbCommand = new SlashCommandBuilder()
+  .setName('lb')
+  .setDescription('Server leaderboard for the map (uses last 20 messages for link)')
+  .addStringOption(opt =>
+    opt
+      .setName('map')
+      .setDescription('Beatmap link, score link or beatmap ID (default: last map linked in this channel)')
+      .setRequired(false)
+  );
+
+const compareCommand = new SlashCommandBuilder()
+  .setName('compare')
+  .setDescription('Compare two scores on a map without issuing a challenge')
+  .addStringOption(opt =>
+    opt
+      .setName('score')
+      .setDescription('First score link (e.g. osu.ppy.sh/scores/123)')
+      .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('against')
+      .setDescription('Second score link, on the same difficulty')
+      .setRequired(false)
+  )
+  .addUserOption(opt =>
+    opt
+      .setName('user')
+      .setDescription('Instead of links: compare your best score on the map with this player\'s')
+      .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('map')
+      .setDescription('With user: beatmap link, score link or beatmap ID (default: last map linked in this channel)')
+      .setRequired(false)
+  );
+
+const challengesCommand = new SlashCommandBuilder()
+  .setName('challenges')
+  .setDescription('Browse active challenges in this server')
+  .addNumberOption(opt =>
+    opt
+      .setName('min_stars')
+      .setDescription('Minimum star rating')
+      .setRequired(false)
+      .setMinValue(0)
+  )
+  .addNumberOption(opt =>
+    opt
+      .setName('max_stars')
+      .setDescription('Maximum star rating')
+      .setRequired(false)
+      .setMinValue(0)
+  )
+  .addUserOption(opt =>
+    opt
+      .setName('holder')
+      .setDescription('Only challenges held by this user')
+      .setRequired(false)
+  )
+  .addStringOption(opt =>
+    opt
+      .setName('mods')
+      .setDescription('Only challenges set with these mods (e.g. HDDT)')
+      .setRequired(false)
+  )
+  .addIntegerOption(opt =>
+    opt
+      .setName('max_age_days')
+      .setDescription('Only challenges issued within this many days')
+      .setRequired(false)
+      .setMinValue(1)
+  );
+
+/** Message context-menu commands (right-click a message > Apps): same as /rsc, /tc and /trs for the map linked in that message */
+export const MESSAGE_COMMAND_NAMES = {
+  rsc: 'Respond to challenge',
+  tc: 'My scores on this map',
+  trs: 'Record score for this map',
+};
+
+const messageCommands = Object.values(MESSAGE_COMMAND_NAMES).map(name =>
+  new ContextMenuCommandBuilder()
+    .setName(name)
+    .setType(ApplicationCommandType.Message)
+);
 
-export const commands = [mapSubmit.toJSON(), rscCommand.toJSON(), trsCommand.toJSON(), tcCommand.toJSON()];
+export const commands = [
+  mapSubmit.toJSON(), rscCommand.toJSON(), trsCommand.toJSON(), tcCommand.toJSON(), lbCommand.toJSON(), compareCommand.toJSON(), challengesCommand.toJSON(),
+  ...messageCommands.map(command => command.toJSON()),
+];
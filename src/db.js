@@ -7,6 +7,13 @@ import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+// Channel types set with /teto setup: display name and server_configs column
+export const CHANNEL_TYPES = {
+  tmotd: { name: 'TMOTD', column: 'tmotdChannelId' },
+  challenges: { name: 'Challenges', column: 'challengesChannelId' },
+  topplays: { name: 'Top plays', column: 'topPlaysChannelId' },
+};
+
 // Server Config operations
 export const serverConfig = {
   async get(guildId) {
@@ -20,25 +27,15 @@ export const serverConfig = {
     const config = await prisma.serverConfig.findUnique({
       where: { guildId },
     });
-    if (!config) return null;
-    
-    if (channelType === 'tmotd') {
-      return config.tmotdChannelId || null;
-    } else if (channelType === 'challenges') {
-      return config.challengesChannelId || null;
-    }
-    return null;
+    if (!config || !CHANNEL_TYPES[channelType]) return null;
+    return config[CHANNEL_TYPES[channelType].column] || null;
   },
 
   async setChannel(guildId, channelType, channelId) {
-    const updateData = {};
-    if (channelType === 'tmotd') {
-      updateData.tmotdChannelId = channelId;
-    } else if (channelType === 'challenges') {
-      updateData.challengesChannelId = channelId;
-    } else {
+    if (!CHANNEL_TYPES[channelType]) {
       throw new Error(`Invalid channel type: ${channelType}`);
     }
+    const updateData = { [CHANNEL_TYPES[channelType].column]: channelId };
 
     return prisma.serverConfig.upsert({
       where: { guildId },
@@ -47,6 +44,15 @@ export const serverConfig = {
     });
   },
 
+  /** Guilds that have a channel set for channelType. */
+  async getGuildIdsWithChannel(channelType) {
+    const configs = await prisma.serverConfig.findMany({
+      where: { [CHANNEL_TYPES[channelType].column]: { not: null } },
+      select: { guildId: true },
+    });
+    return configs.map(c => c.guildId);
+  },
+
   async delete(guildId) {
     return prisma.serverConfig.delete({
       where: { guildId },
@@ -54,6 +60,51 @@ export const serverConfig = {
   },
 };
 
+// Guild Settings operations (per-guild behaviour; missing rows fall back to defaults)
+export const GUILD_SETTINGS_DEFAULTS = {
+  challengeWinRule: 'key_stats',
+  challengeExpiryDays: null,
+  autoRespondEnabled: false,
+  duplicateMapWindowDays: 30,
+  duplicateMapAction: 'confirm',
+  timezone: 'UTC',
+  submissionsPerDay: 1,
+  submissionsPerWeek: null,
+  submissionCooldownHours: null,
+  submissionExemptRoleId: null,
+};
+
+export const guildSettings = {
+  async get(guildId) {
+    const settings = await prisma.guildSettings.findUnique({
+      where: { guildId },
+    });
+    return settings || { guildId, ...GUILD_SETTINGS_DEFAULTS };
+  },
+
+  async getWithChallengeExpiry() {
+    return prisma.guildSettings.findMany({
+      where: {
+        challengeExpiryDays: { not: null },
+      },
+    });
+  },
+
+  async getWithAutoRespond() {
+    return prisma.guildSettings.findMany({
+      where: { autoRespondEnabled: true },
+    });
+  },
+
+  async update(guildId, data) {
+    return prisma.guildSettings.upsert({
+      where: { guildId },
+      update: { ...data, updatedAt: new Date() },
+      create: { guildId, ...data },
+    });
+  },
+};
+
 // Submission operations
 export const submissions = {
   async getLastSubmissionDate(guildId, userId) {
@@ -80,21 +131,35 @@ export const submissions = {
   },
 
   async hasSubmittedToday(guildId, userId, today) {
-    const submission = await prisma.submission.findUnique({
+    const submission = await prisma.submission.findFirst({
       where: {
-        guildId_userId_submissionDate: {
-          guildId,
-          userId,
-          submissionDate: today,
-        },
+        guildId,
+        userId,
+        submissionDate: today,
       },
     });
     return !!submission;
   },
 
-  async deleteOldEntries(beforeDate) {
+  // A player's submissions on or after sinceDate (YYYY-MM-DD), oldest first, for quotas and cooldowns
+  async getSince(guildId, userId, sinceDate) {
+    return prisma.submission.findMany({
+      where: {
+        guildId,
+        userId,
+        submissionDate: { gte: sinceDate },
+      },
+      orderBy: {
+        createdAt: 'asc',
+      },
+    });
+  },
+
+  // Every guild's entries before beforeDate, or only guildId's (each guild's day starts in its own timezone)
+  async deleteOldEntries(beforeDate, guildId = null) {
     return prisma.submission.deleteMany({
       where: {
+        ...(guildId && { guildId }),
         submissionDate: {
           lt: beforeDate,
         },
@@ -103,6 +168,94 @@ export const submissions = {
   },
 };
 
+// Submission archive operations (every map of the day submission, kept after submissions are cleared)
+export const submissionArchive = {
+  async create(guildId, data) {
+    return prisma.archivedSubmission.create({
+      data: {
+        guildId,
+        ...data,
+      },
+    });
+  },
+
+  // Filters are optional; dates are YYYY-MM-DD (inclusive), status is a lowercase beatmap status
+  async search(guildId, { userId, minStars, maxStars, fromDate, toDate, status } = {}) {
+    const where = { guildId };
+    if (userId) where.userId = userId;
+    if (status) where.status = status;
+    if (minStars != null || maxStars != null) {
+      where.starRating = {};
+      if (minStars != null) where.starRating.gte = minStars;
+      if (maxStars != null) where.starRating.lte = maxStars;
+    }
+    if (fromDate || toDate) {
+      where.submissionDate = {};
+      if (fromDate) where.submissionDate.gte = fromDate;
+      if (toDate) where.submissionDate.lte = toDate;
+    }
+    return prisma.archivedSubmission.findMany({
+      where,
+      orderBy: [
+        { submissionDate: 'desc' },
+        { createdAt: 'desc' },
+      ],
+    });
+  },
+
+  // Newest submission of the same difficulty or beatmapset on or after sinceDate (YYYY-MM-DD), or null
+  async findRecentDuplicate(guildId, { beatmapId, beatmapsetId, sinceDate }) {
+    const sameMap = [{ beatmapId }];
+    if (beatmapsetId) sameMap.push({ beatmapsetId });
+    return prisma.archivedSubmission.findFirst({
+      where: {
+        guildId,
+        submissionDate: { gte: sinceDate },
+        OR: sameMap,
+      },
+      orderBy: [
+        { submissionDate: 'desc' },
+        { createdAt: 'desc' },
+      ],
+    });
+  },
+
+  async updateVotes(messageId, { upvotes, downvotes }) {
+    return prisma.archivedSubmission.updateMany({
+      where: { messageId },
+      data: { upvotes, downvotes },
+    });
+  },
+};
+
+// Submission Rules operations (map of the day guardrails; missing rows mean no rules)
+export const SUBMISSION_RULES_DEFAULTS = {
+  minStars: null,
+  maxStars: null,
+  maxDrainSeconds: null,
+  allowedStatuses: [],
+  bannedMappers: [],
+  bannedBeatmapsetIds: [],
+  themedDayMods: {},
+};
+
+export const submissionRules = {
+  async get(guildId) {
+    const rules = await prisma.submissionRules.findUnique({
+      where: { guildId },
+    });
+    return rules || { guildId, ...SUBMISSION_RULES_DEFAULTS };
+  },
+
+  async update(guildId, data) {
+    return prisma.submissionRules.upsert({
+      where: { guildId },
+      update: { ...data, updatedAt: new Date() },
+      create: { guildId, ...data },
+    });
+  },
+};
+
 // User Association operations
 export const associations = {
   async get(guildId, userId) {
@@ -117,7 +270,7 @@ export const associations = {
   },
 
   async set(guildId, userId, userData) {
-    const { discordUsername, osuUsername, osuUserId, profileLink } = userData;
+    const { discordUsername, osuUsername, osuUserId, profileLink, ruleset } = userData;
     return prisma.userAssociation.upsert({
       where: {
         guildId_discordUserId: {
@@ -130,6 +283,7 @@ export const associations = {
         osuUsername,
         osuUserId,
         profileLink,
+        ruleset,
         updatedAt: new Date(),
       },
       create: {
@@ -139,10 +293,70 @@ export const associations = {
         osuUsername,
         osuUserId,
         profileLink,
+        ruleset,
       },
     });
   },
 
+  async setRuleset(guildId, userId, ruleset) {
+    return prisma.userAssociation.update({
+      where: {
+        guildId_discordUserId: {
+          guildId,
+          discordUserId: userId,
+        },
+      },
+      data: { ruleset },
+    });
+  },
+
+  /** Opt in/out of automatic challenge responses. Opting in starts polling from now, not from old plays. */
+  async setAutoRespond(guildId, userId, enabled) {
+    return prisma.userAssociation.update({
+      where: {
+        guildId_discordUserId: {
+          guildId,
+          discordUserId: userId,
+        },
+      },
+      data: enabled ? { autoRespond: true, lastScorePollAt: new Date() } : { autoRespond: false },
+    });
+  },
+
+  /** Linked players in the given guilds who opted in to automatic responses, least recently polled first. */
+  async getAutoRespondUsers(guildIds) {
+    return prisma.userAssociation.findMany({
+      where: { guildId: { in: guildIds }, autoRespond: true, osuUserId: { not: null } },
+      orderBy: { lastScorePollAt: { sort: 'asc', nulls: 'first' } },
+    });
+  },
+
+  async setLastScorePollAt(guildId, userId, polledAt) {
+    return prisma.userAssociation.update({
+      where: {
+        guildId_discordUserId: {
+          guildId,
+          discordUserId: userId,
+        },
+      },
+      data: { lastScorePollAt: polledAt },
+    });
+  },
+
+  /** Every linked player in every guild. */
+  async getAllLinked() {
+    return prisma.userAssociation.findMany({
+      where: { osuUserId: { not: null } },
+    });
+  },
+
+  /** Every linked player in the given guilds. */
+  async getLinkedInGuilds(guildIds) {
+    return prisma.userAssociation.findMany({
+      where: { guildId: { in: guildIds }, osuUserId: { not: null } },
+    });
+  },
+
   async delete(guildId, userId) {
     return prisma.userAssociation.delete({
       where: {
@@ -199,7 +413,7 @@ export const activeChallenges = {
     });
   },
 
-  async create(guildId, beatmapId, difficulty, challengerUserId, challengerOsuId, challengerScore) {
+  async create(guildId, beatmapId, difficulty, challengerUserId, challengerOsuId, challengerScore, modLock = 'any', lockedMods = []) {
     return prisma.activeChallenge.create({
       data: {
         guildId,
@@ -209,6 +423,8 @@ export const activeChallenges = {
         challengerOsuId,
         challengerScore,
         originalChallengerUserId: challengerUserId, // Original challenger is the same as current when creating
+        modLock,
+        lockedMods,
       },
     });
   },
@@ -288,6 +504,268 @@ export const activeChallenges = {
   },
 };
 
+// Challenge Attempt operations (every /rsc response, kept permanently)
+export const challengeAttempts = {
+  async create(guildId, attemptData) {
+    const {
+      beatmapId,
+      difficulty,
+      responderUserId,
+      responderOsuId,
+      responderScore,
+      responderScoreId,
+      championUserId,
+      championOsuId,
+      championScore,
+      statWinners,
+      responderWins,
+      result,
+      messageId,
+    } = attemptData;
+    return prisma.challengeAttempt.create({
+      data: {
+        guildId,
+        beatmapId,
+        difficulty,
+        responderUserId,
+        responderOsuId,
+        responderScore,
+        responderScoreId: responderScoreId ?? null,
+        championUserId,
+        championOsuId,
+        championScore,
+        statWinners,
+        responderWins,
+        result,
+        messageId: messageId ?? null,
+      },
+    });
+  },
+
+  async getLatestByDifficulty(guildId, beatmapId, difficulty) {
+    return prisma.challengeAttempt.findFirst({
+      where: {
+        guildId,
+        beatmapId,
+        difficulty,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+  },
+
+  // Whether an osu! score was already used to respond on this difficulty since `since` (when the challenge was issued)
+  async hasScoreResponse(guildId, beatmapId, difficulty, responderScoreId, since) {
+    const attempt = await prisma.challengeAttempt.findFirst({
+      where: {
+        guildId,
+        beatmapId,
+        difficulty,
+        responderScoreId,
+        createdAt: { gte: since },
+      },
+      select: { id: true },
+    });
+    return attempt !== null;
+  },
+
+  // Responses where one of the two players challenged the other
+  async getBetweenUsers(guildId, userA, userB) {
+    return prisma.challengeAttempt.findMany({
+      where: {
+        guildId,
+        OR: [
+          { responderUserId: userA, championUserId: userB },
+          { responderUserId: userB, championUserId: userA },
+        ],
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+  },
+};
+
+// Challenge Reign operations (who held each challenge, and for how long)
+export const challengeReigns = {
+  async start(guildId, beatmapId, difficulty, championUserId, championOsuId, championScore) {
+    return prisma.challengeReign.create({
+      data: {
+        guildId,
+        beatmapId,
+        difficulty,
+        championUserId,
+        championOsuId,
+        championScore,
+      },
+    });
+  },
+
+  // Close the ongoing reign (if any) and open a new one for the new champion, atomically
+  async transfer(guildId, beatmapId, difficulty, newChampionUserId, newChampionOsuId, newChampionScore) {
+    const now = new Date();
+    const [, reign] = await prisma.$transaction([
+      prisma.challengeReign.updateMany({
+        where: {
+          guildId,
+          beatmapId,
+          difficulty,
+          endedAt: null,
+        },
+        data: {
+          endedAt: now,
+          endedByUserId: newChampionUserId,
+        },
+      }),
+      prisma.challengeReign.create({
+        data: {
+          guildId,
+          beatmapId,
+          difficulty,
+          championUserId: newChampionUserId,
+          championOsuId: newChampionOsuId,
+          championScore: newChampionScore,
+          startedAt: now,
+        },
+      }),
+    ]);
+    return reign;
+  },
+
+  // The champion improved their own challenge: the ongoing reign carries on with the new score
+  async updateScore(guildId, beatmapId, difficulty, championScore) {
+    return prisma.challengeReign.updateMany({
+      where: {
+        guildId,
+        beatmapId,
+        difficulty,
+        endedAt: null,
+      },
+      data: { championScore },
+    });
+  },
+};
+
+// Archived Challenge operations (challenges retired from active_challenges)
+export const archivedChallenges = {
+  // Move an active challenge to the archive and close its ongoing reign, atomically
+  async archive(challenge, reason) {
+    const now = new Date();
+    const [archived] = await prisma.$transaction([
+      prisma.archivedChallenge.create({
+        data: {
+          guildId: challenge.guildId,
+          beatmapId: challenge.beatmapId,
+          difficulty: challenge.difficulty,
+          challengerUserId: challenge.challengerUserId,
+          challengerOsuId: challenge.challengerOsuId,
+          challengerScore: challenge.challengerScore,
+          originalChallengerUserId: challenge.originalChallengerUserId,
+          modLock: challenge.modLock ?? 'any',
+          lockedMods: challenge.lockedMods ?? [],
+          reason,
+          createdAt: challenge.createdAt,
+          championSince: challenge.updatedAt,
+          archivedAt: now,
+        },
+      }),
+      prisma.activeChallenge.delete({
+        where: { id: challenge.id },
+      }),
+      prisma.challengeReign.updateMany({
+        where: {
+          guildId: challenge.guildId,
+          beatmapId: challenge.beatmapId,
+          difficulty: challenge.difficulty,
+          endedAt: null,
+        },
+        data: {
+          endedAt: now,
+        },
+      }),
+    ]);
+    return archived;
+  },
+};
+
+// Player Rating operations (challenge ladder; players without a row have the default rating)
+export const PLAYER_RATING_DEFAULTS = {
+  rating: 1500,
+  peakRating: 1500,
+  wins: 0,
+  losses: 0,
+};
+
+export const playerRatings = {
+  async get(guildId, discordUserId) {
+    const rating = await prisma.playerRating.findUnique({
+      where: { guildId_discordUserId: { guildId, discordUserId } },
+    });
+    return rating || { guildId, discordUserId, ...PLAYER_RATING_DEFAULTS };
+  },
+
+  // Winner gains `points`, loser loses them; both rows are created on first result
+  async recordResult(guildId, winnerUserId, loserUserId, points) {
+    return prisma.$transaction(async (tx) => {
+      const apply = async (discordUserId, change, won) => {
+        const where = { guildId_discordUserId: { guildId, discordUserId } };
+        const current = await tx.playerRating.findUnique({ where });
+        const rating = (current?.rating ?? PLAYER_RATING_DEFAULTS.rating) + change;
+        const peakRating = Math.max(current?.peakRating ?? PLAYER_RATING_DEFAULTS.peakRating, rating);
+        return tx.playerRating.upsert({
+          where,
+          update: {
+            rating,
+            peakRating,
+            [won ? 'wins' : 'losses']: { increment: 1 },
+            updatedAt: new Date(),
+          },
+          create: {
+            guildId,
+            discordUserId,
+            rating,
+            peakRating,
+            wins: won ? 1 : 0,
+            losses: won ? 0 : 1,
+          },
+        });
+      };
+      const winner = await apply(winnerUserId, points, true);
+      const loser = await apply(loserUserId, -points, false);
+      return { winner, loser };
+    });
+  },
+
+  async getLeaderboard(guildId, limit = 10) {
+    return prisma.playerRating.findMany({
+      where: { guildId },
+      orderBy: [
+        { rating: 'desc' },
+        { updatedAt: 'asc' },
+      ],
+      take: limit,
+    });
+  },
+
+  async count(guildId) {
+    return prisma.playerRating.count({
+      where: { guildId },
+    });
+  },
+
+  // 1-based ladder position for a rating (ties share a position)
+  async getPosition(guildId, rating) {
+    const higher = await prisma.playerRating.count({
+      where: {
+        guildId,
+        rating: { gt: rating },
+      },
+    });
+    return higher + 1;
+  },
+};
+
 // Local Score operations
 export const localScores = {
   async create(guildId, discordUserId, osuUserId, score) {
@@ -380,6 +858,99 @@ export const localScores = {
       return scoreBeatmapId === beatmapId && scoreDifficulty === difficulty;
     });
   },
+
+  /** Every stored score in a guild on a beatmap (any difficulty when difficulty is null), newest first. */
+  async getByBeatmap(guildId, beatmapId, difficulty) {
+    const allScores = await prisma.localScore.findMany({
+      where: { guildId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    // Filter by beatmap ID and difficulty (stored in JSON)
+    return allScores.filter(record => {
+      const score = record.score;
+      if (!score || typeof score !== 'object') return false;
+      return score.beatmap?.id?.toString() === String(beatmapId) && (!difficulty || score.beatmap?.version === difficulty);
+    });
+  },
+};
+
+// Top play snapshots (each osu! user's top plays per ruleset at the last check, shared across guilds)
+export const topPlaySnapshots = {
+  async get(osuUserId, ruleset) {
+    return prisma.topPlaySnapshot.findUnique({
+      where: { osuUserId_ruleset: { osuUserId, ruleset } },
+    });
+  },
+
+  async getMany(osuUserIds) {
+    return prisma.topPlaySnapshot.findMany({
+      where: { osuUserId: { in: osuUserIds } },
+    });
+  },
+
+  async save(osuUserId, ruleset, scores) {
+    return prisma.topPlaySnapshot.upsert({
+      where: { osuUserId_ruleset: { osuUserId, ruleset } },
+      update: { scores, updatedAt: new Date() },
+      create: { osuUserId, ruleset, scores },
+    });
+  },
+};
+
+// User stats snapshots (daily osu! profile stats per linked osu! user and ruleset, for /teto progress)
+export const userStatsSnapshots = {
+  async save(osuUserId, ruleset, date, stats) {
+    const { globalRank, pp, accuracy, playCount } = stats;
+    return prisma.userStatsSnapshot.upsert({
+      where: { osuUserId_ruleset_date: { osuUserId, ruleset, date } },
+      update: { globalRank, pp, accuracy, playCount },
+      create: { osuUserId, ruleset, date, globalRank, pp, accuracy, playCount },
+    });
+  },
+
+  /** Snapshots from sinceDate (YYYY-MM-DD) on, oldest first. */
+  async getHistory(osuUserId, ruleset, sinceDate) {
+    return prisma.userStatsSnapshot.findMany({
+      where: { osuUserId, ruleset, date: { gte: sinceDate } },
+      orderBy: { date: 'asc' },
+    });
+  },
+
+  /** Snapshots of several osu! users from sinceDate on, oldest first. */
+  async getHistoryForUsers(osuUserIds, sinceDate) {
+    return prisma.userStatsSnapshot.findMany({
+      where: { osuUserId: { in: osuUserIds }, date: { gte: sinceDate } },
+      orderBy: { date: 'asc' },
+    });
+  },
+};
+
+// osu! API response cache (persistent layer behind the in-memory cache in osu-api.js)
+export const apiCache = {
+  async get(key) {
+    const entry = await prisma.apiCacheEntry.findUnique({
+      where: { key },
+    });
+    if (!entry || entry.expiresAt <= new Date()) return null;
+    return entry;
+  },
+
+  async set(key, value, expiresAt) {
+    return prisma.apiCacheEntry.upsert({
+      where: { key },
+      update: { value, expiresAt },
+      create: { key, value, expiresAt },
+    });
+  },
+
+  async deleteExpired() {
+    return prisma.apiCacheEntry.deleteMany({
+      where: {
+        expiresAt: { lte: new Date() },
+      },
+    });
+  },
 };
 
 // Cleanup function for graceful shutdown
@@ -0,0 +1,78 @@
+/**
+ * Per-guild scheduled jobs that run in each guild's own timezone (guild_settings.timezone, set with
+ * /teto config timezone): the daily submission reset and the weekly update. index.js schedules every guild
+ * the bot is in once it's ready and reschedules a guild when its timezone changes.
+ */
+
+import cron from 'node-cron';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/** Canonical name of an IANA timezone ("europe/berlin" -> "Europe/Berlin"), or null if it isn't one. */
+export function normalizeTimezone(input) {
+  if (!input || typeof input !== 'string') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: input.trim() }).resolvedOptions().timeZone;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** YYYY-MM-DD of `now` in a timezone: the guild's submission day. */
+export function todayInTimezone(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(now);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Schedule each job once per guild, on its cron expression in the guild's timezone. A job that is still
+ * running for a guild is skipped until the next tick; errors are logged per guild.
+ * @param {Array<{ name: string, expression: string, run: (guildId: string, timezone: string) => Promise<void> }>} jobs
+ * @param {{ schedule?: (expression: string, fn: Function, options: { timezone: string }) => { stop: Function } }} [options]
+ *   - node-cron's schedule by default
+ */
+export function createGuildScheduler(jobs, { schedule = cron.schedule } = {}) {
+  const guilds = new Map(); // guildId -> { timezone, tasks }
+
+  function unscheduleGuild(guildId) {
+    for (const task of guilds.get(guildId)?.tasks ?? []) task.stop();
+    guilds.delete(guildId);
+  }
+
+  function scheduleGuild(guildId, timezone = DEFAULT_TIMEZONE) {
+    unscheduleGuild(guildId);
+    const tasks = jobs.map((job) => {
+      let running = false;
+      return schedule(job.expression, async () => {
+        if (running) return;
+        running = true;
+        try {
+          await job.run(guildId, timezone);
+        } catch (error) {
+          console.error(`[scheduler] Error in ${job.name} for guild ${guildId}:`, error);
+        } finally {
+          running = false;
+        }
+      }, { timezone });
+    });
+    guilds.set(guildId, { timezone, tasks });
+  }
+
+  return {
+    schedule: scheduleGuild,
+    unschedule: unscheduleGuild,
+    /** Timezone a guild's jobs run in, or null if it isn't scheduled. */
+    getTimezone(guildId) {
+      return guilds.get(guildId)?.timezone ?? null;
+    },
+    stopAll() {
+      for (const guildId of [...guilds.keys()]) unscheduleGuild(guildId);
+    },
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Head-to-head records between two players, built from challenge_attempts rows.
+ * summarizeHeadToHead(attempts, userA, userB) returns meetings, maps, last meeting and per-player records.
+ */
+
+/** Challenge key for grouping attempts by map. */
+function mapKey(attempt) {
+  return `${attempt.beatmapId}:${attempt.difficulty}`;
+}
+
+/** Discord user ID who won a challenge response ('won' = responder took the title, otherwise the champion defended). */
+export function getAttemptWinner(attempt) {
+  return attempt.result === 'won' ? attempt.responderUserId : attempt.championUserId;
+}
+
+/** True for a response where one of the two players challenged the other (own-challenge improvements don't count). */
+export function isHeadToHeadAttempt(attempt, userA, userB) {
+  return (attempt.responderUserId === userA && attempt.championUserId === userB)
+    || (attempt.responderUserId === userB && attempt.championUserId === userA);
+}
+
+function emptyRecord() {
+  return { wins: 0, losses: 0, takeovers: 0, defences: 0, mapsWon: 0, bestStreak: 0 };
+}
+
+/**
+ * Aggregate every meeting between two players.
+ * @param {object[]} attempts - challenge_attempts rows (any order; rows not between the two players are ignored)
+ * @param {string} userA - Discord user ID
+ * @param {string} userB - Discord user ID
+ * @returns {{
+ *   meetings: number,
+ *   maps: { beatmapId: string, difficulty: string, meetings: number, lastAttempt: object }[],
+ *   lastMeeting: { attempt: object, winnerUserId: string } | null,
+ *   records: Record<string, { wins: number, losses: number, takeovers: number, defences: number, mapsWon: number, bestStreak: number }>
+ * }} maps sorted by meetings (most contested first)
+ */
+export function summarizeHeadToHead(attempts, userA, userB) {
+  const meetings = (attempts || [])
+    .filter((a) => isHeadToHeadAttempt(a, userA, userB))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const records = { [userA]: emptyRecord(), [userB]: emptyRecord() };
+  const streaks = { [userA]: 0, [userB]: 0 };
+  const maps = new Map();
+  const mapsWonBy = { [userA]: new Set(), [userB]: new Set() };
+
+  for (const attempt of meetings) {
+    const winner = getAttemptWinner(attempt);
+    const loser = winner === userA ? userB : userA;
+    records[winner].wins++;
+    records[loser].losses++;
+    if (attempt.responderUserId === winner) records[winner].takeovers++;
+    else records[winner].defences++;
+
+    streaks[winner]++;
+    streaks[loser] = 0;
+    records[winner].bestStreak = Math.max(records[winner].bestStreak, streaks[winner]);
+
+    const key = mapKey(attempt);
+    mapsWonBy[winner].add(key);
+    const map = maps.get(key) || { beatmapId: attempt.beatmapId, difficulty: attempt.difficulty, meetings: 0, lastAttempt: null };
+    map.meetings++;
+    map.lastAttempt = attempt;
+    maps.set(key, map);
+  }
+  records[userA].mapsWon = mapsWonBy[userA].size;
+  records[userB].mapsWon = mapsWonBy[userB].size;
+
+  const last = meetings[meetings.length - 1];
+  return {
+    meetings: meetings.length,
+    maps: [...maps.values()].sort((a, b) => b.meetings - a.meetings || new Date(b.lastAttempt.createdAt) - new Date(a.lastAttempt.createdAt)),
+    lastMeeting: last ? { attempt: last, winnerUserId: getAttemptWinner(last) } : null,
+    records,
+  };
+}
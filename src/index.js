@@ -6,22 +6,38 @@ import {
   Events,
   EmbedBuilder,
   AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  StringSelectMenuBuilder,
 } from 'discord.js';
 import cron from 'node-cron';
-import { commands } from './commands.js';
-import { extractBeatmapId, getUserRecentScores, getUserBeatmapScore, getUserBeatmapScoresAll, getUser, getBeatmap, resolveMapOrScoreLink } from './osu-api.js';
+import { commands, MESSAGE_COMMAND_NAMES } from './commands.js';
+import { extractBeatmapId, getUserRecentScores, getUserBestScores, getUserBeatmapScore, getUserBeatmapScoresAll, getUser, getBeatmap, resolveMapOrScoreLink, setPersistentCache, RateLimitedError, UpstreamError } from './osu-api.js';
 import { buildBeatmapLinkFromIds, formatDifficultyLabel, getBeatmapAndLink } from './helpers.js';
 import { initializeEmojis, formatTetoText } from './emoji.js';
-import { extractScoreValue, compareScores, formatBeatmapLink, getBeatmapsetImageUrl, isValidScore, getMapTitle, getMapArtist, formatStarRating, formatPlayerStats, formatPlayerStatsCompact, getBeatmapStatusName, isScoreSavedOnOsu, extractBeatmapInfoFromMessage, extractOsuProfile } from './scoreHelpers.js';
-import { serverConfig as dbServerConfig, submissions, associations, activeChallenges, localScores, disconnect, prisma } from './db.js';
-import { drawChallengeCard } from './card.js';
-import { handleRsc, handleTc, handleTrs, handleTeto } from './commandHandlers.js';
-import { runTestCommand } from './testHandlers.js';
+import { extractScoreValue, compareScores, formatBeatmapLink, getBeatmapsetImageUrl, isValidScore, getMapTitle, getMapArtist, formatStarRating, formatPlayerStats, formatPlayerStatsCompact, getBeatmapStatusName, isScoreSavedOnOsu, extractBeatmapInfoFromMessage, extractOsuProfile, formatMods, getModAcronyms, parseModAcronyms, getStarRating, WIN_RULES, DEFAULT_WIN_RULE, satisfiesModLock, formatModLock } from './scoreHelpers.js';
+import { serverConfig as dbServerConfig, CHANNEL_TYPES, guildSettings, submissions, submissionArchive, submissionRules, SUBMISSION_RULES_DEFAULTS, associations, activeChallenges, challengeAttempts, challengeReigns, playerRatings, topPlaySnapshots, userStatsSnapshots, localScores, apiCache, disconnect, prisma } from './db.js';
+import { drawChallengeCard, drawHeadToHeadCard, drawProgressChart } from './card.js';
+import { RULESETS, DEFAULT_RULESET, normalizeRuleset, getScoreRuleset, getRulesetName, resolvePlayRuleset, tagScoreRuleset } from './rulesets.js';
+import { handleRsc, handleTc, handleLeaderboard, handleCompare, handleTrs, handleTeto, handleChallenges } from './commandHandlers.js';
 import {
   generateWeeklyUpdate as generateWeeklyUpdateFn,
   latestMessageIsWeeklyUpdate,
+  formatChallengeEntry,
+  calculateTimeHeld,
 } from './weeklyUpdate.js';
-import { handleMessageReactionAdd } from './reactionHandler.js';
+import { retireExpiredChallenges, formatRetirementMessage } from './challengeExpiry.js';
+import { pollScores } from './scorePoller.js';
+import { pollTopPlays } from './topPlays.js';
+import { snapshotAllUserStats, recordUserStats, getBiggestClimbers, summarizeProgress, toDateString, daysAgoString, PROGRESS_DEFAULT_DAYS } from './userStats.js';
+import { createGuildScheduler, normalizeTimezone, todayInTimezone, DEFAULT_TIMEZONE } from './guildScheduler.js';
+import { checkSubmissionRules, formatSubmissionRules, parseStatusList, parseThemedMods, parseBeatmapsetId, BEATMAP_STATUS_NAMES, VALID_MODS, checkSubmissionQuota, formatSubmissionQuota, submissionHistoryStart } from './submissionRules.js';
+import { calculateRatingChange, formatRatingChange } from './rating.js';
+import { summarizeHeadToHead } from './headToHead.js';
+import { collectMapLeaderboard } from './leaderboard.js';
+import { handleMessageReactionAdd, handleMessageReactionRemove } from './reactionHandler.js';
 
 const client = new Client({
   intents: [
@@ -42,6 +58,23 @@ if (!TOKEN) {
 // Parent guild ID for emojis (optional - if not set, will search all guilds)
 const PARENT_GUILD_ID = process.env.PARENT_GUILD_ID;
 
+// Optional: persist osu! API responses (beatmaps, users) in the api_cache table across restarts
+if (process.env.OSU_API_CACHE_PERSIST === 'true') {
+  setPersistentCache(apiCache);
+}
+
+// Automatic challenge responses: how often to poll opted-in players, and how many (across all guilds) per run
+// (each costs one osu! API request out of the shared rate budget)
+const SCORE_POLL_INTERVAL_MINUTES = Math.min(59, Math.max(1, parseInt(process.env.SCORE_POLL_INTERVAL_MINUTES || '', 10) || 5));
+const SCORE_POLL_MAX_USERS_PER_RUN = parseInt(process.env.SCORE_POLL_MAX_USERS_PER_RUN || '', 10) || 20;
+
+// Top-play feed: how often to check linked players' top plays, and how many osu! users per run
+const TOP_PLAYS_INTERVAL_MINUTES = Math.min(59, Math.max(1, parseInt(process.env.TOP_PLAYS_INTERVAL_MINUTES || '', 10) || 15));
+const TOP_PLAYS_MAX_USERS_PER_RUN = parseInt(process.env.TOP_PLAYS_MAX_USERS_PER_RUN || '', 10) || 30;
+
+// /lb: how many linked members to check on osu! per leaderboard (one request each)
+const LEADERBOARD_MAX_MEMBERS = parseInt(process.env.LEADERBOARD_MAX_MEMBERS || '', 10) || 50;
+
 // Bot embed color: #c6da29 (13030697 in decimal)
 const BOT_EMBED_COLOR = 0xc6da29;
 
@@ -128,10 +161,10 @@ async function createEmbed(content, imageUrl = null) {
   return embeds;
 }
 
-// Helper: today's date string YYYY-MM-DD
-function todayString() {
-  const now = new Date();
-  return now.toISOString().split('T')[0];
+// Helper: today's date string YYYY-MM-DD in the guild's timezone (its submission day)
+async function guildTodayString(guildId) {
+  const { timezone } = await guildSettings.get(guildId);
+  return todayInTimezone(timezone || DEFAULT_TIMEZONE);
 }
 
 // Helper: get operating channel with validation
@@ -139,8 +172,7 @@ function todayString() {
 async function getOperatingChannel(guildId, guild, channelType) {
   const opChannelId = await dbServerConfig.getChannelId(guildId, channelType);
   if (!opChannelId) {
-    const channelTypeName = channelType === 'tmotd' ? 'TMOTD' : 'Challenges';
-    return { error: `${channelTypeName} channel is not set up yet. Ask an admin to use /teto setup.` };
+    return { error: `${CHANNEL_TYPES[channelType].name} channel is not set up yet. Ask an admin to use /teto setup.` };
   }
 
   try {
@@ -156,10 +188,15 @@ async function getOperatingChannel(guildId, guild, channelType) {
 }
 
 // Helper: create and post a challenge announcement (caller should enrich score beatmap when from API)
-async function createAndPostChallenge(guildId, userId, osuUserId, userScore, opChannel, interaction) {
+// modLock: 'any' (default), 'exact' or 'required' — locks responses to the issuer's mods
+async function createAndPostChallenge(guildId, userId, osuUserId, userScore, opChannel, interaction, modLock = 'any') {
   const beatmapId = userScore.beatmap?.id?.toString();
   const difficulty = userScore.beatmap?.version ?? 'Unknown';
   if (!beatmapId) throw new Error('createAndPostChallenge: score missing beatmap id');
+
+  const lockedMods = getModAcronyms(userScore);
+  // "Must include" nothing is no lock at all
+  const effectiveModLock = modLock === 'required' && lockedMods.length === 0 ? 'any' : (modLock || 'any');
   
   // Create new challenge
   await activeChallenges.create(
@@ -168,8 +205,15 @@ async function createAndPostChallenge(guildId, userId, osuUserId, userScore, opC
     difficulty,
     userId,
     osuUserId,
-    userScore
+    userScore,
+    effectiveModLock,
+    effectiveModLock === 'any' ? [] : lockedMods
   );
+  try {
+    await challengeReigns.start(guildId, beatmapId, difficulty, userId, osuUserId, userScore);
+  } catch (error) {
+    console.error('Error recording challenge reign:', error);
+  }
 
   // Post challenge announcement to operational channel
   const beatmapLink = formatBeatmapLink(userScore);
@@ -180,7 +224,9 @@ async function createAndPostChallenge(guildId, userId, osuUserId, userScore, opC
   const starRatingText = await formatStarRating(userScore);
   const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
   
-  const challengeMessage = `<@${userId}> has issued a challenge for ${difficultyLink}!\n\nBeat the score below and use \`/rsc\` command to respond!\n\n${playerStats}`;
+  const modLockText = formatModLock(effectiveModLock, lockedMods);
+  const modLockLine = modLockText ? `\n🔒 **Mod lock:** ${modLockText}` : '';
+  const challengeMessage = `<@${userId}> has issued a challenge for ${difficultyLink}!${modLockLine}\n\nBeat the score below and use \`/rsc\` command to respond!\n\n${playerStats}`;
   
   // Get beatmapset image URL for the embed
   const imageUrl = await getBeatmapsetImageUrl(userScore);
@@ -190,20 +236,9 @@ async function createAndPostChallenge(guildId, userId, osuUserId, userScore, opC
   return { difficultyLink, imageUrl, difficultyLabel };
 }
 
-/** generateWeeklyUpdate bound with createEmbed for test/cron use. */
+/** generateWeeklyUpdate bound with createEmbed, the challenge store and biggest climbers for cron use. */
 function generateWeeklyUpdate(guildId) {
-  return generateWeeklyUpdateFn(guildId, createEmbed);
-}
-
-/** Build context for /teto test handlers. */
-function buildTestContext() {
-  return {
-    createEmbed,
-    getOperatingChannel,
-    generateWeeklyUpdate,
-    BOT_EMBED_COLOR,
-    formatDifficultyLabel,
-  };
+  return generateWeeklyUpdateFn(guildId, createEmbed, activeChallenges, (id) => getBiggestClimbers(id, buildUserStatsContext()));
 }
 
 // Database connection health check with retry
@@ -242,20 +277,39 @@ client.once(Events.ClientReady, async () => {
   
   // Try to connect to DB (retries in background, doesn't block bot)
   await waitForDatabase();
+
+  // Per-guild jobs need each guild's timezone, so schedule them once the DB is reachable
+  for (const guildId of client.guilds.cache.keys()) {
+    await scheduleGuild(guildId);
+  }
+  console.log(`[scheduler] Scheduled daily reset and weekly update for ${client.guilds.cache.size} guild(s)`);
 });
 
-/** Build context for /rsc and /tc handlers (all dependencies passed to commandHandlers.js) */
+/** Build context for /rsc, /tc, /lb, /compare and /trs handlers (all dependencies passed to commandHandlers.js) */
 function buildRscTcContext() {
   return {
     createEmbed,
     getOperatingChannel,
     associations,
     activeChallenges,
+    challengeAttempts,
+    challengeReigns,
+    playerRatings,
+    calculateRatingChange,
+    formatRatingChange,
+    getStarRating,
+    guildSettings,
     createAndPostChallenge,
+    satisfiesModLock,
+    formatModLock,
+    formatMods,
+    parseModAcronyms,
     compareScores,
     extractScoreValue,
     formatBeatmapLink,
     drawChallengeCard,
+    drawHeadToHeadCard,
+    summarizeHeadToHead,
     getMapTitle,
     getMapArtist,
     formatDifficultyLabel,
@@ -268,8 +322,15 @@ function buildRscTcContext() {
     getUser,
     AttachmentBuilder,
     EmbedBuilder,
+    ActionRowBuilder,
+    StringSelectMenuBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
     BOT_EMBED_COLOR,
     getUserBeatmapScoresAll,
+    collectMapLeaderboard,
+    leaderboardMaxMembers: LEADERBOARD_MAX_MEMBERS,
     getBeatmapAndLink,
     buildBeatmapLinkFromIds,
     getBeatmapsetImageUrl,
@@ -280,56 +341,195 @@ function buildRscTcContext() {
     formatTetoText,
     getBeatmapStatusName,
     isScoreSavedOnOsu,
+    DEFAULT_RULESET,
+    getScoreRuleset,
+    getRulesetName,
+    resolvePlayRuleset,
+    tagScoreRuleset,
   };
 }
 
-/** Build context for /teto handler (setup, link, help, test, map submit). */
+/** Build context for /challenges (active challenge browser). */
+function buildChallengesContext() {
+  return {
+    createEmbed,
+    activeChallenges,
+    formatChallengeEntry,
+    calculateTimeHeld,
+    formatMods,
+    getModAcronyms,
+    parseModAcronyms,
+    getStarRating,
+    formatModLock,
+    formatTetoText,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+  };
+}
+
+/** Build context for the top-play feed job. */
+function buildTopPlaysContext() {
+  return {
+    createEmbed,
+    serverConfig: dbServerConfig,
+    associations,
+    topPlaySnapshots,
+    getUserBestScores,
+    async getTopPlaysChannel(guildId) {
+      const guild = await client.guilds.fetch(guildId);
+      if (!guild) return null;
+      const opChannelResult = await getOperatingChannel(guildId, guild, 'topplays');
+      return opChannelResult.channel ?? null;
+    },
+    getMapTitle,
+    getMapArtist,
+    formatDifficultyLabel,
+    formatStarRating,
+    formatBeatmapLink,
+    formatPlayerStats,
+    getBeatmapsetImageUrl,
+    DEFAULT_RULESET,
+  };
+}
+
+/** Build context for the score poller: the /rsc context plus the challenges channel of each guild. */
+function buildScorePollContext() {
+  return {
+    ...buildRscTcContext(),
+    async getChallengesChannel(guildId) {
+      const guild = await client.guilds.fetch(guildId);
+      if (!guild) return null;
+      const opChannelResult = await getOperatingChannel(guildId, guild, 'challenges');
+      return opChannelResult.channel ?? null;
+    },
+  };
+}
+
+/** Build context for the reaction handlers (meh votes and vote counts in the submission archive). */
+function buildReactionContext() {
+  return {
+    createEmbed,
+    serverConfig: dbServerConfig,
+    submissionArchive,
+  };
+}
+
+/** Build context for the daily stats snapshot job and weekly climbers (userStats.js). */
+function buildUserStatsContext() {
+  return {
+    associations,
+    userStatsSnapshots,
+    getUser,
+    DEFAULT_RULESET,
+  };
+}
+
+/** Build context for /teto handler (setup, link, ruleset, autorespond, rating, ladder, progress, config, help, map submit/history). */
 function buildTetoContext() {
   return {
     createEmbed,
     getOperatingChannel,
     formatTetoText,
     dbServerConfig,
+    CHANNEL_TYPES,
+    guildSettings,
+    playerRatings,
+    RULESETS,
+    DEFAULT_RULESET,
+    normalizeRuleset,
+    getRulesetName,
+    WIN_RULES,
+    DEFAULT_WIN_RULE,
     associations,
     getUser,
-    runTestCommand,
-    buildTestContext,
-    todayString,
+    guildTodayString,
+    normalizeTimezone,
+    todayInTimezone,
+    rescheduleGuild: scheduleGuild,
     resolveMapOrScoreLink,
     extractBeatmapId,
     submissions,
+    submissionArchive,
+    submissionRules,
+    SUBMISSION_RULES_DEFAULTS,
+    checkSubmissionRules,
+    formatSubmissionRules,
+    checkSubmissionQuota,
+    formatSubmissionQuota,
+    submissionHistoryStart,
+    parseStatusList,
+    parseThemedMods,
+    parseBeatmapsetId,
+    BEATMAP_STATUS_NAMES,
+    VALID_MODS,
+    parseModAcronyms,
     getBeatmapAndLink,
+    getBeatmapStatusName,
     getBeatmapsetImageUrl,
     formatStarRating,
     formatDifficultyLabel,
     extractOsuProfile,
+    userStatsSnapshots,
+    recordUserStats,
+    summarizeProgress,
+    toDateString,
+    daysAgoString,
+    PROGRESS_DEFAULT_DAYS,
+    drawProgressChart,
+    AttachmentBuilder,
+    EmbedBuilder,
+    BOT_EMBED_COLOR,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
   };
 }
 
 // Interaction handling
 client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+  if (!interaction.isChatInputCommand() && !interaction.isMessageContextMenuCommand()) return;
 
   try {
-    if (interaction.commandName === 'rsc') {
+    // Message context-menu commands run the same handlers with interaction.targetMessage set
+    if (interaction.commandName === 'rsc' || interaction.commandName === MESSAGE_COMMAND_NAMES.rsc) {
       return await handleRsc(interaction, buildRscTcContext());
     }
 
-    if (interaction.commandName === 'tc') {
+    if (interaction.commandName === 'tc' || interaction.commandName === MESSAGE_COMMAND_NAMES.tc) {
       return await handleTc(interaction, buildRscTcContext());
     }
 
-    if (interaction.commandName === 'trs') {
+    if (interaction.commandName === 'lb') {
+      return await handleLeaderboard(interaction, buildRscTcContext());
+    }
+
+    if (interaction.commandName === 'compare') {
+      return await handleCompare(interaction, buildRscTcContext());
+    }
+
+    if (interaction.commandName === 'trs' || interaction.commandName === MESSAGE_COMMAND_NAMES.trs) {
       return await handleTrs(interaction, buildRscTcContext());
     }
 
+    if (interaction.commandName === 'challenges') {
+      return await handleChallenges(interaction, buildChallengesContext());
+    }
+
     if (interaction.commandName === 'teto') {
       return await handleTeto(interaction, buildTetoContext());
     }
   } catch (error) {
     console.error(`[Command Error] /${interaction.commandName}:`, error.message);
 
-    const errorMessage = 'Teto is off. Looks like something is wrong. Please contact Koriagami';
+    let errorMessage = 'Teto is off. Looks like something is wrong. Please contact Koriagami';
+    if (error instanceof RateLimitedError) {
+      errorMessage = 'osu! is asking Teto to slow down. Please try again in a minute.';
+    } else if (error instanceof UpstreamError) {
+      errorMessage = 'osu! is not responding right now. Please try again later.';
+    }
 
     try {
       if (interaction.deferred || interaction.replied) {
@@ -343,93 +543,196 @@ client.on(Events.InteractionCreate, async (interaction) => {
   }
 });
 
-// Reaction handling - monitor 👎 count
-client.on(Events.MessageReactionAdd, (reaction, user) => handleMessageReactionAdd(reaction, user, { createEmbed }));
+// Reaction handling - monitor 👎 count and keep map of the day votes in the submission archive
+client.on(Events.MessageReactionAdd, (reaction, user) => handleMessageReactionAdd(reaction, user, buildReactionContext()));
+client.on(Events.MessageReactionRemove, (reaction, user) => handleMessageReactionRemove(reaction, user, buildReactionContext()));
 
-// Weekly update cron job - runs every Saturday at 16:00 (4 PM)
-// Cron expression: "0 16 * * 6" = minute 0, hour 16, any day of month, any month, day 6 (Saturday)
+// Weekly update - runs every Saturday at 16:00 in each guild's timezone (guild scheduler below)
 // IMPORTANT: Each guild is processed independently - stats are never mixed between guilds
-cron.schedule('0 16 * * 6', async () => {
-  console.log('Running weekly update...');
-  
+async function postWeeklyUpdate(guildId) {
+  const guild = await client.guilds.fetch(guildId);
+  if (!guild) return;
+
+  const opChannelResult = await getOperatingChannel(guildId, guild, 'challenges');
+  if (opChannelResult.error || !opChannelResult.channel) {
+    console.log(`Skipping weekly update for guild ${guildId}: ${opChannelResult.error || 'No challenges channel configured'}`);
+    return;
+  }
+
+  const channel = opChannelResult.channel;
+  if (channel.isTextBased() && 'messages' in channel) {
+    try {
+      const fetched = await channel.messages.fetch({ limit: 1 });
+      const latest = fetched.first();
+      if (latestMessageIsWeeklyUpdate(latest)) {
+        console.log(
+          `Skipping weekly update for guild ${guildId}: latest message looks like the previous weekly update`
+        );
+        return;
+      }
+    } catch (fetchErr) {
+      console.error(`Weekly update: could not read latest messages for guild ${guildId}:`, fetchErr);
+      // Continue and attempt to post the update
+    }
+  }
+
+  const messages = await generateWeeklyUpdate(guildId);
+  if (messages && messages.length > 0) {
+    // Post messages as embeds (each message is already an array of embeds)
+    for (const embedArray of messages) {
+      await opChannelResult.channel.send({
+        embeds: embedArray,
+      });
+    }
+    console.log(`Weekly update posted for guild ${guildId}`);
+  } else {
+    console.log(`No weekly update content for guild ${guildId}`);
+  }
+}
+
+// Daily reset - at midnight in each guild's timezone, clean up submission entries the quota and cooldown no longer need
+async function resetGuildSubmissions(guildId, timezone) {
+  const result = await submissions.deleteOldEntries(submissionHistoryStart(todayInTimezone(timezone)), guildId);
+  if (result.count > 0) {
+    console.log(`Daily submission limits reset for guild ${guildId} - ${result.count} old entries cleaned.`);
+  }
+}
+
+const guildScheduler = createGuildScheduler([
+  { name: 'daily reset', expression: '0 0 * * *', run: resetGuildSubmissions },
+  { name: 'weekly update', expression: '0 16 * * 6', run: postWeeklyUpdate },
+]);
+
+/** (Re)schedule a guild's daily reset and weekly update in its configured timezone. */
+async function scheduleGuild(guildId) {
+  let timezone = DEFAULT_TIMEZONE;
   try {
-    // Get all guild IDs that have challenges
-    const guildIds = await activeChallenges.getAllGuildIds();
+    timezone = (await guildSettings.get(guildId)).timezone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    console.error(`[scheduler] Could not load the timezone for guild ${guildId}; using ${DEFAULT_TIMEZONE}:`, error.message);
+  }
+  guildScheduler.schedule(guildId, timezone);
+}
 
-    // Process each guild separately to ensure stats are not mixed
-    for (const guildId of guildIds) {
+client.on(Events.GuildCreate, (guild) => scheduleGuild(guild.id));
+client.on(Events.GuildDelete, (guild) => guildScheduler.unschedule(guild.id));
+
+// Challenge expiry cron job - runs every day at 12:00 UTC
+// Retires challenges with no activity for the guild's configured expiry (guild_settings.challengeExpiryDays)
+cron.schedule('0 12 * * *', async () => {
+  console.log('Running challenge expiry...');
+
+  try {
+    const settingsRows = await guildSettings.getWithChallengeExpiry();
+
+    for (const settings of settingsRows) {
+      const guildId = settings.guildId;
       try {
+        const retired = await retireExpiredChallenges(guildId, settings.challengeExpiryDays);
+        if (retired.length === 0) continue;
+        console.log(`Retired ${retired.length} expired challenge(s) for guild ${guildId}`);
+
         const guild = await client.guilds.fetch(guildId);
         if (!guild) continue;
 
         const opChannelResult = await getOperatingChannel(guildId, guild, 'challenges');
         if (opChannelResult.error || !opChannelResult.channel) {
-          console.log(`Skipping guild ${guildId}: ${opChannelResult.error || 'No challenges channel configured'}`);
+          console.log(`Not announcing retirements for guild ${guildId}: ${opChannelResult.error || 'No challenges channel configured'}`);
           continue;
         }
 
-        const channel = opChannelResult.channel;
-        if (channel.isTextBased() && 'messages' in channel) {
-          try {
-            const fetched = await channel.messages.fetch({ limit: 1 });
-            const latest = fetched.first();
-            if (latestMessageIsWeeklyUpdate(latest)) {
-              console.log(
-                `Skipping weekly update for guild ${guildId}: latest message looks like the previous weekly update`
-              );
-              continue;
-            }
-          } catch (fetchErr) {
-            console.error(`Weekly update: could not read latest messages for guild ${guildId}:`, fetchErr);
-            // Continue and attempt to post the update
-          }
-        }
-
-        const messages = await generateWeeklyUpdate(guildId);
-        if (messages && messages.length > 0) {
-          // Post messages as embeds (each message is already an array of embeds)
-          for (const embedArray of messages) {
-            await opChannelResult.channel.send({
-              embeds: embedArray,
-            });
-          }
-          console.log(`Weekly update posted for guild ${guildId}`);
-        } else {
-          console.log(`No weekly update content for guild ${guildId}`);
+        const message = await formatRetirementMessage(retired);
+        if (message) {
+          await opChannelResult.channel.send({
+            embeds: await createEmbed(message),
+          });
         }
       } catch (error) {
-        console.error(`Error posting weekly update for guild ${guildId}:`, error);
+        console.error(`Error retiring expired challenges for guild ${guildId}:`, error);
       }
     }
   } catch (error) {
-    console.error('Error in weekly update cron job:', error);
+    console.error('Error in challenge expiry cron job:', error);
   }
 }, {
-  timezone: 'UTC' // Run at 16:00 UTC
+  timezone: 'UTC'
 });
 
-// DAILY RESET: clean up old submission entries at midnight UTC
-// We'll use a minute-based checker to detect when hour=0 and minute=0 (UTC)
-let lastResetDate = null;
-setInterval(async () => {
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0];
-  const h = now.getUTCHours();
-  const m = now.getUTCMinutes();
-  if (h === 0 && m === 0 && lastResetDate !== dateStr) {
-    // Only remove entries that are not from today (cleanup old data)
-    const today = dateStr;
-    try {
-      const result = await submissions.deleteOldEntries(today);
-      if (result.count > 0) {
-        console.log(`Daily submission limits reset - ${result.count} old entries cleaned.`);
-      }
-    } catch (error) {
-      console.error('Error cleaning old submissions:', error);
+// Score poller cron job - every SCORE_POLL_INTERVAL_MINUTES minutes
+// Responds to challenges for opted-in players in guilds with auto responses on (guild_settings.autoRespondEnabled)
+let scorePollRunning = false;
+cron.schedule(`*/${SCORE_POLL_INTERVAL_MINUTES} * * * *`, async () => {
+  // A slow run (rate limit queue) must not overlap the next one
+  if (scorePollRunning) return;
+  scorePollRunning = true;
+
+  try {
+    const { posted } = await pollScores(buildScorePollContext(), { maxUsers: SCORE_POLL_MAX_USERS_PER_RUN });
+    if (posted.length > 0) {
+      console.log(`Score poller posted ${posted.length} challenge response(s)`);
+    }
+  } catch (error) {
+    console.error('Error in score poller cron job:', error);
+  } finally {
+    scorePollRunning = false;
+  }
+}, {
+  timezone: 'UTC'
+});
+
+// Top-play feed cron job - every TOP_PLAYS_INTERVAL_MINUTES minutes
+// Posts linked players' new top-100 plays to guilds with a top plays channel (server_configs.topPlaysChannelId)
+let topPlaysRunning = false;
+cron.schedule(`*/${TOP_PLAYS_INTERVAL_MINUTES} * * * *`, async () => {
+  if (topPlaysRunning) return;
+  topPlaysRunning = true;
+
+  try {
+    const { posted } = await pollTopPlays(buildTopPlaysContext(), { maxUsers: TOP_PLAYS_MAX_USERS_PER_RUN });
+    if (posted > 0) {
+      console.log(`Top-play feed posted ${posted} new top play(s)`);
+    }
+  } catch (error) {
+    console.error('Error in top-play feed cron job:', error);
+  } finally {
+    topPlaysRunning = false;
+  }
+}, {
+  timezone: 'UTC'
+});
+
+// User stats snapshot cron job - runs every day at 00:15 UTC
+// Stores each linked player's global rank, pp, accuracy and play count (user_stats_snapshots) for /teto progress
+let userStatsRunning = false;
+cron.schedule('15 0 * * *', async () => {
+  if (userStatsRunning) return;
+  userStatsRunning = true;
+
+  try {
+    const { recorded, rateLimited } = await snapshotAllUserStats(buildUserStatsContext());
+    console.log(`User stats snapshot recorded ${recorded} player(s)${rateLimited ? ' (stopped early: rate limited)' : ''}`);
+  } catch (error) {
+    console.error('Error in user stats snapshot cron job:', error);
+  } finally {
+    userStatsRunning = false;
+  }
+}, {
+  timezone: 'UTC'
+});
+
+// API cache cleanup - runs every day at midnight UTC (submission resets are per guild, see the guild scheduler)
+cron.schedule('0 0 * * *', async () => {
+  try {
+    const result = await apiCache.deleteExpired();
+    if (result.count > 0) {
+      console.log(`API cache cleanup - ${result.count} expired entries removed.`);
     }
-    lastResetDate = dateStr;
+  } catch (error) {
+    console.error('Error cleaning API cache:', error);
   }
-}, 60 * 1000); // every minute
+}, {
+  timezone: 'UTC'
+});
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
@@ -0,0 +1,59 @@
+/**
+ * Guild map leaderboard (/lb): each linked member's best score on a beatmap, from all of their osu! scores
+ * on it plus the unranked/WIP scores Teto remembers (/trs), best first.
+ * collectMapLeaderboard(guildId, map, ctx, options) costs one osu! API request per linked member it checks (capped by
+ * options.maxMembers); ctx is the /tc ctx built in index.js.
+ */
+
+import { extractScoreValue, getScoreTime } from './scoreHelpers.js';
+
+/**
+ * Best entry per player, best score first. On a tie the play set first ranks higher, like osu!
+ * (plays with an unknown time last).
+ * @param {Array<{ discordUserId: string, score: object, local: boolean }>} entries
+ * @returns {Array<{ discordUserId: string, score: object, local: boolean }>}
+ */
+export function rankLeaderboardEntries(entries) {
+  const compare = (a, b) => (extractScoreValue(b.score) - extractScoreValue(a.score))
+    || ((getScoreTime(a.score) ?? Infinity) - (getScoreTime(b.score) ?? Infinity));
+  const best = new Map();
+  for (const entry of entries) {
+    const current = best.get(entry.discordUserId);
+    if (!current || compare(entry, current) < 0) best.set(entry.discordUserId, entry);
+  }
+  return [...best.values()].sort(compare);
+}
+
+/**
+ * Leaderboard for one beatmap difficulty in a ruleset across the guild's linked members.
+ * At most maxMembers are checked on osu!: callerId first, then the most recently updated links. Scores Teto
+ * remembers count for every member (no request needed). Failed stored scores don't count.
+ * @param {string} guildId
+ * @param {{ beatmapId: string, difficulty: string|null, ruleset: string }} map
+ * @param {object} ctx
+ * @param {{ callerId?: string, maxMembers?: number }} [options]
+ * @returns {Promise<{ entries: Array<{ discordUserId: string, score: object, local: boolean }>, checkedMembers: number, totalMembers: number }>}
+ */
+export async function collectMapLeaderboard(guildId, { beatmapId, difficulty, ruleset }, ctx, { callerId = null, maxMembers = Infinity } = {}) {
+  const members = await ctx.associations.getLinkedInGuilds([guildId]);
+  const checked = [...members]
+    .sort((a, b) => (b.discordUserId === callerId) - (a.discordUserId === callerId)
+      || new Date(b.updatedAt ?? 0) - new Date(a.updatedAt ?? 0))
+    .slice(0, maxMembers);
+  const entries = [];
+  for (const member of checked) {
+    const scores = await ctx.getUserBeatmapScoresAll(beatmapId, member.osuUserId, { ruleset });
+    for (const score of scores) {
+      entries.push({ discordUserId: member.discordUserId, score: ctx.tagScoreRuleset(score, ruleset), local: false });
+    }
+  }
+
+  const memberIds = new Set(members.map(m => m.discordUserId));
+  for (const record of await ctx.localScores.getByBeatmap(guildId, beatmapId, difficulty)) {
+    const score = record.score;
+    if (!memberIds.has(record.discordUserId) || !score || typeof score !== 'object') continue;
+    if (String(score.rank).toUpperCase() === 'F' || ctx.getScoreRuleset(score) !== ruleset) continue;
+    entries.push({ discordUserId: record.discordUserId, score, local: true });
+  }
+  return { entries: rankLeaderboardEntries(entries), checkedMembers: checked.length, totalMembers: members.length };
+}
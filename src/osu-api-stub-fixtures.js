@@ -0,0 +1,87 @@
+/**
+ * Default fixtures for the local osu! API stub (src/osu-api-stub.js)
+ * Built from the shapes in test-mock-data.js; the test suite (test/) runs /rsc, /tc and /trs against them.
+ * Override with a JSON file of the same shape via OSU_STUB_FIXTURES.
+ */
+
+import { mockScore, mockChallengerScore, createMockScores, createMockResponderScore } from './test-mock-data.js';
+
+const BEATMAP_ID = mockScore.beatmap.id;
+const BEATMAPSET_ID = mockScore.beatmapset.id;
+
+const beatmapset = {
+  ...mockScore.beatmapset,
+  artist: 'Test Artist',
+  artist_unicode: 'Test Artist',
+  creator: 'TestMapper',
+  status: 'ranked',
+};
+
+// Scores embed the beatmap without its beatmapset; /beatmaps/:id includes it
+const scoreBeatmap = {
+  ...mockScore.beatmap,
+  beatmapset_id: BEATMAPSET_ID,
+  difficulty_rating: 5.43,
+  mode: 'osu',
+  status: 'ranked',
+};
+const beatmap = { ...scoreBeatmap, beatmapset };
+
+const users = {
+  1001: {
+    id: 1001, username: 'StubChallenger', country_code: 'JP', avatar_url: null,
+    statistics: { global_rank: 12000, pp: 4500.5, hit_accuracy: 97.25, play_count: 15000 },
+  },
+  1002: {
+    id: 1002, username: 'StubResponder', country_code: 'JP', avatar_url: null,
+    statistics: { global_rank: 25000, pp: 3800.25, hit_accuracy: 98.1, play_count: 9000 },
+  },
+};
+
+// Attach beatmap, user and ids so scores look like what /scores/:id and /users/:id/scores/recent return
+function toApiScore(score, id, userId, createdAt) {
+  const user = users[userId];
+  return {
+    ...score,
+    id,
+    user_id: userId,
+    beatmap_id: BEATMAP_ID,
+    created_at: createdAt,
+    ended_at: createdAt,
+    beatmap: scoreBeatmap,
+    beatmapset,
+    user: { id: user.id, username: user.username, avatar_url: user.avatar_url },
+  };
+}
+
+const challengerScores = createMockScores(mockChallengerScore, 3)
+  .map((s, i) => toApiScore(s, 900100 + i, 1001, `2026-01-0${i + 1}T12:00:00Z`));
+const responderScore = toApiScore(
+  createMockResponderScore(mockChallengerScore, users[1002].username),
+  900200,
+  1002,
+  '2026-01-05T12:00:00Z'
+);
+
+export const defaultFixtures = {
+  users,
+  beatmaps: {
+    [BEATMAP_ID]: beatmap,
+  },
+  scores: Object.fromEntries([...challengerScores, responderScore].map(s => [s.id, s])),
+  // Most recent first, per user
+  recentScores: {
+    1001: [challengerScores[0]],
+    1002: [responderScore],
+  },
+  // Top plays, highest pp first, per user
+  bestScores: {
+    1001: [...challengerScores].sort((a, b) => (b.pp ?? 0) - (a.pp ?? 0)),
+    1002: [responderScore],
+  },
+  // All of a user's scores on a beatmap, keyed "beatmapId:userId"
+  userBeatmapScores: {
+    [`${BEATMAP_ID}:1001`]: challengerScores,
+    [`${BEATMAP_ID}:1002`]: [responderScore],
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * Local osu! API v2 stand-in for offline development and tests.
+ * Serves the endpoints used by /rsc, /tc, /teto link and the top-play feed from fixtures (see osu-api-stub-fixtures.js).
+ * Run: npm run osu-stub  (then set OSU_API_BASE_URL=http://localhost:7270/api/v2 and
+ *      OSU_TOKEN_URL=http://localhost:7270/oauth/token; any OSU_CLIENT_ID/OSU_CLIENT_SECRET work)
+ * Env: OSU_STUB_PORT (default 7270), OSU_STUB_FIXTURES (path to a JSON file replacing the default fixtures)
+ */
+
+import http from 'http';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { defaultFixtures } from './osu-api-stub-fixtures.js';
+
+export const DEFAULT_STUB_PORT = 7270;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function notFound(res) {
+  sendJson(res, 404, { error: 'Not Found' });
+}
+
+function findUser(fixtures, idOrName) {
+  const byId = fixtures.users?.[idOrName];
+  if (byId) return byId;
+  const name = String(idOrName).replace(/^@/, '').toLowerCase();
+  return Object.values(fixtures.users || {}).find(u => String(u.username).toLowerCase() === name) || null;
+}
+
+function userBeatmapScores(fixtures, beatmapId, userId) {
+  return fixtures.userBeatmapScores?.[`${beatmapId}:${userId}`] || [];
+}
+
+/**
+ * Route a request against the fixtures. Paths are relative to the server root
+ * (token at /oauth/token, API under /api/v2).
+ */
+function handleRequest(fixtures, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname.replace(/\/+$/, '');
+  let match;
+
+  if (path === '/oauth/token') {
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method Not Allowed' });
+    return sendJson(res, 200, { token_type: 'Bearer', expires_in: 86400, access_token: 'stub-access-token' });
+  }
+
+  if (!path.startsWith('/api/v2/')) return notFound(res);
+  if (!req.headers.authorization) return sendJson(res, 401, { authentication: 'basic' });
+  const endpoint = path.slice('/api/v2'.length);
+
+  if ((match = endpoint.match(/^\/beatmaps\/(\d+)\/scores\/users\/([^/]+)\/all$/))) {
+    return sendJson(res, 200, { scores: userBeatmapScores(fixtures, match[1], match[2]) });
+  }
+
+  if ((match = endpoint.match(/^\/beatmaps\/(\d+)\/scores\/users\/([^/]+)$/))) {
+    const scores = userBeatmapScores(fixtures, match[1], match[2]);
+    if (scores.length === 0) return notFound(res);
+    const best = scores.reduce((a, b) => (Number(b.score) > Number(a.score) ? b : a));
+    return sendJson(res, 200, { position: 1, score: best });
+  }
+
+  if ((match = endpoint.match(/^\/beatmaps\/(\d+)$/))) {
+    const beatmap = fixtures.beatmaps?.[match[1]];
+    return beatmap ? sendJson(res, 200, beatmap) : notFound(res);
+  }
+
+  if ((match = endpoint.match(/^\/scores\/(\d+)$/))) {
+    const score = fixtures.scores?.[match[1]];
+    return score ? sendJson(res, 200, score) : notFound(res);
+  }
+
+  if ((match = endpoint.match(/^\/users\/([^/]+)\/scores\/(recent|best)$/))) {
+    const user = findUser(fixtures, decodeURIComponent(match[1]));
+    if (!user) return notFound(res);
+    const offset = parseInt(url.searchParams.get('offset') || '0', 10) || 0;
+    const limit = parseInt(url.searchParams.get('limit') || '100', 10) || 100;
+    const scores = (match[2] === 'best' ? fixtures.bestScores : fixtures.recentScores)?.[user.id] || [];
+    return sendJson(res, 200, scores.slice(offset, offset + limit));
+  }
+
+  if ((match = endpoint.match(/^\/users\/([^/]+)(?:\/[a-z]+)?$/))) {
+    const user = findUser(fixtures, decodeURIComponent(match[1]));
+    return user ? sendJson(res, 200, user) : notFound(res);
+  }
+
+  return notFound(res);
+}
+
+/**
+ * Create (but don't start) the stub server.
+ * @param {object} [fixtures] - Same shape as defaultFixtures
+ * @returns {http.Server}
+ */
+export function createOsuApiStub(fixtures = defaultFixtures) {
+  return http.createServer((req, res) => {
+    try {
+      handleRequest(fixtures, req, res);
+    } catch (error) {
+      console.error('osu! API stub error:', error);
+      sendJson(res, 500, { error: 'Internal Server Error' });
+    }
+  });
+}
+
+/** Load fixtures from OSU_STUB_FIXTURES if set, otherwise the defaults. */
+export function loadStubFixtures() {
+  const fixturesPath = process.env.OSU_STUB_FIXTURES;
+  if (!fixturesPath) return defaultFixtures;
+  return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.OSU_STUB_PORT || '', 10) || DEFAULT_STUB_PORT;
+  createOsuApiStub(loadStubFixtures()).listen(port, () => {
+    console.log(`osu! API stub listening on http://localhost:${port}`);
+    console.log(`  OSU_API_BASE_URL=http://localhost:${port}/api/v2`);
+    console.log(`  OSU_TOKEN_URL=http://localhost:${port}/oauth/token`);
+  });
+}
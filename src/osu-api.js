@@ -1,10 +1,20 @@
 /**
  * OSU! API v2 Client
  * Handles OAuth2 authentication and API requests
+ * Base URLs can be overridden with OSU_API_BASE_URL / OSU_TOKEN_URL (e.g. to point at src/osu-api-stub.js)
  */
 
-const API_BASE_URL = 'https://osu.ppy.sh/api/v2';
-const TOKEN_URL = 'https://osu.ppy.sh/oauth/token';
+const DEFAULT_API_BASE_URL = 'https://osu.ppy.sh/api/v2';
+const DEFAULT_TOKEN_URL = 'https://osu.ppy.sh/oauth/token';
+
+// Read on each request so the env can be set after this module is imported
+function getApiBaseUrl() {
+  return (process.env.OSU_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+function getTokenUrl() {
+  return process.env.OSU_TOKEN_URL || DEFAULT_TOKEN_URL;
+}
 
 let accessToken = null;
 let tokenExpiry = null;
@@ -26,7 +36,7 @@ async function getAccessToken() {
   }
 
   try {
-    const response = await fetch(TOKEN_URL, {
+    const response = await fetch(getTokenUrl(), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -56,39 +66,248 @@ async function getAccessToken() {
   }
 }
 
+/**
+ * Base class for osu! API failures (non-2xx responses and network errors)
+ */
+class OsuApiError extends Error {
+  constructor(message, { status = null, endpoint = null } = {}) {
+    super(message);
+    this.name = 'OsuApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+  }
+}
+
+/** 404: the beatmap, score or user doesn't exist (or the user has no score on the map) */
+class NotFoundError extends OsuApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 429 that persisted through retries; retryAfterMs is the server's hint when it sent one */
+class RateLimitedError extends OsuApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** 5xx or network failure on osu!'s side that persisted through retries */
+class UpstreamError extends OsuApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UpstreamError';
+  }
+}
+
+// osu! asks API clients to stay at or below 60 requests per minute
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.OSU_API_RATE_LIMIT_PER_MINUTE || '', 10) || 60;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const RETRYABLE_STATUSES = new Set([429, 502, 503]);
+
+const requestTimestamps = []; // start times of requests in the current window
+let requestQueue = Promise.resolve();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait for a free slot in the rate budget. Requests are released in FIFO order.
+ */
+function acquireRequestSlot() {
+  const slot = requestQueue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      while (requestTimestamps.length > 0 && requestTimestamps[0] <= now - RATE_LIMIT_WINDOW_MS) {
+        requestTimestamps.shift();
+      }
+      if (requestTimestamps.length < RATE_LIMIT_PER_MINUTE) {
+        requestTimestamps.push(now);
+        return;
+      }
+      await sleep(requestTimestamps[0] + RATE_LIMIT_WINDOW_MS - now);
+    }
+  });
+  requestQueue = slot.catch(() => {});
+  return slot;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null.
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+/** Exponential backoff with full jitter for the given retry attempt (0-based). */
+function backoffDelay(attempt) {
+  const cap = Math.min(MAX_RETRY_DELAY_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+async function readErrorText(response) {
+  try {
+    const errorText = await response.text();
+    // Try to parse as JSON for better error messages
+    try {
+      return JSON.stringify(JSON.parse(errorText), null, 2);
+    } catch {
+      // Not JSON, use as-is
+      return errorText;
+    }
+  } catch {
+    return `Status: ${response.status}`;
+  }
+}
+
 /**
  * Make an authenticated API request
+ * Queued to respect the rate budget; 429/502/503 and network errors are retried with backoff
+ * (honouring Retry-After). Throws NotFoundError, RateLimitedError, UpstreamError or OsuApiError.
  */
 async function apiRequest(endpoint, options = {}) {
-  const token = await getAccessToken();
-
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
+  for (let attempt = 0; ; attempt++) {
+    const token = await getAccessToken();
+    await acquireRequestSlot();
 
-  if (!response.ok) {
-    let errorText;
+    let response;
     try {
-      errorText = await response.text();
-      // Try to parse as JSON for better error messages
-      try {
-        const errorJson = JSON.parse(errorText);
-        errorText = JSON.stringify(errorJson, null, 2);
-      } catch {
-        // Not JSON, use as-is
+      response = await fetch(`${getApiBaseUrl()}${endpoint}`, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+      });
+    } catch (error) {
+      if (attempt < MAX_RETRIES) {
+        await sleep(backoffDelay(attempt));
+        continue;
       }
-    } catch {
-      errorText = `Status: ${response.status}`;
+      throw new UpstreamError(`OSU API request failed: ${error.message}`, { endpoint });
+    }
+
+    if (response.ok) {
+      return response.json();
     }
-    throw new Error(`OSU API error: ${response.status} ${errorText}`);
+
+    const status = response.status;
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    if (RETRYABLE_STATUSES.has(status) && attempt < MAX_RETRIES &&
+        (retryAfterMs == null || retryAfterMs <= MAX_RETRY_DELAY_MS)) {
+      // Discard the body so the connection can be reused
+      await response.text().catch(() => {});
+      await sleep(retryAfterMs ?? backoffDelay(attempt));
+      continue;
+    }
+
+    const message = `OSU API error: ${status} ${await readErrorText(response)}`;
+    if (status === 404) throw new NotFoundError(message, { status, endpoint });
+    if (status === 429) throw new RateLimitedError(message, { status, endpoint, retryAfterMs });
+    if (status >= 500) throw new UpstreamError(message, { status, endpoint });
+    throw new OsuApiError(message, { status, endpoint });
   }
+}
+
+// Response cache for lookups that a single command repeats (getBeatmap via getMapTitle,
+// getMapArtist, getStarRating...; getUser for every card). Entries are shared by concurrent callers.
+const CACHE_TTL_MS = {
+  beatmap: 10 * 60 * 1000,
+  user: 10 * 60 * 1000,
+};
+const MAX_CACHE_ENTRIES = 1000;
+
+const responseCache = new Map(); // key -> { value, expiresAt }
+const inFlightRequests = new Map(); // key -> Promise
+let persistentCache = null;
+
+/**
+ * Back the in-memory cache with a persistent store (e.g. apiCache from db.js), or null to disable.
+ * @param {{ get: (key: string) => Promise<{ value: any, expiresAt: Date }|null>, set: (key: string, value: any, expiresAt: Date) => Promise<any> }|null} store
+ */
+function setPersistentCache(store) {
+  persistentCache = store;
+}
+
+/** Drop all cached responses (in-memory only). */
+function clearResponseCache() {
+  responseCache.clear();
+}
 
-  return response.json();
+function rememberResponse(key, value, expiresAt) {
+  if (responseCache.size >= MAX_CACHE_ENTRIES) {
+    const now = Date.now();
+    for (const [k, entry] of responseCache) {
+      if (entry.expiresAt <= now) responseCache.delete(k);
+    }
+    // Still full: evict the oldest entries (Map keeps insertion order)
+    for (const k of responseCache.keys()) {
+      if (responseCache.size < MAX_CACHE_ENTRIES) break;
+      responseCache.delete(k);
+    }
+  }
+  responseCache.set(key, { value, expiresAt });
+}
+
+/**
+ * Return a cached response for key, or run fetcher once (concurrent callers share the same request).
+ * Null/undefined results are not cached. Callers get their own copy so they can mutate it freely.
+ * @param {string} key
+ * @param {number} ttlMs
+ * @param {() => Promise<any>} fetcher
+ */
+async function cachedRequest(key, ttlMs, fetcher) {
+  const hit = responseCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return structuredClone(hit.value);
+  }
+  if (hit) responseCache.delete(key);
+
+  let request = inFlightRequests.get(key);
+  if (!request) {
+    request = (async () => {
+      if (persistentCache) {
+        try {
+          const stored = await persistentCache.get(key);
+          const expiresAt = stored ? new Date(stored.expiresAt).getTime() : 0;
+          if (expiresAt > Date.now()) {
+            rememberResponse(key, stored.value, expiresAt);
+            return stored.value;
+          }
+        } catch (error) {
+          console.error(`Error reading persistent API cache for ${key}:`, error.message);
+        }
+      }
+
+      const value = await fetcher();
+      if (value != null) {
+        const expiresAt = Date.now() + ttlMs;
+        rememberResponse(key, value, expiresAt);
+        if (persistentCache) {
+          persistentCache.set(key, value, new Date(expiresAt)).catch((error) => {
+            console.error(`Error writing persistent API cache for ${key}:`, error.message);
+          });
+        }
+      }
+      return value;
+    })();
+    inFlightRequests.set(key, request);
+    request.finally(() => inFlightRequests.delete(key)).catch(() => {});
+  }
+
+  const value = await request;
+  return value == null ? value : structuredClone(value);
 }
 
 /**
@@ -155,8 +374,7 @@ async function getScoreById(scoreId) {
     }
     return null;
   } catch (error) {
-    const msg = (error?.message || '').toLowerCase();
-    if (msg.includes('404') || msg.includes('not found')) return null;
+    if (error instanceof NotFoundError) return null;
     throw error;
   }
 }
@@ -166,7 +384,8 @@ async function getScoreById(scoreId) {
  * @param {string} beatmapId - The beatmap ID (difficulty ID), not the beatmapset ID
  */
 async function getBeatmap(beatmapId) {
-  return apiRequest(`/beatmaps/${beatmapId}`);
+  const endpoint = `/beatmaps/${beatmapId}`;
+  return cachedRequest(endpoint, CACHE_TTL_MS.beatmap, () => apiRequest(endpoint));
 }
 
 /**
@@ -206,6 +425,24 @@ async function getUserRecentScores(userId, options = {}) {
   return apiRequest(endpoint);
 }
 
+/**
+ * Get user's best (top pp) scores, highest pp first
+ * @param {string} userId - OSU user ID
+ * @param {object} options - Optional parameters (mode, limit up to 100, offset)
+ */
+async function getUserBestScores(userId, options = {}) {
+  const params = new URLSearchParams();
+
+  if (options.mode) params.append('mode', options.mode);
+  if (options.limit) params.append('limit', options.limit.toString());
+  if (options.offset !== undefined) params.append('offset', options.offset.toString());
+
+  const queryString = params.toString();
+  const endpoint = `/users/${userId}/scores/best${queryString ? `?${queryString}` : ''}`;
+
+  return apiRequest(endpoint);
+}
+
 /**
  * Get all of a user's scores on a specific beatmap
  * @param {string} beatmapId - The beatmap ID
@@ -240,10 +477,7 @@ async function getUserBeatmapScoresAll(beatmapId, userId, options = {}) {
     return [];
   } catch (error) {
     // If user has no scores for this beatmap, API returns 404
-    const errorMessage = error.message.toLowerCase();
-    if (errorMessage.includes('404') || 
-        errorMessage.includes('not found') || 
-        errorMessage.includes('no score')) {
+    if (error instanceof NotFoundError) {
       return [];
     }
     throw error;
@@ -284,6 +518,11 @@ async function getUserBeatmapScore(beatmapId, userId, options = {}) {
     }
     return response;
   } catch (error) {
+    // If user has no score for this beatmap, API returns 404
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+
     // Log the full error for debugging
     console.error(`[ERROR] getUserBeatmapScore failed for beatmap ${beatmapId}, user ${userIdStr}:`, {
       message: error.message,
@@ -291,16 +530,6 @@ async function getUserBeatmapScore(beatmapId, userId, options = {}) {
       beatmapId: beatmapId,
       userId: userIdStr
     });
-    
-    // If user has no score for this beatmap, API returns 404
-    // Also check for various 404 error formats
-    const errorMessage = error.message.toLowerCase();
-    if (errorMessage.includes('404') || 
-        errorMessage.includes('not found') || 
-        errorMessage.includes('no score') ||
-        errorMessage.includes('user has no score')) {
-      return null;
-    }
     throw error;
   }
 }
@@ -321,10 +550,10 @@ async function getUser(user, options = {}) {
   const endpoint = `/users/${user}${queryString ? `?${queryString}` : ''}`;
 
   try {
-    return await apiRequest(endpoint);
+    return await cachedRequest(endpoint, CACHE_TTL_MS.user, () => apiRequest(endpoint));
   } catch (error) {
     // If user doesn't exist, API returns 404
-    if (error.message.includes('404')) {
+    if (error instanceof NotFoundError) {
       return null;
     }
     throw error;
@@ -351,7 +580,7 @@ async function resolveMapOrScoreLink(input) {
   return null;
 }
 
-export { extractBeatmapId, extractScoreId, getScoreById, resolveMapOrScoreLink, getBeatmap, getBeatmapScores, getUserRecentScores, getUserBeatmapScore, getUserBeatmapScoresAll, getUser };
+export { extractBeatmapId, extractScoreId, getScoreById, resolveMapOrScoreLink, getBeatmap, getBeatmapScores, getUserRecentScores, getUserBestScores, getUserBeatmapScore, getUserBeatmapScoresAll, getUser, setPersistentCache, clearResponseCache, OsuApiError, NotFoundError, RateLimitedError, UpstreamError };
 
 
 
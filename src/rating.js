@@ -0,0 +1,57 @@
+/**
+ * Challenge ladder: Elo-style rating updated on every challenge response.
+ * calculateRatingChange(...) returns the points the winner takes from the loser;
+ * harder maps and more one-sided comparisons move more points.
+ */
+
+/** Points at stake between two equally rated players on a 5★ map with a 3/5 result. */
+const BASE_K = 32;
+
+/** Stars at which a map counts at full weight; easier maps count less, harder ones more (clamped). */
+const REFERENCE_STARS = 5;
+const MIN_STAR_WEIGHT = 0.5;
+const MAX_STAR_WEIGHT = 1.5;
+
+/** Probability that a player rated `rating` beats one rated `opponentRating`. */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/** Weight for a map's star rating (1 when unknown). */
+export function starRatingWeight(starRating) {
+  const stars = Number(starRating);
+  if (!Number.isFinite(stars) || stars <= 0) return 1;
+  return Math.min(MAX_STAR_WEIGHT, Math.max(MIN_STAR_WEIGHT, stars / REFERENCE_STARS));
+}
+
+/**
+ * Weight for how decisive the comparison was: share of the compared stats on the winner's side,
+ * from 1 (narrow) up to 1.5 (clean sweep). Single-stat win rules compare one stat, so always 1.
+ * @param {{ responderWon: boolean, responderWins: number, totalMetrics: number }} comparison - compareScores result
+ */
+export function marginWeight({ responderWon, responderWins, totalMetrics }) {
+  if (!totalMetrics || totalMetrics < 2) return 1;
+  const winnerStats = responderWon ? responderWins : totalMetrics - responderWins;
+  const share = Math.min(1, Math.max(0.5, winnerStats / totalMetrics));
+  return 1 + (share - 0.5);
+}
+
+/**
+ * Points the winner of a challenge response takes from the loser (at least 1).
+ * @param {number} responderRating
+ * @param {number} championRating
+ * @param {{ responderWon: boolean, responderWins: number, totalMetrics: number }} comparison - compareScores result
+ * @param {number|null} starRating - the challenge map's star rating
+ * @returns {number}
+ */
+export function calculateRatingChange(responderRating, championRating, comparison, starRating) {
+  const winnerRating = comparison.responderWon ? responderRating : championRating;
+  const loserRating = comparison.responderWon ? championRating : responderRating;
+  const k = BASE_K * starRatingWeight(starRating) * marginWeight(comparison);
+  return Math.max(1, Math.round(k * (1 - expectedScore(winnerRating, loserRating))));
+}
+
+/** "+16" / "-16" */
+export function formatRatingChange(change) {
+  return change >= 0 ? `+${change}` : `${change}`;
+}
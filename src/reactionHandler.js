@@ -1,21 +1,69 @@
 /**
  * MessageReactionAdd handler: when 👎 reaches 4+ on a message in TMOTD/Challenges channel,
  * edit the message to "voted to be meh" and remove the image.
+ * 👍/👎 added or removed on a TMOTD message also update its vote counts in the submission archive.
+ * ctx (createEmbed, serverConfig, submissionArchive) is built in index.js.
  */
 
-import { serverConfig as dbServerConfig } from './db.js';
 import { resolveMapOrScoreLink, extractBeatmapId } from './osu-api.js';
 import { getBeatmapAndLink, formatDifficultyLabel } from './helpers.js';
 import { formatTetoText } from './emoji.js';
 import { formatStarRating } from './scoreHelpers.js';
 
+const VOTE_EMOJIS = ['👍', '👎'];
+
+/** Votes on a map of the day post: its 👍/👎 reactions, not counting Teto's own. */
+function countVotes(msg) {
+  const count = (emoji) => {
+    const reaction = msg.reactions.cache.get(emoji);
+    if (!reaction) return 0;
+    return Math.max(0, reaction.count - (reaction.me ? 1 : 0));
+  };
+  return { upvotes: count('👍'), downvotes: count('👎') };
+}
+
+/** Store the current 👍/👎 counts of a TMOTD channel message in the submission archive. */
+async function syncSubmissionVotes(reaction, user, ctx) {
+  if (reaction.partial) await reaction.fetch();
+  if (user.bot) return;
+  const msg = reaction.message;
+  if (!msg || !msg.guildId) return;
+  if (!VOTE_EMOJIS.includes(reaction.emoji.name)) return;
+
+  const config = await ctx.serverConfig.get(msg.guildId);
+  if (!config || msg.channelId !== config.tmotdChannelId) return;
+  if (msg.partial) await msg.fetch();
+  await ctx.submissionArchive.updateVotes(msg.id, countVotes(msg));
+}
+
+/**
+ * Handle MessageReactionRemove (vote counts in the submission archive).
+ * @param {import('discord.js').MessageReaction} reaction
+ * @param {import('discord.js').User} user
+ * @param {{ serverConfig: object, submissionArchive: object }} ctx - db.js stores from index
+ */
+export async function handleMessageReactionRemove(reaction, user, ctx) {
+  try {
+    await syncSubmissionVotes(reaction, user, ctx);
+  } catch (err) {
+    console.error('Reaction removal handling error:', err);
+  }
+}
+
 /**
  * Handle MessageReactionAdd (👎 on operating channel messages).
  * @param {import('discord.js').MessageReaction} reaction
  * @param {import('discord.js').User} user
- * @param {{ createEmbed: (content: string, imageUrl?: string) => Promise<import('discord.js').EmbedBuilder[]> }} ctx - createEmbed from index
+ * @param {{ createEmbed: (content: string, imageUrl?: string) => Promise<import('discord.js').EmbedBuilder[]>, serverConfig: object, submissionArchive: object }} ctx
+ *   - createEmbed and the db.js stores from index
  */
 export async function handleMessageReactionAdd(reaction, user, ctx) {
+  try {
+    await syncSubmissionVotes(reaction, user, ctx);
+  } catch (err) {
+    console.error('Error updating submission votes:', err);
+  }
+
   try {
     if (reaction.partial) await reaction.fetch();
     if (user.bot) return;
@@ -23,7 +71,7 @@ export async function handleMessageReactionAdd(reaction, user, ctx) {
     if (!msg || !msg.guildId) return;
     if (reaction.emoji.name !== '👎') return;
 
-    const config = await dbServerConfig.get(msg.guildId);
+    const config = await ctx.serverConfig.get(msg.guildId);
     if (!config) return;
 
     const tmotdChannelId = config.tmotdChannelId;
@@ -0,0 +1,131 @@
+/**
+ * osu! rulesets (game modes): names, judgements and map stats per ruleset.
+ * Keys match the osu! API `mode` / `ruleset` values. No dependencies so card.js can use it too.
+ */
+
+export const DEFAULT_RULESET = 'osu';
+
+/**
+ * Judgements are listed best first, excluding misses. Each entry reads the first present key:
+ * legacy statistics (count_*) first, then the lazer names.
+ * mapStats: which beatmap attributes mean something in the ruleset ('keys' = mania key count from CS).
+ */
+export const RULESETS = {
+  osu: {
+    id: 0,
+    name: 'osu!',
+    judgements: [
+      { label: '300s', keys: ['count_300', 'great'] },
+      { label: '100s', keys: ['count_100', 'ok'] },
+      { label: '50s', keys: ['count_50', 'meh'] },
+    ],
+    mapStats: ['cs', 'ar', 'bpm', 'od', 'hp'],
+  },
+  taiko: {
+    id: 1,
+    name: 'osu!taiko',
+    judgements: [
+      { label: 'Greats', keys: ['count_300', 'great'] },
+      { label: 'Goods', keys: ['count_100', 'ok'] },
+    ],
+    mapStats: ['bpm', 'od', 'hp'],
+  },
+  fruits: {
+    id: 2,
+    name: 'osu!catch',
+    judgements: [
+      { label: 'Fruits', keys: ['count_300', 'great'] },
+      { label: 'Drops', keys: ['count_100', 'large_tick_hit'] },
+      { label: 'Droplets', keys: ['count_50', 'small_tick_hit'] },
+    ],
+    mapStats: ['cs', 'ar', 'bpm', 'hp'],
+  },
+  mania: {
+    id: 3,
+    name: 'osu!mania',
+    judgements: [
+      { label: 'MAX', keys: ['count_geki', 'perfect'] },
+      { label: '300s', keys: ['count_300', 'great'] },
+      { label: '200s', keys: ['count_katu', 'good'] },
+      { label: '100s', keys: ['count_100', 'ok'] },
+      { label: '50s', keys: ['count_50', 'meh'] },
+    ],
+    mapStats: ['keys', 'bpm', 'od', 'hp'],
+  },
+};
+
+/** Misses use the same keys in every ruleset. */
+const MISS_KEYS = ['count_miss', 'miss'];
+
+/**
+ * Normalise a ruleset name or id (e.g. 'mania', 3, 'catch') to a RULESETS key, or null.
+ */
+export function normalizeRuleset(value) {
+  if (value == null || value === '') return null;
+  const str = String(value).toLowerCase();
+  if (RULESETS[str]) return str;
+  if (str === 'catch' || str === 'ctb') return 'fruits';
+  if (str === 'std' || str === 'standard') return 'osu';
+  const byId = Object.keys(RULESETS).find(key => String(RULESETS[key].id) === str);
+  return byId || null;
+}
+
+/**
+ * Ruleset a score was played in (ruleset_id, mode, mode_int, then the beatmap's mode).
+ */
+export function getScoreRuleset(score) {
+  return normalizeRuleset(score?.ruleset_id)
+    ?? normalizeRuleset(score?.mode)
+    ?? normalizeRuleset(score?.mode_int)
+    ?? normalizeRuleset(score?.beatmap?.mode)
+    ?? DEFAULT_RULESET;
+}
+
+/**
+ * Ruleset to look up scores in for a beatmap: only osu! maps convert to other rulesets,
+ * so taiko/catch/mania maps always use their own ruleset.
+ */
+export function resolvePlayRuleset(beatmap, preferred) {
+  const native = normalizeRuleset(beatmap?.mode);
+  if (native && native !== DEFAULT_RULESET) return native;
+  return normalizeRuleset(preferred) ?? DEFAULT_RULESET;
+}
+
+/**
+ * Mark a score fetched for a known ruleset (e.g. from /scores/users/:id/all?ruleset=) when the API
+ * response doesn't say which ruleset it is. Mutates and returns the score.
+ */
+export function tagScoreRuleset(score, ruleset) {
+  if (score && typeof score === 'object' && score.ruleset_id == null && score.mode == null && score.mode_int == null) {
+    const def = RULESETS[normalizeRuleset(ruleset) ?? DEFAULT_RULESET];
+    score.ruleset_id = def.id;
+  }
+  return score;
+}
+
+export function getRulesetName(ruleset) {
+  return RULESETS[normalizeRuleset(ruleset) ?? DEFAULT_RULESET].name;
+}
+
+function readStatistic(score, keys) {
+  const s = score?.statistics;
+  for (const key of keys) {
+    const v = s?.[key] ?? score?.[key];
+    if (v != null) return Number(v) || 0;
+  }
+  return 0;
+}
+
+/**
+ * Judgement counts for a score, best first: [{ label, value }]. Misses are separate (getMissCount).
+ * @param {object} score
+ * @param {string} [ruleset] - defaults to the score's own ruleset
+ */
+export function getJudgementCounts(score, ruleset = getScoreRuleset(score)) {
+  const def = RULESETS[normalizeRuleset(ruleset) ?? DEFAULT_RULESET];
+  return def.judgements.map(j => ({ label: j.label, value: readStatistic(score, j.keys) }));
+}
+
+export function getMissCount(score) {
+  return readStatistic(score, MISS_KEYS);
+}
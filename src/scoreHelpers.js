@@ -5,6 +5,7 @@
 import { getBeatmap, extractBeatmapId } from './osu-api.js';
 import { buildBeatmapLinkFromIds } from './helpers.js';
 import { formatRank, formatMapStatEmoji } from './emoji.js';
+import { RULESETS, DEFAULT_RULESET, getScoreRuleset, getRulesetName, getJudgementCounts, getMissCount } from './rulesets.js';
 
 export function extractScoreValue(score) {
   if (typeof score.score === 'number') {
@@ -15,6 +16,25 @@ export function extractScoreValue(score) {
   return 0;
 }
 
+/**
+ * Standardised (score v2) total of a score: lazer total_score, else classic_total_score, else the legacy score.
+ * Used by the 'score_v2' win rule.
+ */
+export function extractScoreV2Value(score) {
+  if (typeof score.total_score === 'number') return score.total_score;
+  if (typeof score.classic_total_score === 'number') return score.classic_total_score;
+  return extractScoreValue(score);
+}
+
+/**
+ * When a score was set (lazer ended_at, legacy created_at), in ms; null when unknown.
+ * Callers pick how unknown times sort (e.g. `getScoreTime(score) ?? 0`).
+ */
+export function getScoreTime(score) {
+  const time = new Date(score?.ended_at ?? score?.created_at ?? NaN).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
 export function formatMods(score) {
   if (!score || typeof score !== 'object') return 'No mods';
 
@@ -36,16 +56,109 @@ export function formatMods(score) {
   return 'No mods';
 }
 
+/** Mod acronyms of a score as an uppercase array (empty when no mods). */
+export function getModAcronyms(score) {
+  const formatted = formatMods(score);
+  if (formatted === 'No mods') return [];
+  return parseModAcronyms(formatted);
+}
+
+/** Parse user input like "HDDT", "hd,dt", "HD DT" or "4K" into mod acronyms. */
+export function parseModAcronyms(input) {
+  if (!input || typeof input !== 'string') return [];
+  const upper = input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  // Mania key mods (1K-10K) start with a digit; every other mod but SV2 is two letters
+  return [...new Set(upper.match(/SV2|10K|[1-9]K|[A-Z]{2}/g) || [])];
+}
+
+/** Challenge mod lock modes: 'any' = no lock, 'exact' = same mod set, 'required' = must include every locked mod. */
+export const MOD_LOCK_MODES = ['any', 'exact', 'required'];
+
+/** Mods that count as another for lock checks (NC is DT, PF is SD); CL (classic) is ignored. */
+const MOD_LOCK_EQUIVALENTS = { NC: 'DT', PF: 'SD' };
+const MOD_LOCK_IGNORED = ['CL'];
+
+/** Mod acronyms with equivalents merged (NC as DT, PF as SD) and CL dropped, for lock and themed day checks. */
+export function normalizeModsForLock(mods) {
+  return [...new Set(
+    mods
+      .filter((m) => !MOD_LOCK_IGNORED.includes(m))
+      .map((m) => MOD_LOCK_EQUIVALENTS[m] || m)
+  )];
+}
+
+/** True if the score's mods satisfy the challenge lock. */
+export function satisfiesModLock(score, modLock, lockedMods) {
+  if (!modLock || modLock === 'any') return true;
+  const scoreMods = normalizeModsForLock(getModAcronyms(score));
+  const required = normalizeModsForLock(lockedMods || []);
+  const hasAll = required.every((m) => scoreMods.includes(m));
+  if (modLock === 'required') return hasAll;
+  return hasAll && scoreMods.length === required.length;
+}
+
+/** Human-readable lock, e.g. "exactly HD, DT" / "must include HD" / "no mods only"; '' when not locked. */
+export function formatModLock(modLock, lockedMods) {
+  if (!modLock || modLock === 'any') return '';
+  const mods = lockedMods || [];
+  if (modLock === 'exact') {
+    return mods.length > 0 ? `exactly ${mods.join(', ')}` : 'no mods only';
+  }
+  return mods.length > 0 ? `must include ${mods.join(', ')}` : '';
+}
+
 export function scoreStat(score, key) {
   const s = score?.statistics;
   const v = s?.[key] ?? score?.[key];
   return Number(v) || 0;
 }
 
+/** Win rule used when a guild has not configured one. */
+export const DEFAULT_WIN_RULE = 'key_stats';
+
 /**
- * Compare two scores; return table, responderWins, challengerWins, totalMetrics, statWinners.
+ * Challenge win rules selectable per guild (see guild_settings.challengeWinRule).
+ * statIndex = the statWinners row that alone decides single-stat rules.
  */
-export function compareScores(challengerScore, responderScore, responderUsername) {
+export const WIN_RULES = {
+  key_stats: {
+    name: 'Key stats',
+    description: '5 key stats (PP or top judgements — 300s, MAX in mania — when both PP are 0, Accuracy, Max Combo, Score, Misses). Need **3+** to win.',
+  },
+  score: {
+    name: 'Score',
+    description: 'Higher score wins.',
+    statIndex: 4,
+  },
+  score_v2: {
+    name: 'Score V2',
+    description: 'Higher standardised (score v2) total wins, whatever the mods.',
+  },
+  accuracy: {
+    name: 'Accuracy',
+    description: 'Higher accuracy wins.',
+    statIndex: 2,
+  },
+  pp: {
+    name: 'PP',
+    description: 'Higher PP wins (score decides when both PP are 0).',
+    statIndex: 1,
+  },
+  weighted: {
+    name: 'Weighted',
+    description: 'Weighted key stats: PP (or top judgements when both PP are 0) 30%, Accuracy 25%, Score 20%, Max Combo 15%, Misses 10%. Need **more than 50%** of the weight to win.',
+  },
+};
+
+/** Weight per statWinners row for the 'weighted' rule (row 1 is replaced by row 6 when both PP are 0). */
+const WEIGHTED_RULE_WEIGHTS = { 1: 0.3, 2: 0.25, 4: 0.2, 3: 0.15, 5: 0.1 };
+
+/**
+ * Compare two scores under a win rule (default: 3 of 5 key stats).
+ * Returns table, responderWon, summary, responderWins, challengerWins, totalMetrics, statWinners.
+ * For single-stat rules, statWinners keeps only the deciding row (others 'tie') so the card highlights what counted.
+ */
+export function compareScores(challengerScore, responderScore, responderUsername, winRule = DEFAULT_WIN_RULE) {
   if (!challengerScore || !responderScore || typeof challengerScore !== 'object' || typeof responderScore !== 'object') {
     throw new Error('Invalid score data provided for comparison');
   }
@@ -63,14 +176,14 @@ export function compareScores(challengerScore, responderScore, responderUsername
   const challengerAccPct = (Number(challengerScore.accuracy) || 0) * 100;
   const responderAccPct = (Number(responderScore.accuracy) || 0) * 100;
 
-  const challenger300 = scoreStat(challengerScore, 'count_300');
-  const responder300 = scoreStat(responderScore, 'count_300');
-  const challenger100 = scoreStat(challengerScore, 'count_100');
-  const responder100 = scoreStat(responderScore, 'count_100');
-  const challenger50 = scoreStat(challengerScore, 'count_50');
-  const responder50 = scoreStat(responderScore, 'count_50');
-  const challengerMiss = scoreStat(challengerScore, 'count_miss');
-  const responderMiss = scoreStat(responderScore, 'count_miss');
+  // Judgements follow the challenge's ruleset (best first: 300s, or MAX in mania); misses are common to all
+  const ruleset = getScoreRuleset(challengerScore);
+  const challengerJudgements = getJudgementCounts(challengerScore, ruleset);
+  const responderJudgements = getJudgementCounts(responderScore, ruleset);
+  const challengerTop = challengerJudgements[0].value;
+  const responderTop = responderJudgements[0].value;
+  const challengerMiss = getMissCount(challengerScore);
+  const responderMiss = getMissCount(responderScore);
 
   const challengerMods = formatMods(challengerScore);
   const responderMods = formatMods(responderScore);
@@ -82,10 +195,11 @@ export function compareScores(challengerScore, responderScore, responderUsername
   const scoreWinner = responderScoreValue > challengerScoreValue ? responderName : (responderScoreValue < challengerScoreValue ? challengerUsername : 'Tie');
   const missWinner = responderMiss < challengerMiss ? responderName : (responderMiss > challengerMiss ? challengerUsername : 'Tie');
   const fifthMetricWinner = bothPPZero
-    ? (responder300 > challenger300 ? responderName : (responder300 < challenger300 ? challengerUsername : 'Tie'))
+    ? (responderTop > challengerTop ? responderName : (responderTop < challengerTop ? challengerUsername : 'Tie'))
     : ppWinner;
 
-  // Per-stat winner by side (right=responder, left=challenger) — used so own-challenge improvements show correct stats
+  // Per-stat winner by side (right=responder, left=challenger) — used so own-challenge improvements show correct stats.
+  // Rows: Mods, PP, Accuracy, Max Combo, Score, Misses, then the ruleset's judgements (top one higher-is-better, rest lower).
   const statWinners = [
     'tie',
     responderPP > challengerPP ? 'right' : responderPP < challengerPP ? 'left' : 'tie',
@@ -93,9 +207,11 @@ export function compareScores(challengerScore, responderScore, responderUsername
     responderCombo > challengerCombo ? 'right' : responderCombo < challengerCombo ? 'left' : 'tie',
     responderScoreValue > challengerScoreValue ? 'right' : responderScoreValue < challengerScoreValue ? 'left' : 'tie',
     responderMiss < challengerMiss ? 'right' : responderMiss > challengerMiss ? 'left' : 'tie',
-    responder300 > challenger300 ? 'right' : responder300 < challenger300 ? 'left' : 'tie',
-    responder100 < challenger100 ? 'right' : responder100 > challenger100 ? 'left' : 'tie',
-    responder50 < challenger50 ? 'right' : responder50 > challenger50 ? 'left' : 'tie',
+    ...challengerJudgements.map(({ value: c }, i) => {
+      const r = responderJudgements[i].value;
+      if (i === 0) return r > c ? 'right' : r < c ? 'left' : 'tie';
+      return r < c ? 'right' : r > c ? 'left' : 'tie';
+    }),
   ];
   const fifthKeyIndex = bothPPZero ? 6 : 1;
   const keyStatIndices = [fifthKeyIndex, 2, 3, 4, 5];
@@ -105,7 +221,43 @@ export function compareScores(challengerScore, responderScore, responderUsername
     if (statWinners[i] === 'right') responderWins++;
     else if (statWinners[i] === 'left') challengerWins++;
   }
-  const totalMetrics = responderWins + challengerWins;
+  let totalMetrics = responderWins + challengerWins;
+
+  const rule = WIN_RULES[winRule] ? winRule : DEFAULT_WIN_RULE;
+  let responderWon;
+  let summary;
+  let ruleStatWinners = statWinners;
+  if (rule === 'key_stats') {
+    responderWon = responderWins >= 3;
+    summary = `${responderWins}/5 key stats`;
+  } else if (rule === 'weighted') {
+    let responderWeight = 0;
+    for (const i of keyStatIndices) {
+      const weight = WEIGHTED_RULE_WEIGHTS[i === fifthKeyIndex ? 1 : i];
+      if (statWinners[i] === 'right') responderWeight += weight;
+    }
+    responderWon = responderWeight > 0.5;
+    summary = `${Math.round(responderWeight * 100)}% weighted`;
+  } else if (rule === 'score_v2') {
+    const challengerV2 = Number(extractScoreV2Value(challengerScore)) || 0;
+    const responderV2 = Number(extractScoreV2Value(responderScore)) || 0;
+    const v2Winner = responderV2 > challengerV2 ? 'right' : responderV2 < challengerV2 ? 'left' : 'tie';
+    responderWon = v2Winner === 'right';
+    responderWins = responderWon ? 1 : 0;
+    challengerWins = v2Winner === 'left' ? 1 : 0;
+    totalMetrics = 1;
+    summary = `decided by Score V2: ${responderV2.toLocaleString()} vs ${challengerV2.toLocaleString()}`;
+    // The card's Score row shows which side had the higher standardised score
+    ruleStatWinners = statWinners.map((w, i) => (i === 0 ? w : i === 4 ? v2Winner : 'tie'));
+  } else {
+    const statIndex = rule === 'pp' && bothPPZero ? 4 : WIN_RULES[rule].statIndex;
+    responderWon = statWinners[statIndex] === 'right';
+    responderWins = responderWon ? 1 : 0;
+    challengerWins = statWinners[statIndex] === 'left' ? 1 : 0;
+    totalMetrics = 1;
+    summary = `decided by ${statIndex === 4 ? 'Score' : WIN_RULES[rule].name}`;
+    ruleStatWinners = statWinners.map((w, i) => (i === 0 || i === statIndex ? w : 'tie'));
+  }
 
   let table = '```\n';
   table += 'Stat              | Challenger          | Responder\n';
@@ -115,21 +267,29 @@ export function compareScores(challengerScore, responderScore, responderUsername
   table += `Max Combo         | ${challengerCombo.toString().padStart(17)} ${responderCombo < challengerCombo ? '🏆' : ''} | ${responderCombo.toString().padStart(17)} ${responderCombo > challengerCombo ? '🏆' : ''}\n`;
   table += `Score             | ${challengerScoreValue.toLocaleString().padStart(17)} ${responderScoreValue < challengerScoreValue ? '🏆' : ''} | ${responderScoreValue.toLocaleString().padStart(17)} ${responderScoreValue > challengerScoreValue ? '🏆' : ''}\n`;
   table += `Misses            | ${challengerMiss.toString().padStart(17)} ${responderMiss > challengerMiss ? '🏆' : ''} | ${responderMiss.toString().padStart(17)} ${responderMiss < challengerMiss ? '🏆' : ''}\n`;
-  table += `300s              | ${challenger300.toString().padStart(17)} ${bothPPZero && responder300 < challenger300 ? '🏆' : ''} | ${responder300.toString().padStart(17)} ${bothPPZero && responder300 > challenger300 ? '🏆' : ''}\n`;
-  table += `100s              | ${challenger100.toString().padStart(17)} | ${responder100.toString().padStart(17)}\n`;
-  table += `50s               | ${challenger50.toString().padStart(17)} | ${responder50.toString().padStart(17)}\n`;
+  challengerJudgements.forEach(({ label, value: c }, i) => {
+    const r = responderJudgements[i].value;
+    const trophies = i === 0 && bothPPZero
+      ? [r < c ? '🏆' : '', r > c ? '🏆' : '']
+      : null;
+    table += trophies
+      ? `${label.padEnd(18)}| ${c.toString().padStart(17)} ${trophies[0]} | ${r.toString().padStart(17)} ${trophies[1]}\n`
+      : `${label.padEnd(18)}| ${c.toString().padStart(17)} | ${r.toString().padStart(17)}\n`;
+  });
   const challengerModsFormatted = challengerMods.length > 17 ? challengerMods.substring(0, 14) + '...' : challengerMods;
   const responderModsFormatted = responderMods.length > 17 ? responderMods.substring(0, 14) + '...' : responderMods;
   table += `Mods              | ${challengerModsFormatted.padStart(17)} | ${responderModsFormatted.padStart(17)}\n`;
   table += '```\n\n';
-  table += `**Winner:** ${responderWins > challengerWins ? responderName : responderWins < challengerWins ? challengerUsername : 'Tie'} (${Math.max(responderWins, challengerWins)}/${totalMetrics} stats)\n`;
+  table += `**Winner:** ${responderWon ? responderName : challengerUsername} (${summary})\n`;
 
   return {
     table,
+    responderWon,
+    summary,
     responderWins,
     challengerWins,
     totalMetrics,
-    statWinners,
+    statWinners: ruleStatWinners,
   };
 }
 
@@ -262,10 +422,8 @@ export async function formatPlayerStats(score) {
   const pp = typeof score.pp === 'number' ? score.pp : 0;
   const accuracy = typeof score.accuracy === 'number' ? (score.accuracy * 100) : 0;
   const maxCombo = typeof score.max_combo === 'number' ? score.max_combo : 0;
-  const count300 = score.statistics?.count_300 || 0;
-  const count100 = score.statistics?.count_100 || 0;
-  const count50 = score.statistics?.count_50 || 0;
-  const countMiss = score.statistics?.count_miss || 0;
+  const ruleset = getScoreRuleset(score);
+  const hits = [...getJudgementCounts(score, ruleset).map(j => j.value), getMissCount(score)];
 
   let cs = score.beatmap?.cs ?? score.beatmap?.circle_size ?? null;
   let ar = score.beatmap?.ar ?? score.beatmap?.approach_rate ?? null;
@@ -292,20 +450,29 @@ export async function formatPlayerStats(score) {
   stats += `• Accuracy: **${accuracy.toFixed(2)}%**\n`;
   stats += `• Max Combo: **${maxCombo.toLocaleString()}**\n`;
   stats += `• Score: **${scoreValue.toLocaleString()}**\n`;
-  stats += `• Hits: **${count300}**/${count100}/${count50}/**${countMiss}**\n`;
+  stats += `• Hits: ${hits.map((v, i) => (i === 0 || i === hits.length - 1 ? `**${v}**` : v)).join('/')}\n`;
+  if (ruleset !== DEFAULT_RULESET) {
+    stats += `• Mode: **${getRulesetName(ruleset)}**\n`;
+  }
 
   if (cs != null || ar != null || bpm != null || od != null || hp != null) {
-    const csValue = cs != null ? cs.toFixed(1) : 'N/A';
-    const arValue = ar != null ? ar.toFixed(1) : 'N/A';
-    const bpmValue = bpm != null ? Math.round(bpm).toString() : 'N/A';
-    const odValue = od != null ? od.toFixed(1) : 'N/A';
-    const hpValue = hp != null ? hp.toFixed(1) : 'N/A';
-    const csEmoji = await formatMapStatEmoji('cs');
-    const arEmoji = await formatMapStatEmoji('ar');
-    const bpmEmoji = await formatMapStatEmoji('bpm');
-    const odEmoji = await formatMapStatEmoji('od');
-    const hpEmoji = await formatMapStatEmoji('hp');
-    stats += `• Map Stats: ${csEmoji} **${csValue}** | ${arEmoji} **${arValue}** | ${bpmEmoji} **${bpmValue}** | ${odEmoji} **${odValue}** | ${hpEmoji} **${hpValue}**\n`;
+    const mapStatValues = {
+      cs: cs != null ? cs.toFixed(1) : 'N/A',
+      ar: ar != null ? ar.toFixed(1) : 'N/A',
+      bpm: bpm != null ? Math.round(bpm).toString() : 'N/A',
+      od: od != null ? od.toFixed(1) : 'N/A',
+      hp: hp != null ? hp.toFixed(1) : 'N/A',
+    };
+    const parts = [];
+    for (const stat of RULESETS[ruleset].mapStats) {
+      if (stat === 'keys') {
+        // Mania stores the key count in CS
+        parts.push(`**${cs != null ? `${Math.round(cs)}K` : 'N/A'}**`);
+      } else {
+        parts.push(`${await formatMapStatEmoji(stat)} **${mapStatValues[stat]}**`);
+      }
+    }
+    stats += `• Map Stats: ${parts.join(' | ')}\n`;
   }
 
   stats += '\n';
@@ -320,12 +487,9 @@ export async function formatPlayerStatsCompact(score) {
   const pp = typeof score.pp === 'number' ? score.pp : 0;
   const accuracy = typeof score.accuracy === 'number' ? (score.accuracy * 100) : 0;
   const maxCombo = typeof score.max_combo === 'number' ? score.max_combo : 0;
-  const count300 = score.statistics?.count_300 || 0;
-  const count100 = score.statistics?.count_100 || 0;
-  const count50 = score.statistics?.count_50 || 0;
-  const countMiss = score.statistics?.count_miss || 0;
+  const hits = [...getJudgementCounts(score).map(j => j.value), getMissCount(score)];
 
-  return `${rankFormatted} | ${mods} | ${pp.toFixed(2)}pp | ${accuracy.toFixed(2)}% | ${maxCombo.toLocaleString()}x | ${scoreValue.toLocaleString()} | ${count300}/${count100}/${count50}/${countMiss}`;
+  return `${rankFormatted} | ${mods} | ${pp.toFixed(2)}pp | ${accuracy.toFixed(2)}% | ${maxCombo.toLocaleString()}x | ${scoreValue.toLocaleString()} | ${hits.join('/')}`;
 }
 
 export function getBeatmapStatusName(status) {
@@ -0,0 +1,133 @@
+/**
+ * Score poller: respond to challenges for players who opted in (/teto autorespond) in guilds that
+ * turned it on (/teto config challenges auto_respond), so nobody has to remember /rsc.
+ * pollScores(ctx, options) checks each player's recent plays since the last poll and posts responses
+ * through postChallengeResponse. ctx is the /rsc ctx built in index.js plus getChallengesChannel.
+ */
+
+import { isScoreAlreadyUsed, postChallengeResponse } from './commandHandlers.js';
+import { RateLimitedError } from './osu-api.js';
+import { getScoreTime } from './scoreHelpers.js';
+
+/** Recent plays fetched per player per poll (one osu! API request) */
+const POLL_RECENT_SCORE_LIMIT = 20;
+
+/**
+ * Best new play per active challenge for one player: only plays in the challenge's ruleset that
+ * satisfy its mod lock, best by score value (like /rsc with a link).
+ * @returns {Promise<Array<{ challenge: object, score: object }>>}
+ */
+async function findChallengeResponses(guildId, scores, ctx) {
+  const byChallenge = new Map();
+  for (const score of scores) {
+    const beatmapId = score.beatmap?.id?.toString();
+    const difficulty = score.beatmap?.version;
+    if (!beatmapId || !difficulty) continue;
+    if (!ctx.isValidScore(score)) continue;
+
+    const key = `${beatmapId}:${difficulty}`;
+    if (!byChallenge.has(key)) {
+      const challenge = await ctx.activeChallenges.getByDifficulty(guildId, beatmapId, difficulty);
+      byChallenge.set(key, { challenge, score: null });
+    }
+    const entry = byChallenge.get(key);
+    const { challenge } = entry;
+    if (!challenge || typeof challenge.challengerScore !== 'object' || challenge.challengerScore === null) continue;
+    if (ctx.getScoreRuleset(score) !== ctx.getScoreRuleset(challenge.challengerScore)) continue;
+    if (!ctx.satisfiesModLock(score, challenge.modLock, challenge.lockedMods)) continue;
+
+    const value = Number(ctx.extractScoreValue(score)) || 0;
+    if (!entry.score || value > (Number(ctx.extractScoreValue(entry.score)) || 0)) {
+      entry.score = score;
+    }
+  }
+  return [...byChallenge.values()].filter(entry => entry.score);
+}
+
+/**
+ * Check one player's plays since their last poll and respond to any challenges they played.
+ * The first poll for a player only sets the starting point.
+ * @returns {Promise<object[]>} postChallengeResponse results that were posted
+ */
+async function pollUserScores(guildId, association, opChannel, ctx) {
+  const since = association.lastScorePollAt ? new Date(association.lastScorePollAt) : null;
+  const polledAt = new Date();
+  const recentScoresData = await ctx.getUserRecentScores(association.osuUserId, {
+    limit: POLL_RECENT_SCORE_LIMIT,
+    include_fails: false,
+    mode: association.ruleset || ctx.DEFAULT_RULESET,
+  });
+  await ctx.associations.setLastScorePollAt(guildId, association.discordUserId, polledAt);
+  if (!since) return [];
+
+  // Plays in (since, polledAt]: anything newer is picked up by the next poll
+  const newScores = (Array.isArray(recentScoresData) ? recentScoresData : []).filter((score) => {
+    const time = getScoreTime(score);
+    return time != null && time > since.getTime() && time <= polledAt.getTime();
+  });
+  if (newScores.length === 0) return [];
+
+  const { challengeWinRule } = await ctx.guildSettings.get(guildId);
+  const posted = [];
+  for (const { challenge, score } of await findChallengeResponses(guildId, newScores, ctx)) {
+    // Already answered with this play (e.g. through /rsc before this poll)
+    if (await isScoreAlreadyUsed(ctx, guildId, challenge, score)) continue;
+    // Own challenges: only post improvements, never "pretend Teto didn't see that"
+    if (challenge.challengerUserId === association.discordUserId) {
+      const { responderWon } = ctx.compareScores(challenge.challengerScore, score, association.discordUsername, challengeWinRule);
+      if (!responderWon) continue;
+    }
+    const response = await postChallengeResponse(ctx, {
+      guildId,
+      userId: association.discordUserId,
+      username: association.discordUsername,
+      osuUserId: association.osuUserId,
+      challenge,
+      responderScore: score,
+      opChannel,
+      autoDetected: true,
+    });
+    if (response.error) {
+      console.error(`[score poller] Could not respond for ${association.discordUserId} on ${challenge.beatmapId}: ${response.error}`);
+      continue;
+    }
+    posted.push(response);
+  }
+  return posted;
+}
+
+/**
+ * Poll opted-in players in every guild with auto responses on and a challenges channel, least recently
+ * polled first across all guilds. Costs one osu! API request per player (plus beatmap/user lookups for
+ * responses), so maxUsers caps how many are polled per run; the rest go first next time. Stops early
+ * when osu! rate limits us.
+ * @param {object} ctx - /rsc ctx plus getChallengesChannel(guildId) (the channel, or null when unusable)
+ * @param {{ maxUsers?: number }} [options]
+ * @returns {Promise<{ polled: number, posted: object[], rateLimited: boolean }>}
+ */
+export async function pollScores(ctx, { maxUsers = Infinity } = {}) {
+  const channels = new Map();
+  for (const { guildId } of await ctx.guildSettings.getWithAutoRespond()) {
+    const channel = await ctx.getChallengesChannel(guildId);
+    if (channel) channels.set(guildId, channel);
+  }
+  if (channels.size === 0) return { polled: 0, posted: [], rateLimited: false };
+
+  const users = (await ctx.associations.getAutoRespondUsers([...channels.keys()])).slice(0, maxUsers);
+  const posted = [];
+  let polled = 0;
+  for (const association of users) {
+    const { guildId } = association;
+    try {
+      posted.push(...await pollUserScores(guildId, association, channels.get(guildId), ctx));
+      polled++;
+    } catch (error) {
+      if (error instanceof RateLimitedError) {
+        console.warn('[score poller] osu! rate limit hit; resuming next run');
+        return { polled, posted, rateLimited: true };
+      }
+      console.error(`[score poller] Error polling ${association.discordUserId} in guild ${guildId}:`, error);
+    }
+  }
+  return { polled, posted, rateLimited: false };
+}
@@ -0,0 +1,206 @@
+/**
+ * Map of the day submission rules (/teto config map_rules): star range, max drain length, allowed
+ * beatmap statuses, banned mappers and beatmapsets, and required mods on themed weekdays.
+ * Rules are kept per guild in submission_rules; checkSubmissionRules() is run by /teto map submit.
+ * Also the per-player quota and cooldown from guild_settings (/teto config maps): checkSubmissionQuota().
+ */
+
+import { getBeatmapStatusName, parseModAcronyms, normalizeModsForLock } from './scoreHelpers.js';
+
+/** Beatmap statuses a server can allow (stored lowercased) */
+export const BEATMAP_STATUS_NAMES = ['Ranked', 'Approved', 'Qualified', 'Loved', 'Pending', 'WIP', 'Graveyard'];
+/** Mods a submission can recommend (the recommended_mod choices), so the only mods a themed day can require */
+export const VALID_MODS = ['EZ', 'NF', 'HT', 'HR', 'SD', 'PF', 'DT', 'NC', 'HD', 'FL', 'RL', 'SO', 'SV2'];
+/** Themed days are keyed by weekday number (0 = Sunday), like Date#getUTCDay */
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Days (today included) the weekly submission quota counts */
+export const SUBMISSION_QUOTA_WINDOW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/** YYYY-MM-DD `days` days after (or before, when negative) a YYYY-MM-DD date. */
+function shiftDate(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * First submission day whose submissions still count on `today`: the weekly window plus one day, so a
+ * cooldown of up to a week always sees the previous submission. Older submissions can be deleted.
+ */
+export function submissionHistoryStart(today) {
+  return shiftDate(today, -SUBMISSION_QUOTA_WINDOW_DAYS);
+}
+
+/** Time left as "3h 20m" / "45m". */
+function formatTimeLeft(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Why a player can't submit another map yet (daily or weekly quota, cooldown), or null when they can.
+ * @param {object} settings - guild settings: submissionsPerDay, submissionsPerWeek, submissionCooldownHours (null = off)
+ * @param {Array<{ submissionDate: string, createdAt: Date }>} recent - the player's submissions since
+ *   submissionHistoryStart(today), oldest first
+ * @param {{ today: string, now?: Date }} when - today is the guild's submission day
+ * @returns {string|null}
+ */
+export function checkSubmissionQuota(settings, recent, { today, now = new Date() }) {
+  const perDay = settings.submissionsPerDay;
+  const todayCount = recent.filter(submission => submission.submissionDate === today).length;
+  if (perDay != null && todayCount >= perDay) {
+    return perDay === 1
+      ? 'You already submitted a map today!'
+      : `You already submitted ${todayCount} maps today (limit: ${perDay} per day). Come back tomorrow!`;
+  }
+
+  const perWeek = settings.submissionsPerWeek;
+  const weekStart = shiftDate(today, -(SUBMISSION_QUOTA_WINDOW_DAYS - 1));
+  const week = recent.filter(submission => submission.submissionDate >= weekStart);
+  if (perWeek != null && week.length >= perWeek) {
+    // A slot opens when enough of the oldest submissions leave the window
+    const nextSlot = shiftDate(week[week.length - perWeek].submissionDate, SUBMISSION_QUOTA_WINDOW_DAYS);
+    return `You already submitted ${week.length} maps in the last ${SUBMISSION_QUOTA_WINDOW_DAYS} days (limit: ${perWeek} per week). Your next slot opens on ${nextSlot}.`;
+  }
+
+  const cooldownHours = settings.submissionCooldownHours;
+  const last = recent[recent.length - 1];
+  if (cooldownHours && last) {
+    const readyAt = new Date(last.createdAt).getTime() + cooldownHours * HOUR_MS;
+    if (readyAt > now.getTime()) {
+      return `You can submit again in ${formatTimeLeft(readyAt - now.getTime())} (${cooldownHours}h cooldown between maps).`;
+    }
+  }
+  return null;
+}
+
+/** The quota and cooldown in words, e.g. "2 maps per day, at most 5 per week, 12h apart". */
+export function formatSubmissionQuota(settings) {
+  const perDay = settings.submissionsPerDay;
+  const parts = [perDay != null ? `${perDay} ${perDay === 1 ? 'map' : 'maps'} per day` : 'any number of maps per day'];
+  if (settings.submissionsPerWeek != null) parts.push(`at most ${settings.submissionsPerWeek} per week`);
+  if (settings.submissionCooldownHours) parts.push(`${settings.submissionCooldownHours}h apart`);
+  return parts.join(', ');
+}
+
+/** Drain length as m:ss. */
+export function formatDrainLength(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/** Status filter input ("ranked, loved") as lowercased statuses; null if any of them isn't a beatmap status. */
+export function parseStatusList(input) {
+  const known = BEATMAP_STATUS_NAMES.map(name => name.toLowerCase());
+  const statuses = [...new Set(input.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+  return statuses.length > 0 && statuses.every(status => known.includes(status)) ? statuses : null;
+}
+
+/** Themed day mods input ("HDDT", "hr, fl") as acronyms; null if none were read or any of them can't be recommended. */
+export function parseThemedMods(input) {
+  const mods = parseModAcronyms(input);
+  return mods.length > 0 && mods.every(mod => VALID_MODS.includes(mod)) ? mods : null;
+}
+
+/** Beatmapset ID from a beatmapset link (osu.ppy.sh/beatmapsets/123, osu.ppy.sh/s/123) or a plain ID, or null. */
+export function parseBeatmapsetId(input) {
+  const trimmed = input.trim();
+  if (/^\d+$/.test(trimmed)) return trimmed;
+  const match = trimmed.match(/osu\.ppy\.sh\/(?:beatmapsets|s)\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/** Whether any rule that needs the beatmap's data is set. */
+function hasBeatmapRules(rules) {
+  return rules.minStars != null || rules.maxStars != null || rules.maxDrainSeconds != null
+    || rules.allowedStatuses.length > 0 || rules.bannedMappers.length > 0 || rules.bannedBeatmapsetIds.length > 0;
+}
+
+/**
+ * Every rule a submission breaks, as messages for the submitter (empty when it may be posted).
+ * Banned mappers match the set's creator or the difficulty's mapper, by osu! username (any case) or user ID.
+ * Themed day mods count their equivalents like challenge mod locks (NC for DT, PF for SD).
+ * @param {object} rules - submission_rules row (or the defaults)
+ * @param {object|null} beatmap - /beatmaps/:id response
+ * @param {{ mods: string[], weekday: number }} submission - recommended mods, and the day it's submitted for
+ * @returns {string[]}
+ */
+export function checkSubmissionRules(rules, beatmap, { mods, weekday }) {
+  const failures = [];
+  if (!beatmap && hasBeatmapRules(rules)) {
+    failures.push("Teto couldn't look up this map to check it against the server's rules. Try again in a bit.");
+  }
+
+  if (beatmap) {
+    const stars = beatmap.difficulty_rating;
+    if (stars != null && rules.minStars != null && stars < rules.minStars) {
+      failures.push(`Star rating ★${stars.toFixed(2)} is below this server's minimum of ★${rules.minStars.toFixed(2)}.`);
+    }
+    if (stars != null && rules.maxStars != null && stars > rules.maxStars) {
+      failures.push(`Star rating ★${stars.toFixed(2)} is above this server's maximum of ★${rules.maxStars.toFixed(2)}.`);
+    }
+
+    const drain = beatmap.hit_length;
+    if (drain != null && rules.maxDrainSeconds != null && drain > rules.maxDrainSeconds) {
+      failures.push(`Drain length ${formatDrainLength(drain)} is longer than this server's maximum of ${formatDrainLength(rules.maxDrainSeconds)}.`);
+    }
+
+    if (rules.allowedStatuses.length > 0) {
+      const status = getBeatmapStatusName(beatmap.status);
+      if (!rules.allowedStatuses.includes(status.toLowerCase())) {
+        const allowed = BEATMAP_STATUS_NAMES.filter(name => rules.allowedStatuses.includes(name.toLowerCase()));
+        failures.push(`${status} maps aren't allowed here (allowed: ${allowed.join(', ')}).`);
+      }
+    }
+
+    const mappers = [
+      beatmap.beatmapset?.creator,
+      beatmap.beatmapset?.user_id,
+      beatmap.user_id,
+    ].filter(value => value != null).map(value => String(value).toLowerCase());
+    const bannedMapper = rules.bannedMappers.find(mapper => mappers.includes(mapper));
+    if (bannedMapper) {
+      failures.push(`Maps by **${beatmap.beatmapset?.creator ?? bannedMapper}** are banned on this server.`);
+    }
+
+    if (beatmap.beatmapset_id != null && rules.bannedBeatmapsetIds.includes(String(beatmap.beatmapset_id))) {
+      failures.push('This beatmapset is banned on this server.');
+    }
+  }
+
+  const themedMods = rules.themedDayMods?.[weekday] ?? [];
+  const submittedMods = normalizeModsForLock(mods);
+  const missingMods = themedMods.filter(mod => !normalizeModsForLock([mod]).every(m => submittedMods.includes(m)));
+  if (missingMods.length > 0) {
+    failures.push(`It's ${themedMods.join('')} ${WEEKDAY_NAMES[weekday]}! Add ${missingMods.join(', ')} to your recommended mods.`);
+  }
+  return failures;
+}
+
+/** The rules as bullet lines for /teto config map_rules (one line saying so when there are none). */
+export function formatSubmissionRules(rules) {
+  const lines = [];
+  if (rules.minStars != null || rules.maxStars != null) {
+    const min = rules.minStars != null ? `★${rules.minStars.toFixed(2)}` : 'any';
+    const max = rules.maxStars != null ? `★${rules.maxStars.toFixed(2)}` : 'any';
+    lines.push(`• **Star rating:** ${min} – ${max}`);
+  }
+  if (rules.maxDrainSeconds != null) {
+    lines.push(`• **Max drain length:** ${formatDrainLength(rules.maxDrainSeconds)}`);
+  }
+  if (rules.allowedStatuses.length > 0) {
+    const allowed = BEATMAP_STATUS_NAMES.filter(name => rules.allowedStatuses.includes(name.toLowerCase()));
+    lines.push(`• **Allowed statuses:** ${allowed.join(', ')}`);
+  }
+  if (rules.bannedMappers.length > 0) {
+    lines.push(`• **Banned mappers:** ${rules.bannedMappers.join(', ')}`);
+  }
+  if (rules.bannedBeatmapsetIds.length > 0) {
+    lines.push(`• **Banned beatmapsets:** ${rules.bannedBeatmapsetIds.map(id => `[${id}](https://osu.ppy.sh/beatmapsets/${id})`).join(', ')}`);
+  }
+  for (const [weekday, mods] of Object.entries(rules.themedDayMods ?? {})) {
+    if (mods.length > 0) lines.push(`• **${WEEKDAY_NAMES[weekday]}:** ${mods.join('')} day (required mods)`);
+  }
+  return lines.length > 0 ? lines : ['• No rules — any map can be submitted'];
+}
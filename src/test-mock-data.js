@@ -1,10 +1,9 @@
 /**
- * Mock data for test commands
- * This file contains all mock data used in test command functions
- * Modify these values to change test data without touching the test functions
+ * Mock score data for the osu! API stub fixtures (osu-api-stub-fixtures.js), and through them the test suite.
+ * Modify these values to change stub data without touching the fixtures.
  */
 
-// Base mock score data (used for trs, tc, rsci commands)
+// Base mock score data
 export const mockScore = {
   score: 1234567,
   pp: 123.45,
@@ -34,37 +33,7 @@ export const mockScore = {
   }
 };
 
-// Mock score with single mod (used for tc command)
-export const mockScoreSingleMod = {
-  score: 1234567,
-  pp: 123.45,
-  accuracy: 0.95,
-  max_combo: 500,
-  rank: 'A',
-  mods: [{ acronym: 'HD' }],
-  statistics: {
-    count_300: 200,
-    count_100: 50,
-    count_50: 10,
-    count_miss: 5
-  },
-  beatmap: {
-    id: 12345,
-    version: 'Test Difficulty',
-    cs: 4.2,
-    ar: 9.5,
-    bpm: 180,
-    accuracy: 8.0,
-    drain: 6.5
-  },
-  beatmapset: {
-    id: 6789,
-    title: 'Test Map Title',
-    title_unicode: 'Test Map Title'
-  }
-};
-
-// Helper: create multiple mock scores with varying stats (for tc command)
+// Helper: create multiple mock scores with varying stats (a user's scores on one map)
 export function createMockScores(baseScore, count = 3) {
   const scores = [];
   for (let i = 0; i < count; i++) {
@@ -86,7 +55,7 @@ export function createMockScores(baseScore, count = 3) {
   return scores;
 }
 
-// Mock challenger score (used for rscr command)
+// Mock challenger score
 export const mockChallengerScore = {
   score: 1234567,
   pp: 123.45,
@@ -113,7 +82,7 @@ export const mockChallengerScore = {
   }
 };
 
-// Mock responder score (used for rscr command)
+// Mock responder score
 // This is based on challenger score but with better stats
 export function createMockResponderScore(challengerScore, responderUsername) {
   return {
@@ -127,49 +96,3 @@ export function createMockResponderScore(challengerScore, responderUsername) {
     }
   };
 }
-
-// Mock beatmap data (used for motd command)
-export const mockBeatmap = {
-  id: 12345,
-  version: 'Test Difficulty',
-  beatmapset_id: 6789,
-  beatmapset: {
-    id: 6789,
-    title: 'Test Map Title',
-    title_unicode: 'Test Map Title'
-  }
-};
-
-// Mock recommended mods (used for motd command)
-export const mockMods = ['HD', 'HR'];
-
-// Default difficulty name fallback
-export const defaultDifficulty = 'Test Difficulty';
-
-// Mock "2 most recent plays" for card stats (same fields as challenge response; different values for comparison)
-export const mockRecentPlay1 = {
-  score: 36589080,
-  pp: 0,
-  accuracy: 0.9635,
-  max_combo: 1085,
-  statistics: {
-    count_300: 892,
-    count_100: 42,
-    count_50: 8,
-    count_miss: 3,
-  },
-  mods: [{ acronym: 'HD' }, { acronym: 'HR' }],
-};
-export const mockRecentPlay2 = {
-  score: 21480640,
-  pp: 146.5,
-  accuracy: 0.9637,
-  max_combo: 666,
-  statistics: {
-    count_300: 654,
-    count_100: 78,
-    count_50: 12,
-    count_miss: 6,
-  },
-  mods: [{ acronym: 'HD' }],
-};
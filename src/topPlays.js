@@ -0,0 +1,134 @@
+/**
+ * Top-play feed: post linked players' new top-100 pp plays to each guild's top plays channel
+ * (/teto setup set_this_channel_for:Top plays). Each osu! user's top plays are snapshotted per ruleset
+ * in top_play_snapshots; a play that wasn't in the last snapshot is new.
+ * pollTopPlays(ctx, options) is run by the cron job in index.js; ctx is built there.
+ */
+
+import { RateLimitedError } from './osu-api.js';
+import { getScoreTime } from './scoreHelpers.js';
+
+/** Top plays osu! weights into profile pp (and the most /scores/best returns) */
+export const TOP_PLAYS_LIMIT = 100;
+/** Each play counts 95% as much as the one above it */
+const PP_WEIGHT = 0.95;
+
+/** Snapshot entries for a list of scores: [{ id, pp }], highest pp first, at most TOP_PLAYS_LIMIT. */
+export function toSnapshotEntries(scores) {
+  return (scores || [])
+    .filter(score => score?.id != null)
+    .map(score => ({ id: String(score.id), pp: Number(score.pp) || 0 }))
+    .sort((a, b) => b.pp - a.pp)
+    .slice(0, TOP_PLAYS_LIMIT);
+}
+
+/** Weighted pp of snapshot entries (highest first), as osu! sums top plays into profile pp (without bonus pp). */
+export function weightedPp(entries) {
+  return (entries || []).reduce((total, entry, i) => total + entry.pp * PP_WEIGHT ** i, 0);
+}
+
+/**
+ * Plays in the current top plays that weren't in the previous snapshot, in the order they were set,
+ * each with its position in the top plays and the weighted pp it added on top of the plays before it.
+ * Plays set before `since` are skipped: old scores can re-enter the top 100 when osu! recalculates pp.
+ * @param {Array<{ id: string, pp: number }>} previousEntries - last snapshot
+ * @param {object[]} currentScores - /users/:id/scores/best response
+ * @param {Date} [since] - when the previous snapshot was taken
+ * @returns {Array<{ score: object, position: number, ppGain: number }>}
+ */
+export function findNewTopPlays(previousEntries, currentScores, since = null) {
+  const previousIds = new Set((previousEntries || []).map(entry => String(entry.id)));
+  const currentEntries = toSnapshotEntries(currentScores);
+  const newScores = (currentScores || [])
+    .filter(score => score?.id != null && !previousIds.has(String(score.id)))
+    .filter(score => !since || (getScoreTime(score) ?? 0) > since.getTime())
+    .sort((a, b) => (getScoreTime(a) ?? 0) - (getScoreTime(b) ?? 0));
+
+  let entries = [...(previousEntries || [])];
+  return newScores.map((score) => {
+    const before = weightedPp(entries);
+    entries = toSnapshotEntries([...entries, score]);
+    return {
+      score,
+      position: currentEntries.findIndex(entry => entry.id === String(score.id)) + 1,
+      ppGain: weightedPp(entries) - before,
+    };
+  });
+}
+
+/** Feed message for one new top play. */
+export async function formatTopPlayMessage(ctx, discordUserId, { score, position, ppGain }) {
+  const mapTitle = await ctx.getMapTitle(score);
+  const artist = await ctx.getMapArtist(score);
+  const difficultyLabel = ctx.formatDifficultyLabel(mapTitle, score.beatmap?.version ?? 'Unknown', artist);
+  const starRatingText = await ctx.formatStarRating(score);
+  const beatmapLink = ctx.formatBeatmapLink(score);
+  const difficultyLink = beatmapLink ? `${starRatingText}[${difficultyLabel}](${beatmapLink})` : `${starRatingText}**${difficultyLabel}**`;
+  const playerStats = await ctx.formatPlayerStats(score);
+  const gainText = ppGain >= 0.01 ? `+${ppGain.toFixed(2)}pp` : '+0pp';
+  const message = `🎉 <@${discordUserId}> set a new top play: **#${position}** on ${difficultyLink}!\n\n${playerStats}\n\n📈 **${gainText}** profile pp`;
+  return ctx.createEmbed(message, await ctx.getBeatmapsetImageUrl(score));
+}
+
+/**
+ * Check every linked player in guilds with a top plays channel and post their new top plays.
+ * Players are checked once per osu! user and ruleset (one API request each), least recently checked
+ * first, at most maxUsers per run. A player's first check only takes the snapshot.
+ * @param {object} ctx
+ * @param {{ maxUsers?: number }} [options]
+ * @returns {Promise<{ checked: number, posted: number, rateLimited: boolean }>}
+ */
+export async function pollTopPlays(ctx, { maxUsers = Infinity } = {}) {
+  const guildIds = await ctx.serverConfig.getGuildIdsWithChannel('topplays');
+  if (guildIds.length === 0) return { checked: 0, posted: 0, rateLimited: false };
+
+  // One entry per osu! user and ruleset, with every guild/Discord user to post for
+  const players = new Map();
+  for (const association of await ctx.associations.getLinkedInGuilds(guildIds)) {
+    const ruleset = association.ruleset || ctx.DEFAULT_RULESET;
+    const key = `${association.osuUserId}:${ruleset}`;
+    if (!players.has(key)) players.set(key, { osuUserId: association.osuUserId, ruleset, members: [] });
+    players.get(key).members.push(association);
+  }
+
+  const snapshots = new Map(
+    (await ctx.topPlaySnapshots.getMany([...new Set([...players.values()].map(p => p.osuUserId))]))
+      .map(snapshot => [`${snapshot.osuUserId}:${snapshot.ruleset}`, snapshot])
+  );
+  const lastChecked = (key) => (snapshots.get(key) ? new Date(snapshots.get(key).updatedAt).getTime() : 0);
+  const queue = [...players.keys()].sort((a, b) => lastChecked(a) - lastChecked(b)).slice(0, maxUsers);
+
+  let checked = 0;
+  let posted = 0;
+  for (const key of queue) {
+    const { osuUserId, ruleset, members } = players.get(key);
+    try {
+      const bestScores = await ctx.getUserBestScores(osuUserId, { limit: TOP_PLAYS_LIMIT, mode: ruleset });
+      const currentScores = Array.isArray(bestScores) ? bestScores : [];
+      const previous = snapshots.get(key);
+      await ctx.topPlaySnapshots.save(osuUserId, ruleset, toSnapshotEntries(currentScores));
+      checked++;
+      if (!previous) continue;
+
+      for (const newPlay of findNewTopPlays(previous.scores, currentScores, new Date(previous.updatedAt))) {
+        for (const member of members) {
+          try {
+            const channel = await ctx.getTopPlaysChannel(member.guildId);
+            if (!channel) continue;
+            await channel.send({ embeds: await formatTopPlayMessage(ctx, member.discordUserId, newPlay) });
+            posted++;
+          } catch (error) {
+            console.error(`[top plays] Error posting top play for ${member.discordUserId} in guild ${member.guildId}:`, error);
+          }
+        }
+      }
+    } catch (error) {
+      if (error instanceof RateLimitedError) {
+        console.warn('[top plays] osu! rate limit hit; resuming next run');
+        return { checked, posted, rateLimited: true };
+      }
+      console.error(`[top plays] Error checking top plays for osu! user ${osuUserId}:`, error);
+    }
+  }
+  return { checked, posted, rateLimited: false };
+}
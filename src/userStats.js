@@ -0,0 +1,110 @@
+/**
+ * Daily osu! profile stats (global rank, pp, accuracy, play count) for linked players, kept in
+ * user_stats_snapshots: the daily snapshot job, progress summaries for /teto progress, and the
+ * weekly update's biggest climbers. ctx provides associations, userStatsSnapshots, getUser and DEFAULT_RULESET.
+ */
+
+import { RateLimitedError } from './osu-api.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** /teto progress charts this many days by default, and at most PROGRESS_MAX_DAYS */
+export const PROGRESS_DEFAULT_DAYS = 30;
+export const PROGRESS_MAX_DAYS = 365;
+
+/** YYYY-MM-DD (UTC) of a date, as stored in user_stats_snapshots.date. */
+export function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/** YYYY-MM-DD (UTC) `days` days before `from`. */
+export function daysAgoString(days, from = new Date()) {
+  return toDateString(new Date(from.getTime() - days * DAY_MS));
+}
+
+/** Stats to snapshot from an osu! API user, or null when the response has none. */
+export function statsFromOsuUser(osuUser) {
+  const statistics = osuUser?.statistics;
+  if (!statistics) return null;
+  return {
+    globalRank: statistics.global_rank ?? null,
+    pp: Number(statistics.pp) || 0,
+    accuracy: Number(statistics.hit_accuracy) || 0,
+    playCount: Number(statistics.play_count) || 0,
+  };
+}
+
+/**
+ * Change between the first and last snapshot (oldest first).
+ * rankGained is positive when the player climbed (rank number went down); null if either end is unranked.
+ * @returns {{ first: object, last: object, rankGained: number|null, ppGained: number, playsAdded: number }|null}
+ */
+export function summarizeProgress(snapshots) {
+  if (!snapshots || snapshots.length === 0) return null;
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  return {
+    first,
+    last,
+    rankGained: first.globalRank != null && last.globalRank != null ? first.globalRank - last.globalRank : null,
+    ppGained: last.pp - first.pp,
+    playsAdded: last.playCount - first.playCount,
+  };
+}
+
+/** Fetch a player's current stats and store them as the snapshot for `date`. Returns the stats, or null. */
+export async function recordUserStats(ctx, osuUserId, ruleset, date = toDateString(new Date())) {
+  const stats = statsFromOsuUser(await ctx.getUser(osuUserId, { mode: ruleset }));
+  if (!stats) return null;
+  await ctx.userStatsSnapshots.save(osuUserId, ruleset, date, stats);
+  return stats;
+}
+
+/**
+ * Snapshot every linked osu! user once per ruleset they're linked with (one API request each).
+ * Stops early when osu! rate limits us; users already snapshotted today are kept.
+ * @returns {Promise<{ recorded: number, rateLimited: boolean }>}
+ */
+export async function snapshotAllUserStats(ctx, date = toDateString(new Date())) {
+  const players = new Map();
+  for (const association of await ctx.associations.getAllLinked()) {
+    const ruleset = association.ruleset || ctx.DEFAULT_RULESET;
+    players.set(`${association.osuUserId}:${ruleset}`, { osuUserId: association.osuUserId, ruleset });
+  }
+
+  let recorded = 0;
+  for (const { osuUserId, ruleset } of players.values()) {
+    try {
+      if (await recordUserStats(ctx, osuUserId, ruleset, date)) recorded++;
+    } catch (error) {
+      if (error instanceof RateLimitedError) {
+        console.warn('[user stats] osu! rate limit hit; stopping this snapshot run');
+        return { recorded, rateLimited: true };
+      }
+      console.error(`[user stats] Error snapshotting osu! user ${osuUserId}:`, error);
+    }
+  }
+  return { recorded, rateLimited: false };
+}
+
+/**
+ * Linked players in a guild who gained the most global rank over the last `days` days.
+ * @returns {Promise<Array<{ discordUserId: string, progress: object }>>} best climber first, at most `limit`
+ */
+export async function getBiggestClimbers(guildId, ctx, { days = 7, limit = 3 } = {}) {
+  const members = await ctx.associations.getLinkedInGuilds([guildId]);
+  if (members.length === 0) return [];
+
+  const history = await ctx.userStatsSnapshots.getHistoryForUsers(
+    [...new Set(members.map(m => m.osuUserId))],
+    daysAgoString(days)
+  );
+  return members
+    .map((member) => {
+      const ruleset = member.ruleset || ctx.DEFAULT_RULESET;
+      const snapshots = history.filter(s => s.osuUserId === member.osuUserId && s.ruleset === ruleset);
+      return { discordUserId: member.discordUserId, progress: summarizeProgress(snapshots) };
+    })
+    .filter(({ progress }) => progress && progress.rankGained > 0)
+    .sort((a, b) => b.progress.rankGained - a.progress.rankGained)
+    .slice(0, limit);
+}
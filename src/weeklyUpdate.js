@@ -1,12 +1,11 @@
 /**
  * Weekly update: format challenge entries and generate weekly report embeds.
- * generateWeeklyUpdate(guildId, createEmbed) returns array of embed arrays (chunks of up to 10).
+ * generateWeeklyUpdate(guildId, createEmbed, challengeStore, getClimbers) returns array of embed arrays (chunks of up to 10).
  */
 
 import { formatDifficultyLabel } from './helpers.js';
 import { formatTetoText } from './emoji.js';
 import { getMapTitle, getMapArtist, formatStarRating, formatBeatmapLink } from './scoreHelpers.js';
-import { activeChallenges } from './db.js';
 
 /** Substring that appears in the weekly update header embed (see generateWeeklyUpdate). */
 export const WEEKLY_UPDATE_MARKER = 'TETO WEEKLY UPDATE!';
@@ -99,113 +98,148 @@ export async function formatChallengeEntryWithDays(challenge, timeHeld) {
 }
 
 /**
- * Generate weekly update message chunks for a guild.
- * @param {string} guildId
- * @param { (content: string, imageUrl?: string) => Promise<import('discord.js').EmbedBuilder[]> } createEmbed
- * @returns {Promise<import('discord.js').EmbedBuilder[][]|null>} Array of embed arrays (each chunk up to 10), or null
+ * The challenge sections of the weekly update (new champions, uncontested challenges, defence streaks, holders).
+ * @returns {Promise<string[]>} Lines of the sections
  */
-export async function generateWeeklyUpdate(guildId, createEmbed) {
-  try {
-    const challenges = await activeChallenges.getChallengesInLast30Days(guildId);
-    if (challenges.length === 0) {
-      return null;
-    }
-
-    const fourteenDaysAgo = new Date();
-    fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
-
-    const newChampions = [];
-    const uncontestedChallenges = [];
-
-    for (const challenge of challenges) {
-      if (challenge.guildId !== guildId) {
-        console.warn(`Challenge ${challenge.id} has mismatched guildId. Expected ${guildId}, got ${challenge.guildId}`);
-        continue;
-      }
+async function formatChallengeSections(guildId, challenges, challengeStore, emptyState) {
+  const fourteenDaysAgo = new Date();
+  fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
 
-      const createdAt = new Date(challenge.createdAt);
-      const updatedAt = new Date(challenge.updatedAt);
+  const newChampions = [];
+  const uncontestedChallenges = [];
 
-      if (updatedAt >= fourteenDaysAgo && updatedAt.getTime() !== createdAt.getTime()) {
-        newChampions.push(challenge);
-      } else if (createdAt >= fourteenDaysAgo &&
-        challenge.originalChallengerUserId &&
-        challenge.challengerUserId === challenge.originalChallengerUserId &&
-        updatedAt.getTime() === createdAt.getTime()) {
-        uncontestedChallenges.push(challenge);
-      }
+  for (const challenge of challenges) {
+    if (challenge.guildId !== guildId) {
+      console.warn(`Challenge ${challenge.id} has mismatched guildId. Expected ${guildId}, got ${challenge.guildId}`);
+      continue;
     }
 
-    const allChallenges = await activeChallenges.getAllChallengesForDefenseStreaks(guildId);
+    const createdAt = new Date(challenge.createdAt);
+    const updatedAt = new Date(challenge.updatedAt);
 
-    const challengesWithTimeHeld = allChallenges
-      .filter(challenge => {
-        if (challenge.guildId !== guildId) {
-          console.warn(`Challenge ${challenge.id} has mismatched guildId. Expected ${guildId}, got ${challenge.guildId}`);
-          return false;
-        }
-        return true;
-      })
-      .map(challenge => {
-        const timeHeld = calculateTimeHeld(challenge.updatedAt);
-        return { challenge, timeHeld };
-      });
-
-    challengesWithTimeHeld.sort((a, b) => b.timeHeld.totalHours - a.timeHeld.totalHours);
-    const topDefenseStreaks = challengesWithTimeHeld.slice(0, 5);
-
-    const challengeCountByUser = new Map();
-    for (const { challenge } of challengesWithTimeHeld) {
-      const userId = challenge.challengerUserId;
-      challengeCountByUser.set(userId, (challengeCountByUser.get(userId) || 0) + 1);
+    if (updatedAt >= fourteenDaysAgo && updatedAt.getTime() !== createdAt.getTime()) {
+      newChampions.push(challenge);
+    } else if (createdAt >= fourteenDaysAgo &&
+      challenge.originalChallengerUserId &&
+      challenge.challengerUserId === challenge.originalChallengerUserId &&
+      updatedAt.getTime() === createdAt.getTime()) {
+      uncontestedChallenges.push(challenge);
     }
-    const topChallengeHolders = [...challengeCountByUser.entries()]
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3);
+  }
 
-    const newChampionsEntries = await Promise.all(newChampions.map(formatChallengeEntry));
-    const uncontestedEntries = await Promise.all(uncontestedChallenges.map(formatChallengeEntry));
-    const defenseStreakEntries = await Promise.all(
-      topDefenseStreaks.map(({ challenge, timeHeld }) => formatChallengeEntryWithDays(challenge, timeHeld))
-    );
+  const allChallenges = await challengeStore.getAllChallengesForDefenseStreaks(guildId);
 
-    const emptyState = await formatTetoText('The players have been slacking off lately. Teto has nothing to show here');
+  const challengesWithTimeHeld = allChallenges
+    .filter(challenge => {
+      if (challenge.guildId !== guildId) {
+        console.warn(`Challenge ${challenge.id} has mismatched guildId. Expected ${guildId}, got ${challenge.guildId}`);
+        return false;
+      }
+      return true;
+    })
+    .map(challenge => {
+      const timeHeld = calculateTimeHeld(challenge.updatedAt);
+      return { challenge, timeHeld };
+    });
+
+  challengesWithTimeHeld.sort((a, b) => b.timeHeld.totalHours - a.timeHeld.totalHours);
+  const topDefenseStreaks = challengesWithTimeHeld.slice(0, 5);
+
+  const challengeCountByUser = new Map();
+  for (const { challenge } of challengesWithTimeHeld) {
+    const userId = challenge.challengerUserId;
+    challengeCountByUser.set(userId, (challengeCountByUser.get(userId) || 0) + 1);
+  }
+  const topChallengeHolders = [...challengeCountByUser.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3);
+
+  const newChampionsEntries = await Promise.all(newChampions.map(formatChallengeEntry));
+  const uncontestedEntries = await Promise.all(uncontestedChallenges.map(formatChallengeEntry));
+  const defenseStreakEntries = await Promise.all(
+    topDefenseStreaks.map(({ challenge, timeHeld }) => formatChallengeEntryWithDays(challenge, timeHeld))
+  );
+
+  const sections = [];
+
+  sections.push('🏆 **New champions:**');
+  if (newChampionsEntries.length > 0) {
+    sections.push(...newChampionsEntries.map(entry => `• ${entry}`));
+  } else {
+    sections.push(emptyState);
+  }
+  sections.push('');
 
-    const sections = [];
+  sections.push('🫵 **New uncontested challenges:**');
+  if (uncontestedEntries.length > 0) {
+    sections.push(...uncontestedEntries.map(entry => `• ${entry}`));
+  } else {
+    sections.push(emptyState);
+  }
+  sections.push('');
 
-    sections.push('🏆 **New champions:**');
-    if (newChampionsEntries.length > 0) {
-      sections.push(...newChampionsEntries.map(entry => `• ${entry}`));
-    } else {
-      sections.push(emptyState);
+  sections.push('🛡️ **Longest defence streak:**');
+  if (defenseStreakEntries.length > 0) {
+    sections.push(...defenseStreakEntries.map(entry => `• ${entry}`));
+  } else {
+    sections.push(emptyState);
+  }
+  sections.push('');
+
+  sections.push('👑 **Most challenges held:**');
+  if (topChallengeHolders.length > 0) {
+    const medalEmojis = ['🥇', '🥈', '🥉'];
+    for (let i = 0; i < topChallengeHolders.length; i++) {
+      const [userId, count] = topChallengeHolders[i];
+      sections.push(`${medalEmojis[i]} <@${userId}> - ${count} ${count === 1 ? 'challenge' : 'challenges'}`);
     }
-    sections.push('');
+  } else {
+    sections.push(emptyState);
+  }
 
-    sections.push('🫵 **New uncontested challenges:**');
-    if (uncontestedEntries.length > 0) {
-      sections.push(...uncontestedEntries.map(entry => `• ${entry}`));
-    } else {
-      sections.push(emptyState);
-    }
-    sections.push('');
+  return sections;
+}
 
-    sections.push('🛡️ **Longest defence streak:**');
-    if (defenseStreakEntries.length > 0) {
-      sections.push(...defenseStreakEntries.map(entry => `• ${entry}`));
-    } else {
-      sections.push(emptyState);
-    }
-    sections.push('');
-
-    sections.push('👑 **Most challenges held:**');
-    if (topChallengeHolders.length > 0) {
-      const medalEmojis = ['🥇', '🥈', '🥉'];
-      for (let i = 0; i < topChallengeHolders.length; i++) {
-        const [userId, count] = topChallengeHolders[i];
-        sections.push(`${medalEmojis[i]} <@${userId}> - ${count} ${count === 1 ? 'challenge' : 'challenges'}`);
+/**
+ * Generate weekly update message chunks for a guild.
+ * @param {string} guildId
+ * @param { (content: string, imageUrl?: string) => Promise<import('discord.js').EmbedBuilder[]> } createEmbed
+ * @param {{ getChallengesInLast30Days: Function, getAllChallengesForDefenseStreaks: Function }} challengeStore - activeChallenges from db.js
+ * @param { (guildId: string) => Promise<Array<{ discordUserId: string, progress: object }>> } [getClimbers] - biggest global rank
+ *   climbers this week (getBiggestClimbers in userStats.js); the section is left out when not given
+ * @returns {Promise<import('discord.js').EmbedBuilder[][]|null>} Array of embed arrays (each chunk up to 10), or null when
+ *   there are neither recent challenges nor climbers
+ */
+export async function generateWeeklyUpdate(guildId, createEmbed, challengeStore, getClimbers = null) {
+  try {
+    const challenges = await challengeStore.getChallengesInLast30Days(guildId);
+    const emptyState = await formatTetoText('The players have been slacking off lately. Teto has nothing to show here');
+    const sections = challenges.length > 0
+      ? await formatChallengeSections(guildId, challenges, challengeStore, emptyState)
+      : [];
+
+    if (getClimbers) {
+      let climbers = [];
+      try {
+        climbers = await getClimbers(guildId);
+      } catch (error) {
+        console.error('Error getting biggest climbers for weekly update:', error);
+      }
+      // Without challenge sections an empty climbers section isn't worth posting
+      if (climbers.length > 0 || sections.length > 0) {
+        if (sections.length > 0) sections.push('');
+        sections.push('📈 **Biggest climbers this week:**');
+        if (climbers.length > 0) {
+          const medalEmojis = ['🥇', '🥈', '🥉'];
+          climbers.forEach(({ discordUserId, progress }, i) => {
+            const gained = progress.rankGained.toLocaleString('en-US');
+            const rankNow = progress.last.globalRank.toLocaleString('en-US');
+            sections.push(`${medalEmojis[i] || '•'} <@${discordUserId}> - ▲ ${gained} ${progress.rankGained === 1 ? 'rank' : 'ranks'} (now #${rankNow})`);
+          });
+        } else {
+          sections.push(emptyState);
+        }
       }
-    } else {
-      sections.push(emptyState);
     }
 
     if (sections.length === 0) {
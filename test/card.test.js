@@ -0,0 +1,57 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStatScale, drawChallengeCard, drawHeadToHeadCard, drawProgressChart } from '../src/card.js';
+import { compareScores } from '../src/scoreHelpers.js';
+import { defaultFixtures } from '../src/osu-api-stub-fixtures.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('calculateStatScale: scale is one magnitude above the bigger value', () => {
+  const { length1, length2, scaleValue } = calculateStatScale(300, 150, 200);
+  assert.equal(scaleValue, 1000);
+  // Both under half the max length, so doubled
+  assert.equal(length1, 120);
+  assert.equal(length2, 60);
+});
+
+test('calculateStatScale: zero and non-finite values use a scale of 100', () => {
+  assert.equal(calculateStatScale(0, 0, 200).scaleValue, 100);
+  assert.equal(calculateStatScale(Infinity, 1, 200).scaleValue, 100);
+});
+
+test('drawChallengeCard renders a PNG', async () => {
+  const champion = defaultFixtures.scores[900100];
+  const responder = defaultFixtures.scores[900200];
+  const { statWinners, responderWon } = compareScores(champion, responder, 'StubResponder');
+  const buffer = await drawChallengeCard(
+    { avatarBuffer: null, username: 'StubChallenger' },
+    { avatarBuffer: null, username: 'StubResponder' },
+    champion,
+    responder,
+    statWinners,
+    responderWon ? 'left' : 'right',
+    { modLockLabel: null }
+  );
+  assert.ok(Buffer.isBuffer(buffer));
+  assert.ok(buffer.subarray(0, 8).equals(PNG_SIGNATURE));
+});
+
+test('drawHeadToHeadCard renders a PNG', async () => {
+  const buffer = await drawHeadToHeadCard(
+    { avatarBuffer: null, username: 'StubChallenger' },
+    { avatarBuffer: null, username: 'StubResponder' },
+    { wins: 3, losses: 1, takeovers: 2, defences: 1, mapsWon: 2, bestStreak: 2 },
+    { wins: 1, losses: 3, takeovers: 1, defences: 0, mapsWon: 1, bestStreak: 1 }
+  );
+  assert.ok(buffer.subarray(0, 8).equals(PNG_SIGNATURE));
+});
+
+test('drawProgressChart renders a PNG, with gaps for unranked days', async () => {
+  const buffer = await drawProgressChart('StubChallenger', [
+    { date: '2026-01-01', globalRank: 15000, pp: 4200 },
+    { date: '2026-01-02', globalRank: null, pp: 4200 },
+    { date: '2026-01-03', globalRank: 12000, pp: 4500.5 },
+  ]);
+  assert.ok(buffer.subarray(0, 8).equals(PNG_SIGNATURE));
+});
@@ -0,0 +1,614 @@
+import './support/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleRsc, handleTc, handleLeaderboard, handleCompare, handleTrs, handleTeto, handleChallenges, postChallengeResponse } from '../src/commandHandlers.js';
+import { clearResponseCache } from '../src/osu-api.js';
+import { daysAgoString, toDateString } from '../src/userStats.js';
+import { startOsuStub, cloneDefaultFixtures } from './support/osuStub.js';
+import { createFakeDb, createFakeChannel, createFakeInteraction, buildHandlerContext, buildChallengesContext, buildTetoContext } from './support/fakes.js';
+
+const GUILD_ID = 'guild-1';
+const WIP_BEATMAP_ID = 54321;
+
+// Default fixtures plus a WIP beatmap that user 1003 has just played (for /trs)
+const fixtures = cloneDefaultFixtures();
+const rankedScore = fixtures.scores[900100];
+const wipBeatmap = { ...rankedScore.beatmap, id: WIP_BEATMAP_ID, version: 'WIP Difficulty', status: 'wip' };
+fixtures.users[1003] = { id: 1003, username: 'StubMapper', country_code: 'JP', avatar_url: null };
+fixtures.beatmaps[WIP_BEATMAP_ID] = { ...wipBeatmap, beatmapset: { ...rankedScore.beatmapset, status: 'wip' } };
+fixtures.recentScores[1003] = [{
+  ...rankedScore,
+  id: 900300,
+  user_id: 1003,
+  beatmap_id: WIP_BEATMAP_ID,
+  beatmap: wipBeatmap,
+  user: { id: 1003, username: 'StubMapper', avatar_url: null },
+}];
+
+// User 1004 has two recent plays: the ranked map, then (older) the WIP map
+fixtures.users[1004] = { id: 1004, username: 'StubPicker', country_code: 'JP', avatar_url: null };
+fixtures.recentScores[1004] = [rankedScore, fixtures.recentScores[1003][0]].map((score, i) => ({
+  ...score,
+  id: 900400 + i,
+  user_id: 1004,
+  user: { id: 1004, username: 'StubPicker', avatar_url: null },
+}));
+
+let stub;
+let db;
+let ctx;
+
+before(async () => {
+  stub = await startOsuStub(fixtures);
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  clearResponseCache();
+  db = createFakeDb();
+  ctx = buildHandlerContext(db);
+  await db.associations.set(GUILD_ID, 'discord-1', { osuUserId: '1001', osuUsername: 'StubChallenger' });
+  await db.associations.set(GUILD_ID, 'discord-2', { osuUserId: '1002', osuUsername: 'StubResponder' });
+  await db.associations.set(GUILD_ID, 'discord-3', { osuUserId: '1003', osuUsername: 'StubMapper' });
+  await db.associations.set(GUILD_ID, 'discord-4', { osuUserId: '1004', osuUsername: 'StubPicker' });
+});
+
+test('/rsc without a link issues a challenge from the most recent score', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-1', username: 'Challenger' });
+  await handleRsc(interaction, ctx);
+
+  const challenge = await db.activeChallenges.getByDifficulty(GUILD_ID, '12345', 'Test Difficulty');
+  assert.ok(challenge);
+  assert.equal(challenge.challengerUserId, 'discord-1');
+  assert.equal(challenge.challengerOsuId, '1001');
+  assert.equal(ctx.opChannel.sent.length, 1);
+  assert.match(interaction.lastReplyText(), /Challenge issued for/);
+});
+
+test('/rsc response with a better score takes over the challenge', async () => {
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+
+  const interaction = createFakeInteraction({ userId: 'discord-2', username: 'Responder' });
+  await handleRsc(interaction, ctx);
+
+  const challenge = await db.activeChallenges.getByDifficulty(GUILD_ID, '12345', 'Test Difficulty');
+  assert.equal(challenge.challengerUserId, 'discord-2');
+  assert.equal(challenge.challengerScore.id, 900200);
+
+  assert.equal(db.tables.challengeAttempts.length, 1);
+  const [attempt] = db.tables.challengeAttempts;
+  assert.equal(attempt.result, 'won');
+  assert.equal(attempt.championUserId, 'discord-1');
+  assert.equal(attempt.responderUserId, 'discord-2');
+
+  const responderRating = await db.playerRatings.get(GUILD_ID, 'discord-2');
+  const championRating = await db.playerRatings.get(GUILD_ID, 'discord-1');
+  assert.ok(responderRating.rating > 1500);
+  assert.equal(responderRating.rating + championRating.rating, 3000);
+  assert.deepEqual([responderRating.wins, championRating.losses], [1, 1]);
+
+  const openReigns = db.tables.challengeReigns.filter(r => !r.endedAt);
+  assert.deepEqual(openReigns.map(r => r.championUserId), ['discord-2']);
+
+  // Challenge announcement, then the response with the comparison card
+  const response = ctx.opChannel.sent[1];
+  assert.equal(response.files.length, 1);
+  assert.equal(response.files[0].name, 'challenge-card.png');
+  assert.match(response.embeds[1].data.description, /has won the challenge/);
+  assert.match(response.embeds[1].data.description, new RegExp(`Rating:\\*\\* Responder ${responderRating.rating} \\(\\+\\d+\\)`));
+  assert.equal(attempt.messageId, response.id);
+  assert.match(interaction.lastReplyText(), /Challenge response posted/);
+});
+
+test('a champion improving their own challenge keeps their reign with the new score', async () => {
+  await db.guildSettings.update(GUILD_ID, { challengeWinRule: 'score' });
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+  await handleRsc(createFakeInteraction({ userId: 'discord-2', username: 'Responder' }), ctx);
+
+  const challenge = await db.activeChallenges.getByDifficulty(GUILD_ID, '12345', 'Test Difficulty');
+  const betterScore = { ...challenge.challengerScore, id: 900999, score: Number(ctx.extractScoreValue(challenge.challengerScore)) + 1000 };
+  const response = await postChallengeResponse(ctx, {
+    guildId: GUILD_ID, userId: 'discord-2', username: 'Responder', osuUserId: '1002', challenge, responderScore: betterScore, opChannel: ctx.opChannel,
+  });
+  assert.equal(response.result, 'improved');
+
+  const openReigns = db.tables.challengeReigns.filter(r => !r.endedAt);
+  assert.deepEqual(openReigns.map(r => [r.championUserId, r.championScore.id]), [['discord-2', 900999]]);
+  assert.equal(db.tables.challengeReigns.length, 1);
+});
+
+test('/rsc rejects a play that was already used to respond to the challenge', async () => {
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+  await handleRsc(createFakeInteraction({ userId: 'discord-2', username: 'Responder' }), ctx);
+  assert.equal(db.tables.challengeAttempts[0].responderScoreId, '900200');
+
+  const interaction = createFakeInteraction({ userId: 'discord-2', username: 'Responder' });
+  await handleRsc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /already used to respond to this challenge/);
+  assert.equal(db.tables.challengeAttempts.length, 1);
+  assert.equal(ctx.opChannel.sent.length, 2);
+});
+
+test('/rsc h2h shows the record between two players', async () => {
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+  await handleRsc(createFakeInteraction({ userId: 'discord-2', username: 'Responder' }), ctx);
+
+  const interaction = createFakeInteraction({
+    userId: 'discord-1',
+    options: { h2h: { id: 'discord-2', username: 'Responder' } },
+  });
+  await handleRsc(interaction, ctx);
+
+  const reply = interaction.replies[interaction.replies.length - 1];
+  assert.equal(reply.files[0].name, 'h2h-card.png');
+  const text = reply.embeds[0].data.description;
+  assert.match(text, /\*\*Record:\*\* 0 – 1 \(1 meeting on 1 map\)/);
+  assert.match(text, /Last meeting:.*Test Map Title \[Test Difficulty\].*<@discord-2> won/);
+});
+
+test('/rsc h2h without meetings says so', async () => {
+  const interaction = createFakeInteraction({
+    userId: 'discord-1',
+    options: { h2h: { id: 'discord-3', username: 'Mapper' } },
+  });
+  await handleRsc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /haven't met in a challenge yet/);
+});
+
+test('/compare judges two score links without touching challenges', async () => {
+  const interaction = createFakeInteraction({
+    userId: 'discord-3',
+    options: { score: 'https://osu.ppy.sh/scores/900100', against: 'https://osu.ppy.sh/scores/900200' },
+  });
+  await handleCompare(interaction, ctx);
+
+  const reply = interaction.replies[interaction.replies.length - 1];
+  assert.equal(reply.files[0].name, 'compare-card.png');
+  assert.match(reply.embeds[0].data.description, /\*\*StubChallenger\*\* vs \*\*StubResponder\*\* on .*\[Test Difficulty\]/);
+  assert.match(reply.embeds[1].data.description, /StubResponder\*\* beats \*\*StubChallenger/);
+  assert.equal(db.tables.activeChallenges.size, 0);
+  assert.equal(db.tables.challengeAttempts.length, 0);
+});
+
+test('/compare user compares both players\' best on the linked map', async () => {
+  const channel = createFakeChannel('channel-1', [{ content: 'https://osu.ppy.sh/b/12345' }]);
+  const interaction = createFakeInteraction({ userId: 'discord-2', channel, options: { user: { id: 'discord-1', username: 'Challenger' } } });
+  await handleCompare(interaction, ctx);
+  const reply = interaction.replies[interaction.replies.length - 1];
+  assert.match(reply.embeds[1].data.description, /StubResponder\*\* holds off \*\*StubChallenger/);
+
+  const noScore = createFakeInteraction({ userId: 'discord-3', channel, options: { user: { id: 'discord-1', username: 'Challenger' } } });
+  await handleCompare(noScore, ctx);
+  assert.match(noScore.lastReplyText(), /You have no score for this beatmap/);
+});
+
+test('/compare needs two links or a player', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-1', options: { score: 'https://osu.ppy.sh/scores/900100' } });
+  await handleCompare(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /Give two score links/);
+});
+
+test('/rsc asks unlinked users to link first', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-unlinked' });
+  await handleRsc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /\/teto link/);
+  assert.equal(db.tables.activeChallenges.size, 0);
+});
+
+test('/tc lists scores for the map linked in the channel', async () => {
+  const channel = createFakeChannel('channel-1', [
+    { content: 'nice play' },
+    { content: 'try this one https://osu.ppy.sh/b/12345' },
+  ]);
+  const interaction = createFakeInteraction({ userId: 'discord-1', channel });
+  await handleTc(interaction, ctx);
+
+  const text = interaction.lastReplyText();
+  assert.match(text, /Your scores on .*Test Artist - Test Map Title \[Test Difficulty\]/);
+  assert.match(text, /\*\*Score #3\*\*/);
+});
+
+test('/tc map and user options look up another player on any map', async () => {
+  const interaction = createFakeInteraction({
+    userId: 'discord-1',
+    options: { map: '12345', user: { id: 'discord-2', username: 'Responder' } },
+    channel: createFakeChannel('channel-1', [{ content: 'hi' }]),
+  });
+  await handleTc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /<@discord-2>'s scores on .*\[Test Difficulty\]/);
+});
+
+test('/tc sorts and filters by mods', async () => {
+  const channel = createFakeChannel('channel-1', [{ content: 'https://osu.ppy.sh/b/12345' }]);
+  const byDate = createFakeInteraction({ userId: 'discord-1', channel, options: { sort: 'date', mods: 'hd' } });
+  await handleTc(byDate, ctx);
+  const text = byDate.lastReplyText();
+  assert.match(text, /\(with HD, sorted by newest first\)/);
+  // The newest of the three plays has the lowest score
+  assert.ok(text.indexOf('1,134,567') >= 0 && text.indexOf('1,134,567') < text.indexOf('1,234,567'));
+
+  const noMatch = createFakeInteraction({ userId: 'discord-1', channel, options: { mods: 'DT' } });
+  await handleTc(noMatch, ctx);
+  assert.match(noMatch.lastReplyText(), /No score with DT found/);
+});
+
+test('/tc without a map link in the channel says so', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-1', channel: createFakeChannel('channel-1', [{ content: 'hi' }]) });
+  await handleTc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /No difficulty or score link found/);
+});
+
+test('/lb ranks every linked member\'s best score on the map', async () => {
+  const channel = createFakeChannel('channel-1', [{ content: 'https://osu.ppy.sh/b/12345' }]);
+  const interaction = createFakeInteraction({ userId: 'discord-1', channel });
+  await handleLeaderboard(interaction, ctx);
+
+  const text = interaction.lastReplyText();
+  assert.match(text, /Server leaderboard.*2 players.*Test Artist - Test Map Title \[Test Difficulty\]/);
+  const lines = text.split('\n').filter(line => /<@discord-\d>/.test(line));
+  assert.deepEqual(lines.map(line => line.match(/<@(discord-\d)>/)[1]), ['discord-2', 'discord-1']);
+  assert.ok(!text.includes('📝'));
+});
+
+test('/lb checks at most leaderboardMaxMembers members, the caller first, and says so', async () => {
+  ctx.leaderboardMaxMembers = 1;
+  const channel = createFakeChannel('channel-1', [{ content: 'https://osu.ppy.sh/b/12345' }]);
+  const interaction = createFakeInteraction({ userId: 'discord-1', channel });
+  await handleLeaderboard(interaction, ctx);
+
+  const text = interaction.lastReplyText();
+  assert.match(text, /Server leaderboard.*1 player\)/);
+  assert.match(text, /🥇 <@discord-1>/);
+  assert.doesNotMatch(text, /discord-2/);
+  assert.match(text, /Only 1 of 4 linked members were checked on osu!/);
+});
+
+test('/lb includes remembered scores on unranked maps', async () => {
+  await handleTrs(createFakeInteraction({ userId: 'discord-3' }), ctx);
+  const channel = createFakeChannel('channel-1', [{ content: `https://osu.ppy.sh/b/${WIP_BEATMAP_ID}` }]);
+  const interaction = createFakeInteraction({ userId: 'discord-1', channel });
+  await handleLeaderboard(interaction, ctx);
+
+  const text = interaction.lastReplyText();
+  assert.match(text, /🥇 <@discord-3> — .* 📝/);
+  assert.match(text, /Teto memories/);
+});
+
+test('/trs remembers scores on unranked maps once', async () => {
+  const first = createFakeInteraction({ userId: 'discord-3' });
+  await handleTrs(first, ctx);
+  assert.equal(db.tables.localScores.length, 1);
+  assert.equal(db.tables.localScores[0].osuUserId, '1003');
+  assert.match(first.lastReplyText(), /Teto will remember this score/);
+
+  const second = createFakeInteraction({ userId: 'discord-3' });
+  await handleTrs(second, ctx);
+  assert.equal(db.tables.localScores.length, 1);
+  assert.match(second.lastReplyText(), /already saved/);
+});
+
+test('/trs does not store scores on ranked maps', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-1' });
+  await handleTrs(interaction, ctx);
+  assert.equal(db.tables.localScores.length, 0);
+  assert.match(interaction.lastReplyText(), /saved on the OSU! servers/);
+});
+
+test('/trs lets the player pick which recent play to record', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-4', picks: ['1'] });
+  await handleTrs(interaction, ctx);
+
+  const menu = interaction.replies[0].components[0].components[0].toJSON();
+  assert.deepEqual(menu.options.map(o => o.label), ['Test Map Title [Test Difficulty]', 'Test Map Title [WIP Difficulty]']);
+  assert.equal(db.tables.localScores.length, 1);
+  assert.equal(db.tables.localScores[0].score.id, 900401);
+  assert.match(interaction.lastReplyText(), /Teto will remember this score/);
+});
+
+test('/rsc does nothing when no recent play is picked in time', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-4' });
+  await handleRsc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /No score was picked in time/);
+  assert.equal(db.tables.activeChallenges.size, 0);
+});
+
+test('"Respond to challenge" responds for the map in the right-clicked message', async () => {
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+
+  const interaction = createFakeInteraction({
+    userId: 'discord-2',
+    username: 'Responder',
+    targetMessage: { content: 'beat this https://osu.ppy.sh/b/12345' },
+  });
+  await handleRsc(interaction, ctx);
+
+  const challenge = await db.activeChallenges.getByDifficulty(GUILD_ID, '12345', 'Test Difficulty');
+  assert.equal(challenge.challengerUserId, 'discord-2');
+  assert.match(interaction.lastReplyText(), /Challenge response posted/);
+});
+
+test('"My scores on this map" uses the right-clicked message, not the latest link', async () => {
+  const channel = createFakeChannel('channel-1', [{ content: `newer map https://osu.ppy.sh/b/${WIP_BEATMAP_ID}` }]);
+  const interaction = createFakeInteraction({
+    userId: 'discord-1',
+    channel,
+    targetMessage: { embeds: [{ description: 'Challenge on [Test Map Title [Test Difficulty]](https://osu.ppy.sh/b/12345)' }] },
+  });
+  await handleTc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /Your scores on .*Test Map Title \[Test Difficulty\]/);
+});
+
+test('"Record score for this map" only offers plays on that map', async () => {
+  const interaction = createFakeInteraction({
+    userId: 'discord-4',
+    targetMessage: { content: `https://osu.ppy.sh/b/${WIP_BEATMAP_ID}` },
+  });
+  await handleTrs(interaction, ctx);
+
+  assert.ok(interaction.replies.every(r => !r.components));
+  assert.equal(db.tables.localScores.length, 1);
+  assert.equal(db.tables.localScores[0].score.id, 900401);
+});
+
+test('message commands on a message without a map link say so', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-1', targetMessage: { content: 'gg' } });
+  await handleTc(interaction, ctx);
+  assert.match(interaction.lastReplyText(), /That message has no difficulty or score link/);
+});
+
+const BEATMAPSET_ID = String(rankedScore.beatmap.beatmapset_id);
+
+/** A map of the day discord-2 submitted earlier (the fake teto ctx's today is 2026-03-10). */
+function archiveEarlierSubmission(data = {}) {
+  return db.submissionArchive.create(GUILD_ID, {
+    userId: 'discord-2', submissionDate: '2026-03-01', beatmapId: '12345', beatmapsetId: BEATMAPSET_ID,
+    channelId: 'tmotd-channel', messageId: 'message-earlier', ...data,
+  });
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Active challenge on beatmap `beatmapId`, won `ageDays` days ago (issued and last won at the same time). */
+async function seedChallenge({ beatmapId, holder = 'discord-1', stars = 5, mods = [], ageDays = 0 }) {
+  const score = {
+    id: Number(beatmapId),
+    score: 1000000,
+    mods: mods.map(acronym => ({ acronym })),
+    beatmap: { id: Number(beatmapId), version: 'Insane', difficulty_rating: stars, beatmapset: { title: `Map ${beatmapId}`, artist: 'Artist' } },
+  };
+  const row = await db.activeChallenges.create(GUILD_ID, beatmapId, 'Insane', holder, '1001', score);
+  row.createdAt = row.updatedAt = new Date(Date.now() - ageDays * DAY_MS);
+}
+
+/** /challenges with the given options; returns the interaction. */
+async function listChallenges(options = {}) {
+  const interaction = createFakeInteraction({ userId: 'discord-1', options });
+  await handleChallenges(interaction, buildChallengesContext(db));
+  return interaction;
+}
+
+const listedChallengeIds = (embed) => [...embed.description.matchAll(/osu\.ppy\.sh\/beatmaps\/(\d+)/g)].map(m => m[1]);
+
+test('/challenges says when there are no active challenges, or none match', async () => {
+  assert.match((await listChallenges()).lastReplyText(), /no active challenges in this server yet/);
+
+  await seedChallenge({ beatmapId: '1' });
+  assert.equal((await listChallenges({ min_stars: 6 })).lastReplyText(), 'No active challenges match these filters.');
+});
+
+test('/challenges pages ten challenges at a time, most recently won first', async () => {
+  for (let i = 1; i <= 12; i++) {
+    await seedChallenge({ beatmapId: String(i), ageDays: 12 - i });
+  }
+  const interaction = await listChallenges();
+  const [firstPage] = interaction.replies;
+  assert.match(firstPage.embeds[0].description, /Active challenges\*\* \(12\)/);
+  assert.deepEqual(listedChallengeIds(firstPage.embeds[0]), ['12', '11', '10', '9', '8', '7', '6', '5', '4', '3']);
+  assert.deepEqual(firstPage.embeds[0].footer, { text: 'Page 1/2' });
+
+  const secondPage = await new Promise((resolve) => {
+    interaction.collectors[0].emit('collect', { user: { id: 'discord-1' }, customId: 'challenges_next', update: resolve });
+  });
+  assert.deepEqual(secondPage.embeds[0].footer, { text: 'Page 2/2' });
+  assert.deepEqual(listedChallengeIds(secondPage.embeds[0]), ['2', '1']);
+});
+
+test('/challenges filters by star range, holder, mods and age', async () => {
+  await seedChallenge({ beatmapId: '1', stars: 4.5, mods: ['HD'] });
+  await seedChallenge({ beatmapId: '2', stars: 6.2, mods: ['HD', 'DT'], holder: 'discord-2' });
+  await seedChallenge({ beatmapId: '3', stars: 5.5, ageDays: 40 });
+
+  const listed = async (options) => listedChallengeIds((await listChallenges(options)).replies[0].embeds[0]).sort();
+  assert.deepEqual(await listed({ min_stars: 5 }), ['2', '3']);
+  assert.deepEqual(await listed({ min_stars: 5, max_stars: 6 }), ['3']);
+  assert.deepEqual(await listed({ holder: { id: 'discord-2' } }), ['2']);
+  assert.deepEqual(await listed({ mods: 'hd' }), ['1', '2']);
+  assert.deepEqual(await listed({ mods: 'HDDT' }), ['2']);
+  assert.deepEqual(await listed({ max_age_days: 30 }), ['1', '2']);
+});
+
+test('/teto setup is only for the server owner and administrators', async () => {
+  const interaction = createFakeInteraction({ userId: 'discord-2', subcommand: 'setup', options: { set_this_channel_for: 'tmotd' } });
+  interaction.guild = { ownerId: 'discord-1' };
+  interaction.member = { permissions: { has: () => false } };
+  await handleTeto(interaction, buildTetoContext(db));
+
+  assert.equal(interaction.lastReplyText(), 'Only administrators can run this command.');
+  assert.equal(await db.serverConfig.getChannelId(GUILD_ID, 'tmotd'), null);
+});
+
+test('/teto map submit archives the posted map with its mods and message', async () => {
+  const tetoCtx = buildTetoContext(db);
+  const interaction = createFakeInteraction({
+    userId: 'discord-1',
+    subcommandGroup: 'map',
+    subcommand: 'submit',
+    options: { maplink: 'https://osu.ppy.sh/b/12345', recommended_mod_1: 'HD', recommended_mod_2: 'DT' },
+  });
+  await handleTeto(interaction, tetoCtx);
+
+  const [post] = tetoCtx.opChannel.sent;
+  assert.deepEqual(post.reactions, ['👍', '👎']);
+  assert.equal(db.tables.submissionArchive.length, 1);
+  const archived = db.tables.submissionArchive[0];
+  assert.deepEqual(
+    { ...archived, id: undefined, createdAt: undefined },
+    {
+      id: undefined, createdAt: undefined, guildId: GUILD_ID, userId: 'discord-1', submissionDate: '2026-03-10',
+      beatmapId: '12345', beatmapsetId: BEATMAPSET_ID, mapTitle: 'Test Map Title', artist: 'Test Artist',
+      difficulty: 'Test Difficulty', starRating: 5.43, status: 'ranked', mods: ['HD', 'DT'],
+      channelId: 'tmotd-channel', messageId: post.id, upvotes: 0, downvotes: 0,
+    }
+  );
+});
+
+/** /teto map history with `options`; returns the interaction. */
+async function mapHistory(tetoCtx, options = {}) {
+  const interaction = createFakeInteraction({ userId: 'discord-1', subcommandGroup: 'map', subcommand: 'history', options });
+  await handleTeto(interaction, tetoCtx);
+  return interaction;
+}
+
+/** Beatmap IDs listed in a /teto map history reply, in order. */
+const listedBeatmapIds = (interaction) => [...interaction.lastReplyText().matchAll(/osu\.ppy\.sh\/b\/(\d+)/g)].map(m => m[1]);
+
+test('/teto map history filters by player, star range, dates and status', async () => {
+  const tetoCtx = buildTetoContext(db);
+  await archiveEarlierSubmission({ beatmapId: '1', submissionDate: '2026-03-01', starRating: 3.9, status: 'ranked' });
+  await archiveEarlierSubmission({ beatmapId: '2', submissionDate: '2026-03-02', starRating: 4, status: 'loved', userId: 'discord-3' });
+  await archiveEarlierSubmission({ beatmapId: '3', submissionDate: '2026-03-04', starRating: 5, status: 'ranked' });
+  await archiveEarlierSubmission({ beatmapId: '4', submissionDate: '2026-03-05', starRating: 5.1, status: 'graveyard' });
+
+  assert.deepEqual(listedBeatmapIds(await mapHistory(tetoCtx)), ['4', '3', '2', '1']);
+  assert.deepEqual(listedBeatmapIds(await mapHistory(tetoCtx, { user: { id: 'discord-3' } })), ['2']);
+  assert.deepEqual(listedBeatmapIds(await mapHistory(tetoCtx, { min_stars: 4, max_stars: 5 })), ['3', '2']);
+  assert.deepEqual(listedBeatmapIds(await mapHistory(tetoCtx, { from: '2026-03-02', to: '2026-03-04' })), ['3', '2']);
+  assert.deepEqual(listedBeatmapIds(await mapHistory(tetoCtx, { status: 'ranked' })), ['3', '1']);
+  assert.equal(
+    (await mapHistory(tetoCtx, { status: 'ranked', user: { id: 'discord-3' } })).lastReplyText(),
+    'No maps of the day match these filters.'
+  );
+});
+
+test('/teto map history rejects dates that do not exist', async () => {
+  const tetoCtx = buildTetoContext(db);
+  await archiveEarlierSubmission();
+  const interaction = await mapHistory(tetoCtx, { from: '2026-02-30' });
+  assert.equal(interaction.deferred, false);
+  assert.equal(interaction.replies[0].ephemeral, true);
+  assert.equal(interaction.lastReplyText(), 'Dates must look like 2026-01-31 (YYYY-MM-DD).');
+});
+
+test('/teto map history pages ten maps at a time', async () => {
+  const tetoCtx = buildTetoContext(db);
+  for (let day = 1; day <= 12; day++) {
+    await archiveEarlierSubmission({ beatmapId: String(day), submissionDate: `2026-03-${String(day).padStart(2, '0')}` });
+  }
+  const interaction = await mapHistory(tetoCtx);
+  const [firstPage] = interaction.replies;
+  assert.deepEqual(listedBeatmapIds(interaction), ['12', '11', '10', '9', '8', '7', '6', '5', '4', '3']);
+  assert.deepEqual(firstPage.embeds[0].footer, { text: 'Page 1/2' });
+  assert.deepEqual(firstPage.components[0].components.map(b => [b.data.custom_id, b.data.disabled]), [
+    ['map_history_prev', true],
+    ['map_history_next', false],
+  ]);
+
+  const secondPage = await new Promise((resolve) => {
+    interaction.collectors[0].emit('collect', { user: { id: 'discord-1' }, customId: 'map_history_next', update: resolve });
+  });
+  assert.deepEqual(secondPage.embeds[0].footer, { text: 'Page 2/2' });
+  assert.deepEqual([...secondPage.embeds[0].description.matchAll(/osu\.ppy\.sh\/b\/(\d+)/g)].map(m => m[1]), ['2', '1']);
+});
+
+// The duplicate window counts back from the real date
+const TODAY = toDateString(new Date());
+const EARLIER = daysAgoString(9);
+const EARLIER_POST = 'https://discord.com/channels/guild-1/tmotd-channel/message-earlier';
+
+/** /teto map submit of beatmap 12345; picks are the buttons clicked on the duplicate prompt. */
+function mapSubmitInteraction(picks = []) {
+  return createFakeInteraction({
+    userId: 'discord-1',
+    subcommandGroup: 'map',
+    subcommand: 'submit',
+    options: { maplink: 'https://osu.ppy.sh/b/12345' },
+    picks,
+  });
+}
+
+test('/teto map submit flags the same difficulty and posts only after Submit anyway', async () => {
+  const tetoCtx = buildTetoContext(db, { today: TODAY });
+  await archiveEarlierSubmission({ submissionDate: EARLIER });
+  const interaction = mapSubmitInteraction(['duplicate_map_submit']);
+  await handleTeto(interaction, tetoCtx);
+
+  assert.equal(interaction.deferred, true);
+  assert.equal(interaction.replied, false);
+  const prompt = interaction.replies[0];
+  assert.equal(prompt.embeds[0].description, `This map was already submitted by <@discord-2> on ${EARLIER} ([see the post](${EARLIER_POST})).\nSubmit it as your map of the day anyway?`);
+  assert.deepEqual(prompt.components[0].components.map(b => b.data.custom_id), ['duplicate_map_submit', 'duplicate_map_cancel']);
+  assert.equal(tetoCtx.opChannel.sent.length, 1);
+  assert.match(interaction.lastReplyText(), /Map submitted to <#tmotd-channel>!/);
+  assert.equal(db.tables.submissionArchive.length, 2);
+});
+
+test('/teto map submit flags another difficulty of the same beatmapset', async () => {
+  const tetoCtx = buildTetoContext(db, { today: TODAY });
+  await archiveEarlierSubmission({ submissionDate: EARLIER, beatmapId: '99999' });
+  const interaction = mapSubmitInteraction();
+  await handleTeto(interaction, tetoCtx);
+
+  assert.match(interaction.replies[0].embeds[0].description, new RegExp(`^Another difficulty of this map was already submitted by <@discord-2> on ${EARLIER}`));
+});
+
+test('/teto map submit posts nothing when the duplicate prompt is cancelled or times out', async () => {
+  const tetoCtx = buildTetoContext(db, { today: TODAY });
+  await archiveEarlierSubmission({ submissionDate: EARLIER });
+
+  const cancelled = mapSubmitInteraction(['duplicate_map_cancel']);
+  await handleTeto(cancelled, tetoCtx);
+  assert.equal(cancelled.lastReplyText(), 'Submission cancelled.');
+
+  const unanswered = mapSubmitInteraction();
+  await handleTeto(unanswered, tetoCtx);
+  assert.equal(unanswered.lastReplyText(), 'No answer in time, so the map was not submitted.');
+
+  assert.equal(tetoCtx.opChannel.sent.length, 0);
+  assert.equal(db.tables.submissions.length, 0);
+  assert.equal(db.tables.submissionArchive.length, 1);
+});
+
+test('/teto map submit rejects duplicates with a link to the earlier post when set to reject', async () => {
+  const tetoCtx = buildTetoContext(db, { today: TODAY });
+  await db.guildSettings.update(GUILD_ID, { duplicateMapAction: 'reject' });
+  await archiveEarlierSubmission({ submissionDate: EARLIER });
+  const interaction = mapSubmitInteraction(['duplicate_map_submit']);
+  await handleTeto(interaction, tetoCtx);
+
+  assert.equal(interaction.replies.length, 1);
+  assert.equal(interaction.replies[0].components, undefined);
+  assert.equal(interaction.lastReplyText(), `This map was already submitted by <@discord-2> on ${EARLIER} ([see the post](${EARLIER_POST})).\nPick a different map for today!`);
+  assert.equal(tetoCtx.opChannel.sent.length, 0);
+});
+
+test('/teto map submit skips the duplicate check outside the window or when it is off', async () => {
+  const tetoCtx = buildTetoContext(db, { today: TODAY });
+  await archiveEarlierSubmission({ submissionDate: daysAgoString(40) });
+  const outsideWindow = mapSubmitInteraction();
+  await handleTeto(outsideWindow, tetoCtx);
+  assert.equal(outsideWindow.replies.length, 1);
+  assert.match(outsideWindow.lastReplyText(), /Map submitted/);
+
+  await db.guildSettings.update(GUILD_ID, { duplicateMapWindowDays: 0 });
+  const windowOff = createFakeInteraction({
+    userId: 'discord-2', subcommandGroup: 'map', subcommand: 'submit', options: { maplink: 'https://osu.ppy.sh/b/12345' },
+  });
+  await handleTeto(windowOff, tetoCtx);
+  assert.equal(windowOff.replies.length, 1);
+  assert.match(windowOff.lastReplyText(), /Map submitted/);
+  assert.equal(tetoCtx.opChannel.sent.length, 2);
+});
+
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGuildScheduler, normalizeTimezone, todayInTimezone } from '../src/guildScheduler.js';
+
+/** schedule() stand-in that records tasks so tests can fire them. */
+function createFakeSchedule() {
+  const tasks = [];
+  const schedule = (expression, fn, options) => {
+    const task = { expression, fn, timezone: options.timezone, stopped: false, stop() { this.stopped = true; } };
+    tasks.push(task);
+    return task;
+  };
+  return { schedule, tasks };
+}
+
+test('normalizeTimezone accepts IANA names in any case', () => {
+  assert.equal(normalizeTimezone('europe/berlin'), 'Europe/Berlin');
+  assert.equal(normalizeTimezone(' America/New_York '), 'America/New_York');
+  assert.equal(normalizeTimezone('Mars/Olympus_Mons'), null);
+  assert.equal(normalizeTimezone(''), null);
+});
+
+test('todayInTimezone uses the local date', () => {
+  const now = new Date('2026-03-01T23:30:00Z');
+  assert.equal(todayInTimezone('UTC', now), '2026-03-01');
+  assert.equal(todayInTimezone('Europe/Berlin', now), '2026-03-02');
+  assert.equal(todayInTimezone('America/Los_Angeles', now), '2026-03-01');
+});
+
+test('schedules every job per guild in its timezone and reschedules on change', async () => {
+  const { schedule, tasks } = createFakeSchedule();
+  const runs = [];
+  const scheduler = createGuildScheduler([
+    { name: 'daily', expression: '0 0 * * *', run: async (guildId, timezone) => runs.push(['daily', guildId, timezone]) },
+    { name: 'weekly', expression: '0 16 * * 6', run: async (guildId, timezone) => runs.push(['weekly', guildId, timezone]) },
+  ], { schedule });
+
+  scheduler.schedule('guild-1', 'Europe/Berlin');
+  scheduler.schedule('guild-2');
+  assert.deepEqual(tasks.map(t => [t.expression, t.timezone]), [
+    ['0 0 * * *', 'Europe/Berlin'],
+    ['0 16 * * 6', 'Europe/Berlin'],
+    ['0 0 * * *', 'UTC'],
+    ['0 16 * * 6', 'UTC'],
+  ]);
+
+  await tasks[0].fn();
+  await tasks[3].fn();
+  assert.deepEqual(runs, [['daily', 'guild-1', 'Europe/Berlin'], ['weekly', 'guild-2', 'UTC']]);
+
+  scheduler.schedule('guild-1', 'Asia/Tokyo');
+  assert.ok(tasks[0].stopped && tasks[1].stopped);
+  assert.equal(scheduler.getTimezone('guild-1'), 'Asia/Tokyo');
+  assert.equal(tasks.filter(t => !t.stopped).length, 4);
+
+  scheduler.unschedule('guild-2');
+  assert.equal(scheduler.getTimezone('guild-2'), null);
+  scheduler.stopAll();
+  assert.ok(tasks.every(t => t.stopped));
+});
+
+test('a failing job is logged and does not stop later runs', async () => {
+  const { schedule, tasks } = createFakeSchedule();
+  let calls = 0;
+  const scheduler = createGuildScheduler([
+    { name: 'flaky', expression: '* * * * *', run: async () => { calls++; throw new Error('boom'); } },
+  ], { schedule });
+  scheduler.schedule('guild-1');
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await tasks[0].fn();
+    await tasks[0].fn();
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(calls, 2);
+});
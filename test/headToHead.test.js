@@ -0,0 +1,49 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeHeadToHead, getAttemptWinner, isHeadToHeadAttempt } from '../src/headToHead.js';
+
+let day = 0;
+function attempt(responderUserId, championUserId, result, beatmapId = '1', difficulty = 'Insane') {
+  day++;
+  return { beatmapId, difficulty, responderUserId, championUserId, result, createdAt: new Date(Date.UTC(2026, 0, day)) };
+}
+
+test('getAttemptWinner: responder on a takeover, champion otherwise', () => {
+  assert.equal(getAttemptWinner(attempt('a', 'b', 'won')), 'a');
+  assert.equal(getAttemptWinner(attempt('a', 'b', 'lost')), 'b');
+});
+
+test('isHeadToHeadAttempt: only responses between the two players', () => {
+  assert.ok(isHeadToHeadAttempt(attempt('a', 'b', 'won'), 'a', 'b'));
+  assert.ok(isHeadToHeadAttempt(attempt('b', 'a', 'won'), 'a', 'b'));
+  assert.ok(!isHeadToHeadAttempt(attempt('a', 'a', 'improved'), 'a', 'b'));
+  assert.ok(!isHeadToHeadAttempt(attempt('a', 'c', 'won'), 'a', 'b'));
+});
+
+test('summarizeHeadToHead: records, maps, streaks and last meeting', () => {
+  const attempts = [
+    attempt('a', 'b', 'won', '1'), // a takes map 1
+    attempt('b', 'a', 'lost', '1'), // a defends map 1
+    attempt('b', 'a', 'won', '1'), // b takes map 1
+    attempt('a', 'b', 'won', '2'), // a takes map 2
+    attempt('a', 'a', 'improved', '2'), // own challenge, ignored
+    attempt('c', 'a', 'won', '2'), // someone else, ignored
+  ];
+  // Newest first, like challengeAttempts.getBetweenUsers
+  const summary = summarizeHeadToHead([...attempts].reverse(), 'a', 'b');
+
+  assert.equal(summary.meetings, 4);
+  assert.deepEqual(summary.records.a, { wins: 3, losses: 1, takeovers: 2, defences: 1, mapsWon: 2, bestStreak: 2 });
+  assert.deepEqual(summary.records.b, { wins: 1, losses: 3, takeovers: 1, defences: 0, mapsWon: 1, bestStreak: 1 });
+  assert.deepEqual(summary.maps.map(m => [m.beatmapId, m.meetings]), [['1', 3], ['2', 1]]);
+  assert.equal(summary.lastMeeting.attempt, attempts[3]);
+  assert.equal(summary.lastMeeting.winnerUserId, 'a');
+});
+
+test('summarizeHeadToHead: no meetings', () => {
+  const summary = summarizeHeadToHead([], 'a', 'b');
+  assert.equal(summary.meetings, 0);
+  assert.equal(summary.lastMeeting, null);
+  assert.equal(summary.records.a.wins, 0);
+});
@@ -0,0 +1,121 @@
+/**
+ * Database layer against a real PostgreSQL (opt-in: `npm test` uses the in-memory fakes instead).
+ * Set TEST_DATABASE_URL to a disposable database and run `npm run test:db`: it is reset with
+ * `prisma migrate reset --force` before the run, so every table in it is dropped.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = TEST_DATABASE_URL ? false : 'set TEST_DATABASE_URL to a disposable PostgreSQL database';
+
+let db;
+
+before(async () => {
+  if (skip) return;
+  if (TEST_DATABASE_URL === process.env.DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL must not be the bot\'s DATABASE_URL: the test run wipes it.');
+  }
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  execFileSync('npx', ['prisma', 'migrate', 'reset', '--force', '--skip-seed', '--skip-generate'], {
+    stdio: 'inherit',
+    env: process.env,
+  });
+  db = await import('../../src/db.js');
+});
+
+after(async () => {
+  if (db) await db.disconnect();
+});
+
+const scoreOn = (beatmapId, version, id) => ({ id, beatmap: { id: beatmapId, version } });
+
+test('localScores.getByBeatmap filters on the beatmap inside the score JSON', { skip }, async () => {
+  await db.localScores.create('guild-1', 'user-1', '1001', scoreOn(12345, 'Insane', 1));
+  await db.localScores.create('guild-1', 'user-2', '1002', scoreOn(12345, 'Hard', 2));
+  await db.localScores.create('guild-1', 'user-1', '1001', scoreOn(999, 'Insane', 3));
+  await db.localScores.create('guild-2', 'user-1', '1001', scoreOn(12345, 'Insane', 4));
+
+  const insane = await db.localScores.getByBeatmap('guild-1', '12345', 'Insane');
+  assert.deepEqual(insane.map(record => record.score.id), [1]);
+  const anyDifficulty = await db.localScores.getByBeatmap('guild-1', 12345, null);
+  assert.deepEqual(anyDifficulty.map(record => record.score.id).sort(), [1, 2]);
+});
+
+test('submissionArchive search, duplicates and votes', { skip }, async () => {
+  const archive = (data) => db.submissionArchive.create('guild-1', {
+    userId: 'user-1', beatmapsetId: '777', channelId: 'channel-1', mods: [], ...data,
+  });
+  await archive({ submissionDate: '2026-03-01', beatmapId: '1', starRating: 4.2, status: 'ranked', messageId: 'msg-1' });
+  await archive({ submissionDate: '2026-03-05', beatmapId: '2', starRating: 6.1, status: 'loved', userId: 'user-2', mods: ['HD', 'DT'] });
+  await archive({ submissionDate: '2026-03-10', beatmapId: '3', beatmapsetId: '888', starRating: 5.0, status: 'ranked' });
+
+  const all = await db.submissionArchive.search('guild-1');
+  assert.deepEqual(all.map(s => s.beatmapId), ['3', '2', '1']);
+  assert.deepEqual((await db.submissionArchive.search('guild-1', { userId: 'user-2' }))[0].mods, ['HD', 'DT']);
+  const filtered = await db.submissionArchive.search('guild-1', { minStars: 4.2, maxStars: 5, fromDate: '2026-03-01', toDate: '2026-03-10', status: 'ranked' });
+  assert.deepEqual(filtered.map(s => s.beatmapId), ['3', '1']);
+  assert.deepEqual(await db.submissionArchive.search('guild-2'), []);
+
+  const sameSet = await db.submissionArchive.findRecentDuplicate('guild-1', { beatmapId: '9', beatmapsetId: '777', sinceDate: '2026-03-01' });
+  assert.equal(sameSet.beatmapId, '2');
+  assert.equal(await db.submissionArchive.findRecentDuplicate('guild-1', { beatmapId: '1', beatmapsetId: null, sinceDate: '2026-03-02' }), null);
+
+  await db.submissionArchive.updateVotes('msg-1', { upvotes: 3, downvotes: 1 });
+  const [voted] = await db.submissionArchive.search('guild-1', { toDate: '2026-03-01' });
+  assert.deepEqual([voted.upvotes, voted.downvotes], [3, 1]);
+});
+
+test('submissions.getSince and deleteOldEntries per guild', { skip }, async () => {
+  await db.submissions.create('guild-1', 'user-1', '2026-03-01');
+  await db.submissions.create('guild-1', 'user-1', '2026-03-08');
+  await db.submissions.create('guild-2', 'user-1', '2026-03-01');
+
+  assert.deepEqual((await db.submissions.getSince('guild-1', 'user-1', '2026-03-02')).map(s => s.submissionDate), ['2026-03-08']);
+  await db.submissions.deleteOldEntries('2026-03-02', 'guild-1');
+  assert.deepEqual((await db.submissions.getSince('guild-1', 'user-1', '2026-01-01')).map(s => s.submissionDate), ['2026-03-08']);
+  assert.equal((await db.submissions.getSince('guild-2', 'user-1', '2026-01-01')).length, 1);
+  await db.submissions.deleteOldEntries('2026-03-02');
+  assert.equal((await db.submissions.getSince('guild-2', 'user-1', '2026-01-01')).length, 0);
+});
+
+test('guild settings and submission rules fall back to defaults and upsert', { skip }, async () => {
+  assert.deepEqual(await db.guildSettings.get('guild-3'), { guildId: 'guild-3', ...db.GUILD_SETTINGS_DEFAULTS });
+  await db.guildSettings.update('guild-3', { timezone: 'Europe/Berlin' });
+  await db.guildSettings.update('guild-3', { submissionsPerDay: 2 });
+  const settings = await db.guildSettings.get('guild-3');
+  assert.equal(settings.timezone, 'Europe/Berlin');
+  assert.equal(settings.submissionsPerDay, 2);
+  assert.equal(settings.duplicateMapAction, 'confirm');
+
+  assert.deepEqual(await db.submissionRules.get('guild-3'), { guildId: 'guild-3', ...db.SUBMISSION_RULES_DEFAULTS });
+  await db.submissionRules.update('guild-3', { themedDayMods: { 2: ['DT'] }, bannedMappers: ['stubmapper'] });
+  const rules = await db.submissionRules.get('guild-3');
+  assert.deepEqual(rules.themedDayMods, { 2: ['DT'] });
+  assert.deepEqual(rules.bannedMappers, ['stubmapper']);
+  assert.deepEqual(rules.allowedStatuses, []);
+});
+
+test('challengeAttempts.hasScoreResponse matches the score on the difficulty since the challenge began', { skip }, async () => {
+  const since = new Date();
+  await db.challengeAttempts.create('guild-1', {
+    beatmapId: '12345', difficulty: 'Insane', responderUserId: 'user-2', responderOsuId: '1002',
+    responderScore: scoreOn(12345, 'Insane', 5), responderScoreId: '5', championUserId: 'user-1', championOsuId: '1001',
+    championScore: scoreOn(12345, 'Insane', 1), statWinners: [], responderWins: 3, result: 'won',
+  });
+
+  assert.equal(await db.challengeAttempts.hasScoreResponse('guild-1', '12345', 'Insane', '5', since), true);
+  assert.equal(await db.challengeAttempts.hasScoreResponse('guild-1', '12345', 'Insane', '6', since), false);
+  assert.equal(await db.challengeAttempts.hasScoreResponse('guild-1', '12345', 'Hard', '5', since), false);
+  assert.equal(await db.challengeAttempts.hasScoreResponse('guild-1', '12345', 'Insane', '5', new Date(Date.now() + 60_000)), false);
+});
+
+test('challengeReigns.updateScore only changes the ongoing reign', { skip }, async () => {
+  await db.challengeReigns.start('guild-1', '777', 'Hard', 'user-1', '1001', scoreOn(777, 'Hard', 10));
+  await db.challengeReigns.transfer('guild-1', '777', 'Hard', 'user-2', '1002', scoreOn(777, 'Hard', 11));
+  const { count } = await db.challengeReigns.updateScore('guild-1', '777', 'Hard', scoreOn(777, 'Hard', 12));
+  assert.equal(count, 1);
+});
+
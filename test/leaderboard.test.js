@@ -0,0 +1,23 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankLeaderboardEntries } from '../src/leaderboard.js';
+
+const entry = (discordUserId, score, createdAt, local = false) => ({ discordUserId, score: { score, created_at: createdAt }, local });
+
+test('rankLeaderboardEntries keeps each player\'s best score, best first', () => {
+  const ranked = rankLeaderboardEntries([
+    entry('a', 500, '2026-01-01T00:00:00Z'),
+    entry('b', 700, '2026-01-02T00:00:00Z'),
+    entry('a', 900, '2026-01-03T00:00:00Z', true),
+  ]);
+  assert.deepEqual(ranked.map(e => [e.discordUserId, e.score.score, e.local]), [['a', 900, true], ['b', 700, false]]);
+});
+
+test('rankLeaderboardEntries ranks the earlier play higher on a tie', () => {
+  const ranked = rankLeaderboardEntries([
+    entry('late', 800, '2026-01-05T00:00:00Z'),
+    entry('early', 800, '2026-01-01T00:00:00Z'),
+  ]);
+  assert.deepEqual(ranked.map(e => e.discordUserId), ['early', 'late']);
+});
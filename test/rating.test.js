@@ -0,0 +1,47 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedScore, starRatingWeight, marginWeight, calculateRatingChange, formatRatingChange } from '../src/rating.js';
+
+const narrowWin = { responderWon: true, responderWins: 3, totalMetrics: 5 };
+const sweep = { responderWon: true, responderWins: 5, totalMetrics: 5 };
+
+test('expectedScore: even at equal ratings, favours the higher rating', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(expectedScore(1700, 1500) > 0.75);
+  assert.ok(Math.abs(expectedScore(1700, 1500) + expectedScore(1500, 1700) - 1) < 1e-9);
+});
+
+test('starRatingWeight: scales with stars around 5★ and is clamped', () => {
+  assert.equal(starRatingWeight(5), 1);
+  assert.equal(starRatingWeight(6), 1.2);
+  assert.equal(starRatingWeight(1), 0.5);
+  assert.equal(starRatingWeight(12), 1.5);
+  assert.equal(starRatingWeight(null), 1);
+});
+
+test('marginWeight: clean sweeps count more, single-stat rules count once', () => {
+  assert.equal(marginWeight(sweep), 1.5);
+  assert.ok(Math.abs(marginWeight(narrowWin) - 1.1) < 1e-9);
+  assert.ok(Math.abs(marginWeight({ responderWon: false, responderWins: 0, totalMetrics: 4 }) - 1.5) < 1e-9);
+  assert.equal(marginWeight({ responderWon: true, responderWins: 1, totalMetrics: 1 }), 1);
+});
+
+test('calculateRatingChange: upsets, harder maps and bigger margins move more points', () => {
+  const even = calculateRatingChange(1500, 1500, narrowWin, 5);
+  assert.equal(even, Math.round(32 * 1.1 * 0.5));
+  assert.ok(calculateRatingChange(1300, 1700, narrowWin, 5) > even);
+  assert.ok(calculateRatingChange(1700, 1300, narrowWin, 5) < even);
+  assert.ok(calculateRatingChange(1500, 1500, narrowWin, 7) > even);
+  assert.ok(calculateRatingChange(1500, 1500, sweep, 5) > even);
+  // Champion defending: the champion is the winner
+  assert.equal(calculateRatingChange(1500, 1500, { ...narrowWin, responderWon: false, responderWins: 2 }, 5), even);
+  // Never zero
+  assert.equal(calculateRatingChange(3000, 1000, narrowWin, 1), 1);
+});
+
+test('formatRatingChange', () => {
+  assert.equal(formatRatingChange(16), '+16');
+  assert.equal(formatRatingChange(-16), '-16');
+  assert.equal(formatRatingChange(0), '+0');
+});
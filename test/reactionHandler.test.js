@@ -0,0 +1,78 @@
+import './support/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessageReactionAdd, handleMessageReactionRemove } from '../src/reactionHandler.js';
+import { createFakeDb } from './support/fakes.js';
+
+const GUILD_ID = 'guild-1';
+
+let db;
+let ctx;
+
+/**
+ * Reaction on a map of the day post with `counts` 👍/👎 reactions from players; Teto reacted with both
+ * when posting it, so each count includes its own reaction.
+ */
+function voteReaction(emoji, counts, { channelId = 'tmotd-channel' } = {}) {
+  const message = {
+    id: 'message-1',
+    guildId: GUILD_ID,
+    channelId,
+    content: '',
+    embeds: [],
+    reactions: {
+      cache: new Map([
+        ['👍', { count: counts.upvotes + 1, me: true }],
+        ['👎', { count: counts.downvotes + 1, me: true }],
+      ]),
+    },
+  };
+  return {
+    emoji: { name: emoji },
+    message,
+    users: { async fetch() { return new Map(); } },
+  };
+}
+
+const player = { id: 'discord-2', bot: false };
+
+beforeEach(async () => {
+  db = createFakeDb();
+  ctx = {
+    async createEmbed(content) {
+      return [{ description: content }];
+    },
+    serverConfig: db.serverConfig,
+    submissionArchive: db.submissionArchive,
+  };
+  await db.serverConfig.setChannel(GUILD_ID, 'tmotd', 'tmotd-channel');
+  await db.submissionArchive.create(GUILD_ID, {
+    userId: 'discord-1', submissionDate: '2026-03-10', beatmapId: '12345', channelId: 'tmotd-channel', messageId: 'message-1',
+  });
+});
+
+const votes = () => {
+  const [row] = db.tables.submissionArchive;
+  return { upvotes: row.upvotes, downvotes: row.downvotes };
+};
+
+test('adding a vote stores the counts without Teto\'s own reactions', async () => {
+  await handleMessageReactionAdd(voteReaction('👍', { upvotes: 3, downvotes: 1 }), player, ctx);
+  assert.deepEqual(votes(), { upvotes: 3, downvotes: 1 });
+});
+
+test('removing a vote stores the lower count', async () => {
+  await handleMessageReactionAdd(voteReaction('👎', { upvotes: 2, downvotes: 2 }), player, ctx);
+  await handleMessageReactionRemove(voteReaction('👎', { upvotes: 2, downvotes: 1 }), player, ctx);
+  assert.deepEqual(votes(), { upvotes: 2, downvotes: 1 });
+
+  await handleMessageReactionRemove(voteReaction('👍', { upvotes: 0, downvotes: 1 }), player, ctx);
+  assert.deepEqual(votes(), { upvotes: 0, downvotes: 1 });
+});
+
+test('votes from bots, other emojis and other channels are ignored', async () => {
+  await handleMessageReactionAdd(voteReaction('👍', { upvotes: 5, downvotes: 0 }), { id: 'bot', bot: true }, ctx);
+  await handleMessageReactionAdd(voteReaction('🔥', { upvotes: 5, downvotes: 0 }), player, ctx);
+  await handleMessageReactionRemove(voteReaction('👍', { upvotes: 5, downvotes: 0 }, { channelId: 'general' }), player, ctx);
+  assert.deepEqual(votes(), { upvotes: 0, downvotes: 0 });
+});
@@ -0,0 +1,142 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareScores, extractBeatmapInfoFromMessage, extractOsuProfile, getScoreTime, parseModAcronyms } from '../src/scoreHelpers.js';
+
+function score(overrides = {}) {
+  return {
+    score: 1000000,
+    pp: 100,
+    accuracy: 0.95,
+    max_combo: 500,
+    mods: [],
+    statistics: { count_300: 300, count_100: 20, count_50: 2, count_miss: 3 },
+    user: { username: 'Champion' },
+    ...overrides,
+  };
+}
+
+test('compareScores: responder needs 3 of 5 key stats by default', () => {
+  const challenger = score();
+  const twoOfFive = score({ pp: 120, accuracy: 0.97 });
+  const threeOfFive = score({ pp: 120, accuracy: 0.97, max_combo: 600 });
+
+  assert.equal(compareScores(challenger, twoOfFive, 'Responder').responderWon, false);
+  const result = compareScores(challenger, threeOfFive, 'Responder');
+  assert.equal(result.responderWon, true);
+  assert.equal(result.responderWins, 3);
+  assert.equal(result.summary, '3/5 key stats');
+});
+
+test('compareScores: single-stat win rules only highlight the deciding stat', () => {
+  const challenger = score();
+  const responder = score({ score: 1000001, pp: 50, accuracy: 0.9, max_combo: 100 });
+
+  const byScore = compareScores(challenger, responder, 'Responder', 'score');
+  assert.equal(byScore.responderWon, true);
+  assert.equal(byScore.summary, 'decided by Score');
+  assert.deepEqual(byScore.statWinners.filter(w => w !== 'tie'), ['right']);
+
+  assert.equal(compareScores(challenger, responder, 'Responder', 'pp').responderWon, false);
+  assert.equal(compareScores(challenger, responder, 'Responder', 'accuracy').responderWon, false);
+});
+
+test('compareScores: pp rule falls back to score when both PP are 0', () => {
+  const result = compareScores(score({ pp: 0 }), score({ pp: 0, score: 2000000 }), 'Responder', 'pp');
+  assert.equal(result.responderWon, true);
+  assert.equal(result.summary, 'decided by Score');
+});
+
+test('compareScores: score_v2 rule compares the standardised total, not the legacy score', () => {
+  // Higher legacy score, lower standardised total
+  const challenger = score({ score: 1200000, total_score: 900000 });
+  const responder = score({ score: 1000000, total_score: 950000 });
+  const result = compareScores(challenger, responder, 'Responder', 'score_v2');
+  assert.equal(result.responderWon, true);
+  assert.equal(result.summary, 'decided by Score V2: 950,000 vs 900,000');
+  assert.deepEqual(result.statWinners.filter(w => w !== 'tie'), ['right']);
+  assert.equal(compareScores(challenger, responder, 'Responder', 'score').responderWon, false);
+
+  // Without total_score: classic_total_score, then the legacy score
+  assert.equal(compareScores(score({ classic_total_score: 10 }), score({ classic_total_score: 20 }), 'Responder', 'score_v2').responderWon, true);
+  assert.equal(compareScores(score({ score: 2 }), score({ score: 1 }), 'Responder', 'score_v2').responderWon, false);
+});
+
+test('compareScores: weighted rule needs more than half the weight', () => {
+  const challenger = score();
+  // PP 30% + Accuracy 25% = 55%
+  assert.equal(compareScores(challenger, score({ pp: 120, accuracy: 0.97 }), 'Responder', 'weighted').responderWon, true);
+  // Score 20% + Max Combo 15% + Misses 10% = 45%
+  const result = compareScores(challenger, score({ score: 2000000, max_combo: 600, statistics: { count_300: 300, count_miss: 0 } }), 'Responder', 'weighted');
+  assert.equal(result.responderWon, false);
+  assert.equal(result.summary, '45% weighted');
+});
+
+test('compareScores: mania compares MAX judgements instead of PP when both PP are 0', () => {
+  const mania = (geki, katu) => score({
+    pp: 0,
+    ruleset_id: 3,
+    statistics: { count_geki: geki, count_300: 100, count_katu: katu, count_100: 5, count_50: 1, count_miss: 3 },
+  });
+  const result = compareScores(mania(800, 20), mania(900, 10), 'Responder');
+
+  // Rows: mods, pp, acc, combo, score, miss, MAX, 300, 200, 100, 50
+  assert.equal(result.statWinners.length, 11);
+  assert.equal(result.statWinners[6], 'right');
+  assert.equal(result.statWinners[8], 'right');
+  assert.equal(result.responderWins, 1);
+  assert.match(result.table, /MAX/);
+});
+
+test('compareScores: rejects missing scores', () => {
+  assert.throws(() => compareScores(null, score(), 'Responder'), /Invalid score data/);
+});
+
+test('getScoreTime: lazer ended_at, else legacy created_at, else null', () => {
+  assert.equal(getScoreTime({ ended_at: '2026-03-01T12:00:00Z', created_at: '2026-02-01T12:00:00Z' }), Date.parse('2026-03-01T12:00:00Z'));
+  assert.equal(getScoreTime({ created_at: '2026-02-01T12:00:00Z' }), Date.parse('2026-02-01T12:00:00Z'));
+  assert.equal(getScoreTime({}), null);
+  assert.equal(getScoreTime({ ended_at: 'not a date' }), null);
+  assert.equal(getScoreTime(null), null);
+});
+
+test('extractBeatmapInfoFromMessage: markdown link with difficulty in the link text', () => {
+  const info = extractBeatmapInfoFromMessage('Try [Artist - Song [Insane]](https://osu.ppy.sh/beatmapsets/1#osu/12345) today');
+  assert.deepEqual(info, { beatmapId: '12345', difficulty: 'Insane' });
+});
+
+test('extractBeatmapInfoFromMessage: plain links use the nearest bracketed difficulty', () => {
+  assert.deepEqual(
+    extractBeatmapInfoFromMessage('Song [Hard] https://osu.ppy.sh/b/777'),
+    { beatmapId: '777', difficulty: 'Hard' }
+  );
+  assert.deepEqual(
+    extractBeatmapInfoFromMessage('https://osu.ppy.sh/beatmaps/42'),
+    { beatmapId: '42', difficulty: null }
+  );
+});
+
+test('extractBeatmapInfoFromMessage: ignores score and profile links', () => {
+  assert.equal(extractBeatmapInfoFromMessage('https://osu.ppy.sh/scores/123'), null);
+  assert.equal(extractBeatmapInfoFromMessage('https://osu.ppy.sh/users/1001'), null);
+  assert.equal(extractBeatmapInfoFromMessage('no links here'), null);
+});
+
+test('extractOsuProfile: user id and username links', () => {
+  assert.deepEqual(extractOsuProfile('https://osu.ppy.sh/users/1001'), {
+    userId: '1001', username: null, profileLink: 'https://osu.ppy.sh/users/1001',
+  });
+  assert.deepEqual(extractOsuProfile('https://osu.ppy.sh/users/peppy/osu'), {
+    userId: null, username: 'peppy', profileLink: 'https://osu.ppy.sh/users/peppy/osu',
+  });
+  assert.equal(extractOsuProfile('https://osu.ppy.sh/b/123'), null);
+  assert.equal(extractOsuProfile(null), null);
+});
+
+test('parseModAcronyms: mod lists in any format, including mania key mods', () => {
+  assert.deepEqual(parseModAcronyms('hd, dt'), ['HD', 'DT']);
+  assert.deepEqual(parseModAcronyms('HDDTSV2'), ['HD', 'DT', 'SV2']);
+  assert.deepEqual(parseModAcronyms('4K'), ['4K']);
+  assert.deepEqual(parseModAcronyms('HD 10K DT'), ['HD', '10K', 'DT']);
+  assert.deepEqual(parseModAcronyms(''), []);
+});
@@ -0,0 +1,144 @@
+import './support/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleRsc } from '../src/commandHandlers.js';
+import { pollScores } from '../src/scorePoller.js';
+import { clearResponseCache } from '../src/osu-api.js';
+import { startOsuStub, cloneDefaultFixtures } from './support/osuStub.js';
+import { createFakeDb, createFakeChannel, createFakeInteraction, buildHandlerContext } from './support/fakes.js';
+
+const GUILD_ID = 'guild-1';
+// The responder's stub play was set on 2026-01-05
+const BEFORE_RESPONDER_PLAY = new Date('2026-01-04T00:00:00Z');
+const AFTER_RESPONDER_PLAY = new Date('2026-01-06T00:00:00Z');
+
+let stub;
+let db;
+let ctx;
+// Challenges channel per guild (guilds without one are skipped)
+let channels;
+
+before(async () => {
+  stub = await startOsuStub(cloneDefaultFixtures());
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  clearResponseCache();
+  db = createFakeDb();
+  channels = new Map();
+  ctx = {
+    ...buildHandlerContext(db),
+    async getChallengesChannel(guildId) {
+      return channels.get(guildId) ?? null;
+    },
+  };
+  channels.set(GUILD_ID, ctx.opChannel);
+  await db.guildSettings.update(GUILD_ID, { autoRespondEnabled: true });
+  await db.associations.set(GUILD_ID, 'discord-1', { osuUserId: '1001', osuUsername: 'StubChallenger', discordUsername: 'Challenger' });
+  await db.associations.set(GUILD_ID, 'discord-2', { osuUserId: '1002', osuUsername: 'StubResponder', discordUsername: 'Responder' });
+  await handleRsc(createFakeInteraction({ userId: 'discord-1', username: 'Challenger' }), ctx);
+});
+
+test('responds to a challenge for an opted-in player who played the map', async () => {
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', BEFORE_RESPONDER_PLAY);
+
+  const { polled, posted } = await pollScores(ctx);
+  assert.equal(polled, 1);
+  assert.deepEqual(posted.map(p => p.result), ['won']);
+
+  const challenge = await db.activeChallenges.getByDifficulty(GUILD_ID, '12345', 'Test Difficulty');
+  assert.equal(challenge.challengerUserId, 'discord-2');
+  assert.equal(db.tables.challengeAttempts.length, 1);
+  assert.match(ctx.opChannel.sent[1].embeds[0].data.description, /Teto spotted this play/);
+
+  // The play is behind the cursor now
+  const again = await pollScores(ctx);
+  assert.equal(again.posted.length, 0);
+  assert.equal(db.tables.challengeAttempts.length, 1);
+});
+
+test('skips plays that were already used to respond through /rsc', async () => {
+  await handleRsc(createFakeInteraction({ userId: 'discord-2', username: 'Responder' }), ctx);
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', BEFORE_RESPONDER_PLAY);
+
+  const { polled, posted } = await pollScores(ctx);
+  assert.equal(polled, 1);
+  assert.equal(posted.length, 0);
+  assert.equal(db.tables.challengeAttempts.length, 1);
+  assert.equal(ctx.opChannel.sent.length, 2);
+});
+
+test('only polls players who opted in', async () => {
+  const { polled, posted } = await pollScores(ctx);
+  assert.equal(polled, 0);
+  assert.equal(posted.length, 0);
+});
+
+test('ignores plays from before the player opted in', async () => {
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', AFTER_RESPONDER_PLAY);
+
+  const { posted } = await pollScores(ctx);
+  assert.equal(posted.length, 0);
+  assert.equal(db.tables.challengeAttempts.length, 0);
+  assert.ok((await db.associations.get(GUILD_ID, 'discord-2')).lastScorePollAt > AFTER_RESPONDER_PLAY);
+});
+
+test('does not post failed attempts to improve your own challenge', async () => {
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-1', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-1', new Date('2025-12-31T00:00:00Z'));
+
+  const { posted } = await pollScores(ctx);
+  assert.equal(posted.length, 0);
+  assert.equal(ctx.opChannel.sent.length, 1);
+});
+
+test('maxUsers polls the least recently polled players first', async () => {
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-1', true);
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', BEFORE_RESPONDER_PLAY);
+
+  const { polled, posted } = await pollScores(ctx, { maxUsers: 1 });
+  assert.equal(polled, 1);
+  assert.deepEqual(posted.map(p => p.result), ['won']);
+});
+
+test('maxUsers is shared by every guild, least recently polled players first', async () => {
+  const otherChannel = createFakeChannel('challenges-2');
+  channels.set('guild-2', otherChannel);
+  await db.guildSettings.update('guild-2', { autoRespondEnabled: true });
+  await db.associations.set('guild-2', 'discord-2', { osuUserId: '1002', osuUsername: 'StubResponder', discordUsername: 'Responder' });
+  await db.associations.setAutoRespond('guild-2', 'discord-2', true);
+  await db.associations.setLastScorePollAt('guild-2', 'discord-2', new Date('2025-12-01T00:00:00Z'));
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', BEFORE_RESPONDER_PLAY);
+
+  const first = await pollScores(ctx, { maxUsers: 1 });
+  assert.equal(first.polled, 1);
+  assert.ok((await db.associations.get('guild-2', 'discord-2')).lastScorePollAt > AFTER_RESPONDER_PLAY);
+  assert.equal(ctx.opChannel.sent.length, 1);
+
+  const second = await pollScores(ctx, { maxUsers: 1 });
+  assert.deepEqual(second.posted.map(p => p.result), ['won']);
+  assert.equal(ctx.opChannel.sent.length, 2);
+});
+
+test('skips guilds with auto responses off or no challenges channel', async () => {
+  await db.associations.setAutoRespond(GUILD_ID, 'discord-2', true);
+  await db.associations.setLastScorePollAt(GUILD_ID, 'discord-2', BEFORE_RESPONDER_PLAY);
+
+  channels.delete(GUILD_ID);
+  assert.equal((await pollScores(ctx)).polled, 0);
+
+  channels.set(GUILD_ID, ctx.opChannel);
+  await db.guildSettings.update(GUILD_ID, { autoRespondEnabled: false });
+  assert.equal((await pollScores(ctx)).polled, 0);
+  assert.equal(db.tables.challengeAttempts.length, 0);
+});
+
@@ -0,0 +1,147 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkSubmissionRules, formatSubmissionRules, parseStatusList, parseThemedMods, parseBeatmapsetId, formatDrainLength,
+  checkSubmissionQuota, formatSubmissionQuota, submissionHistoryStart,
+} from '../src/submissionRules.js';
+
+const NO_RULES = {
+  minStars: null,
+  maxStars: null,
+  maxDrainSeconds: null,
+  allowedStatuses: [],
+  bannedMappers: [],
+  bannedBeatmapsetIds: [],
+  themedDayMods: {},
+};
+
+const beatmap = {
+  id: 12345,
+  beatmapset_id: 777,
+  user_id: 42,
+  difficulty_rating: 5.43,
+  hit_length: 200,
+  status: 'graveyard',
+  beatmapset: { creator: 'StubMapper', user_id: 41 },
+};
+
+const TUESDAY = 2;
+
+test('a map passes when the server has no rules', () => {
+  assert.deepEqual(checkSubmissionRules(NO_RULES, beatmap, { mods: [], weekday: TUESDAY }), []);
+  assert.deepEqual(checkSubmissionRules(NO_RULES, null, { mods: [], weekday: TUESDAY }), []);
+});
+
+test('explains every rule the map breaks', () => {
+  const rules = {
+    ...NO_RULES,
+    maxStars: 5,
+    maxDrainSeconds: 180,
+    allowedStatuses: ['ranked', 'loved'],
+  };
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: [], weekday: TUESDAY }), [
+    "Star rating ★5.43 is above this server's maximum of ★5.00.",
+    "Drain length 3:20 is longer than this server's maximum of 3:00.",
+    "Graveyard maps aren't allowed here (allowed: Ranked, Loved).",
+  ]);
+});
+
+test('banned mappers match the set creator or guest mapper by name or ID', () => {
+  const byName = { ...NO_RULES, bannedMappers: ['stubmapper'] };
+  assert.match(checkSubmissionRules(byName, beatmap, { mods: [], weekday: TUESDAY })[0], /Maps by \*\*StubMapper\*\* are banned/);
+  const byGuestId = { ...NO_RULES, bannedMappers: ['42'] };
+  assert.equal(checkSubmissionRules(byGuestId, beatmap, { mods: [], weekday: TUESDAY }).length, 1);
+  const bannedSet = { ...NO_RULES, bannedBeatmapsetIds: ['777'] };
+  assert.deepEqual(checkSubmissionRules(bannedSet, beatmap, { mods: [], weekday: TUESDAY }), ['This beatmapset is banned on this server.']);
+});
+
+test('themed days require their mods only on that weekday', () => {
+  const rules = { ...NO_RULES, themedDayMods: { [TUESDAY]: ['DT'] } };
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: ['HD'], weekday: TUESDAY }), [
+    "It's DT Tuesday! Add DT to your recommended mods.",
+  ]);
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: ['HD', 'DT'], weekday: TUESDAY }), []);
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: [], weekday: TUESDAY + 1 }), []);
+});
+
+test('themed days accept equivalent mods (NC for DT, PF for SD)', () => {
+  const rules = { ...NO_RULES, themedDayMods: { [TUESDAY]: ['DT', 'SD'] } };
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: ['NC', 'PF'], weekday: TUESDAY }), []);
+  const ncDay = { ...NO_RULES, themedDayMods: { [TUESDAY]: ['NC'] } };
+  assert.deepEqual(checkSubmissionRules(ncDay, beatmap, { mods: ['DT'], weekday: TUESDAY }), []);
+  assert.deepEqual(checkSubmissionRules(rules, beatmap, { mods: ['NC'], weekday: TUESDAY }), [
+    "It's DTSD Tuesday! Add SD to your recommended mods.",
+  ]);
+});
+
+test('rejects when the map cannot be looked up but map rules are set', () => {
+  const failures = checkSubmissionRules({ ...NO_RULES, minStars: 4 }, null, { mods: [], weekday: TUESDAY });
+  assert.equal(failures.length, 1);
+  assert.match(failures[0], /couldn't look up this map/);
+});
+
+test('parses admin input for statuses and beatmapsets', () => {
+  assert.deepEqual(parseStatusList('Ranked, loved WIP'), ['ranked', 'loved', 'wip']);
+  assert.equal(parseStatusList('ranked, unranked'), null);
+  assert.deepEqual(parseThemedMods('hddt'), ['HD', 'DT']);
+  assert.deepEqual(parseThemedMods('SV2, fl'), ['SV2', 'FL']);
+  assert.equal(parseThemedMods('HD TD'), null);
+  assert.equal(parseThemedMods('4K'), null);
+  assert.equal(parseThemedMods('?'), null);
+  assert.equal(parseBeatmapsetId('https://osu.ppy.sh/beatmapsets/777#osu/12345'), '777');
+  assert.equal(parseBeatmapsetId('888'), '888');
+  assert.equal(parseBeatmapsetId('https://osu.ppy.sh/b/12345'), null);
+  assert.equal(formatDrainLength(65), '1:05');
+});
+
+test('formats the rules for the config and help replies', () => {
+  assert.deepEqual(formatSubmissionRules(NO_RULES), ['• No rules — any map can be submitted']);
+  assert.deepEqual(formatSubmissionRules({ ...NO_RULES, minStars: 4, themedDayMods: { 4: ['HR'] } }), [
+    '• **Star rating:** ★4.00 – any',
+    '• **Thursday:** HR day (required mods)',
+  ]);
+});
+
+const QUOTA_DEFAULTS = { submissionsPerDay: 1, submissionsPerWeek: null, submissionCooldownHours: null };
+const submitted = (submissionDate, time = '12:00') => ({ submissionDate, createdAt: new Date(`${submissionDate}T${time}:00Z`) });
+
+test('the default quota is one map per day', () => {
+  const today = '2026-03-10';
+  assert.equal(checkSubmissionQuota(QUOTA_DEFAULTS, [submitted('2026-03-09')], { today }), null);
+  assert.equal(checkSubmissionQuota(QUOTA_DEFAULTS, [submitted(today)], { today }), 'You already submitted a map today!');
+  assert.equal(checkSubmissionQuota({ ...QUOTA_DEFAULTS, submissionsPerDay: null }, [submitted(today), submitted(today)], { today }), null);
+});
+
+test('daily and weekly quotas say when the next slot opens', () => {
+  const today = '2026-03-10';
+  const settings = { ...QUOTA_DEFAULTS, submissionsPerDay: 2, submissionsPerWeek: 3 };
+  assert.match(checkSubmissionQuota(settings, [submitted(today, '01:00'), submitted(today, '02:00')], { today }), /submitted 2 maps today \(limit: 2 per day\)/);
+
+  // 2026-03-03 is outside the 7-day window; the 03-05 submission leaves it on 03-12
+  const recent = [submitted('2026-03-03'), submitted('2026-03-05'), submitted('2026-03-08'), submitted('2026-03-09')];
+  assert.equal(
+    checkSubmissionQuota(settings, recent, { today }),
+    'You already submitted 3 maps in the last 7 days (limit: 3 per week). Your next slot opens on 2026-03-12.'
+  );
+  assert.equal(checkSubmissionQuota(settings, recent.slice(0, 3), { today }), null);
+});
+
+test('the cooldown counts hours from the last submission, across days', () => {
+  const settings = { ...QUOTA_DEFAULTS, submissionsPerDay: null, submissionCooldownHours: 12 };
+  const recent = [submitted('2026-03-09', '20:00')];
+  assert.equal(
+    checkSubmissionQuota(settings, recent, { today: '2026-03-10', now: new Date('2026-03-10T04:40:00Z') }),
+    'You can submit again in 3h 20m (12h cooldown between maps).'
+  );
+  assert.equal(checkSubmissionQuota(settings, recent, { today: '2026-03-10', now: new Date('2026-03-10T08:00:00Z') }), null);
+});
+
+test('describes the quota and keeps a week of history', () => {
+  assert.equal(formatSubmissionQuota(QUOTA_DEFAULTS), '1 map per day');
+  assert.equal(
+    formatSubmissionQuota({ submissionsPerDay: 2, submissionsPerWeek: 5, submissionCooldownHours: 12 }),
+    '2 maps per day, at most 5 per week, 12h apart'
+  );
+  assert.equal(submissionHistoryStart('2026-03-10'), '2026-03-03');
+});
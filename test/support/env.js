@@ -0,0 +1,8 @@
+/**
+ * Test environment. Import first in every test file: osu-api.js reads its rate budget at load time.
+ */
+
+process.env.OSU_CLIENT_ID = 'test-client';
+process.env.OSU_CLIENT_SECRET = 'test-secret';
+process.env.OSU_API_RATE_LIMIT_PER_MINUTE = '100000';
+delete process.env.OSU_API_CACHE_PERSIST;
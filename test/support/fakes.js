@@ -0,0 +1,605 @@
+/**
+ * Fakes for handler tests: a throwaway in-memory database with the db.js methods the handlers use,
+ * Discord interactions/channels that record replies, and handler ctxs like index.js builds.
+ */
+
+import { EventEmitter } from 'node:events';
+import { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, ComponentType, EmbedBuilder, StringSelectMenuBuilder } from 'discord.js';
+import {
+  extractScoreValue, compareScores, formatBeatmapLink, getBeatmapsetImageUrl, isValidScore, getMapTitle, getMapArtist,
+  formatStarRating, formatPlayerStats, formatPlayerStatsCompact, getBeatmapStatusName, isScoreSavedOnOsu,
+  extractBeatmapInfoFromMessage, formatMods, getModAcronyms, parseModAcronyms, satisfiesModLock, formatModLock, getStarRating, DEFAULT_WIN_RULE,
+} from '../../src/scoreHelpers.js';
+import {
+  getUserRecentScores, getUserBeatmapScore, getUserBeatmapScoresAll, getUser, getBeatmap, resolveMapOrScoreLink, extractBeatmapId,
+} from '../../src/osu-api.js';
+import { buildBeatmapLinkFromIds, formatDifficultyLabel, getBeatmapAndLink } from '../../src/helpers.js';
+import { formatTetoText } from '../../src/emoji.js';
+import { drawChallengeCard, drawHeadToHeadCard } from '../../src/card.js';
+import { summarizeHeadToHead } from '../../src/headToHead.js';
+import { collectMapLeaderboard } from '../../src/leaderboard.js';
+import { calculateRatingChange, formatRatingChange } from '../../src/rating.js';
+import { DEFAULT_RULESET, getScoreRuleset, getRulesetName, resolvePlayRuleset, tagScoreRuleset } from '../../src/rulesets.js';
+import { checkSubmissionRules, checkSubmissionQuota, submissionHistoryStart } from '../../src/submissionRules.js';
+import { daysAgoString } from '../../src/userStats.js';
+import { formatChallengeEntry, calculateTimeHeld } from '../../src/weeklyUpdate.js';
+
+const challengeKey = (guildId, beatmapId, difficulty) => `${guildId}:${beatmapId}:${difficulty}`;
+// server_configs column per channel type, as in CHANNEL_TYPES in db.js
+const CHANNEL_COLUMNS = { tmotd: 'tmotdChannelId', challenges: 'challengesChannelId', topplays: 'topPlaysChannelId' };
+
+/**
+ * In-memory stand-in for the db.js exports used by /rsc, /tc, /trs and /teto map. Rows are kept in `tables`;
+ * reads return copies, like Prisma does.
+ */
+export function createFakeDb() {
+  const tables = {
+    associations: new Map(),
+    activeChallenges: new Map(),
+    challengeAttempts: [],
+    challengeReigns: [],
+    guildSettings: new Map(),
+    playerRatings: new Map(),
+    serverConfigs: new Map(),
+    topPlaySnapshots: new Map(),
+    userStatsSnapshots: new Map(),
+    localScores: [],
+    submissions: [],
+    submissionArchive: [],
+    submissionRules: new Map(),
+  };
+  let nextId = 1;
+  const id = () => String(nextId++);
+
+  return {
+    tables,
+
+    associations: {
+      async get(guildId, userId) {
+        const row = tables.associations.get(`${guildId}:${userId}`);
+        return row ? { ...row } : null;
+      },
+      async set(guildId, userId, userData) {
+        const row = {
+          id: id(), guildId, discordUserId: userId, ruleset: DEFAULT_RULESET, autoRespond: false, lastScorePollAt: null, updatedAt: new Date(),
+          ...userData,
+        };
+        tables.associations.set(`${guildId}:${userId}`, row);
+        return row;
+      },
+      async setAutoRespond(guildId, userId, enabled) {
+        const row = tables.associations.get(`${guildId}:${userId}`);
+        row.autoRespond = enabled;
+        if (enabled) row.lastScorePollAt = new Date();
+        return { ...row };
+      },
+      async getAutoRespondUsers(guildIds) {
+        return [...tables.associations.values()]
+          .filter(r => guildIds.includes(r.guildId) && r.autoRespond && r.osuUserId)
+          .sort((a, b) => (a.lastScorePollAt?.getTime() ?? 0) - (b.lastScorePollAt?.getTime() ?? 0))
+          .map(r => ({ ...r }));
+      },
+      async getAllLinked() {
+        return [...tables.associations.values()].filter(r => r.osuUserId).map(r => ({ ...r }));
+      },
+      async getLinkedInGuilds(guildIds) {
+        return [...tables.associations.values()]
+          .filter(r => guildIds.includes(r.guildId) && r.osuUserId)
+          .map(r => ({ ...r }));
+      },
+      async setLastScorePollAt(guildId, userId, polledAt) {
+        const row = tables.associations.get(`${guildId}:${userId}`);
+        row.lastScorePollAt = polledAt;
+        return { ...row };
+      },
+    },
+
+    activeChallenges: {
+      async getByDifficulty(guildId, beatmapId, difficulty) {
+        const row = tables.activeChallenges.get(challengeKey(guildId, beatmapId, difficulty));
+        return row ? { ...row } : null;
+      },
+      async getAll(guildId) {
+        return [...tables.activeChallenges.values()].filter(r => r.guildId === guildId).map(r => ({ ...r }));
+      },
+      async create(guildId, beatmapId, difficulty, challengerUserId, challengerOsuId, challengerScore, modLock = 'any', lockedMods = []) {
+        const now = new Date();
+        const row = {
+          id: id(), guildId, beatmapId, difficulty, challengerUserId, challengerOsuId, challengerScore,
+          originalChallengerUserId: challengerUserId, modLock, lockedMods, createdAt: now, updatedAt: now,
+        };
+        tables.activeChallenges.set(challengeKey(guildId, beatmapId, difficulty), row);
+        return row;
+      },
+      async updateChampion(guildId, beatmapId, difficulty, newChallengerUserId, newChallengerOsuId, newChallengerScore) {
+        const row = tables.activeChallenges.get(challengeKey(guildId, beatmapId, difficulty));
+        Object.assign(row, {
+          challengerUserId: newChallengerUserId,
+          challengerOsuId: newChallengerOsuId,
+          challengerScore: newChallengerScore,
+          updatedAt: new Date(),
+        });
+        return row;
+      },
+    },
+
+    challengeAttempts: {
+      async create(guildId, attemptData) {
+        const row = { id: id(), guildId, ...attemptData, createdAt: new Date() };
+        tables.challengeAttempts.push(row);
+        return row;
+      },
+      async hasScoreResponse(guildId, beatmapId, difficulty, responderScoreId, since) {
+        return tables.challengeAttempts.some(a => a.guildId === guildId && a.beatmapId === beatmapId && a.difficulty === difficulty
+          && a.responderScoreId === responderScoreId && a.createdAt >= since);
+      },
+      async getBetweenUsers(guildId, userA, userB) {
+        return tables.challengeAttempts
+          .filter(a => a.guildId === guildId && (
+            (a.responderUserId === userA && a.championUserId === userB) ||
+            (a.responderUserId === userB && a.championUserId === userA)))
+          .reverse();
+      },
+    },
+
+    challengeReigns: {
+      async transfer(guildId, beatmapId, difficulty, newUserId, newOsuId, newScore) {
+        const now = new Date();
+        for (const reign of tables.challengeReigns) {
+          if (reign.guildId === guildId && reign.beatmapId === beatmapId && reign.difficulty === difficulty && !reign.endedAt) {
+            reign.endedAt = now;
+            reign.endedByUserId = newUserId;
+          }
+        }
+        const row = {
+          id: id(), guildId, beatmapId, difficulty, championUserId: newUserId, championOsuId: newOsuId,
+          championScore: newScore, startedAt: now, endedAt: null, endedByUserId: null,
+        };
+        tables.challengeReigns.push(row);
+        return row;
+      },
+      async updateScore(guildId, beatmapId, difficulty, championScore) {
+        const open = tables.challengeReigns.filter(r => r.guildId === guildId && r.beatmapId === beatmapId && r.difficulty === difficulty && !r.endedAt);
+        for (const reign of open) reign.championScore = championScore;
+        return { count: open.length };
+      },
+    },
+
+    guildSettings: {
+      async get(guildId) {
+        // Same defaults as GUILD_SETTINGS_DEFAULTS in db.js
+        return tables.guildSettings.get(guildId) ?? {
+          guildId,
+          challengeWinRule: DEFAULT_WIN_RULE,
+          challengeExpiryDays: null,
+          autoRespondEnabled: false,
+          duplicateMapWindowDays: 30,
+          duplicateMapAction: 'confirm',
+          timezone: 'UTC',
+          submissionsPerDay: 1,
+          submissionsPerWeek: null,
+          submissionCooldownHours: null,
+          submissionExemptRoleId: null,
+        };
+      },
+      async update(guildId, data) {
+        const row = { ...(await this.get(guildId)), ...data };
+        tables.guildSettings.set(guildId, row);
+        return row;
+      },
+      async getWithAutoRespond() {
+        return [...tables.guildSettings.values()].filter(r => r.autoRespondEnabled);
+      },
+    },
+
+    submissions: {
+      async create(guildId, userId, submissionDate) {
+        const row = { id: id(), guildId, userId, submissionDate, createdAt: new Date() };
+        tables.submissions.push(row);
+        return row;
+      },
+      async getSince(guildId, userId, sinceDate) {
+        return tables.submissions
+          .filter(r => r.guildId === guildId && r.userId === userId && r.submissionDate >= sinceDate)
+          .map(r => ({ ...r }));
+      },
+    },
+
+    submissionArchive: {
+      async create(guildId, data) {
+        const row = { id: id(), guildId, mods: [], upvotes: 0, downvotes: 0, createdAt: new Date(), ...data };
+        tables.submissionArchive.push(row);
+        return row;
+      },
+      // Newest first, like db.js (submissionDate, then createdAt; rows are created in order)
+      async search(guildId, { userId, minStars, maxStars, fromDate, toDate, status } = {}) {
+        return tables.submissionArchive
+          .filter(r => r.guildId === guildId &&
+            (!userId || r.userId === userId) &&
+            (!status || r.status === status) &&
+            (minStars == null || (r.starRating != null && r.starRating >= minStars)) &&
+            (maxStars == null || (r.starRating != null && r.starRating <= maxStars)) &&
+            (!fromDate || r.submissionDate >= fromDate) &&
+            (!toDate || r.submissionDate <= toDate))
+          .reverse()
+          .sort((a, b) => b.submissionDate.localeCompare(a.submissionDate))
+          .map(r => ({ ...r }));
+      },
+      async updateVotes(messageId, { upvotes, downvotes }) {
+        const rows = tables.submissionArchive.filter(r => r.messageId === messageId);
+        for (const row of rows) Object.assign(row, { upvotes, downvotes });
+        return { count: rows.length };
+      },
+      async findRecentDuplicate(guildId, { beatmapId, beatmapsetId, sinceDate }) {
+        const [row] = (await this.search(guildId, { fromDate: sinceDate }))
+          .filter(r => r.beatmapId === beatmapId || (beatmapsetId && r.beatmapsetId === beatmapsetId));
+        return row ?? null;
+      },
+    },
+
+    submissionRules: {
+      async get(guildId) {
+        // Same defaults as SUBMISSION_RULES_DEFAULTS in db.js
+        return tables.submissionRules.get(guildId) ?? {
+          guildId,
+          minStars: null,
+          maxStars: null,
+          maxDrainSeconds: null,
+          allowedStatuses: [],
+          bannedMappers: [],
+          bannedBeatmapsetIds: [],
+          themedDayMods: {},
+        };
+      },
+      async update(guildId, data) {
+        const row = { ...(await this.get(guildId)), ...data };
+        tables.submissionRules.set(guildId, row);
+        return row;
+      },
+    },
+
+    playerRatings: {
+      async get(guildId, discordUserId) {
+        const row = tables.playerRatings.get(`${guildId}:${discordUserId}`);
+        // Same defaults as PLAYER_RATING_DEFAULTS in db.js
+        return row ? { ...row } : { guildId, discordUserId, rating: 1500, peakRating: 1500, wins: 0, losses: 0 };
+      },
+      async recordResult(guildId, winnerUserId, loserUserId, points) {
+        const apply = async (discordUserId, change, won) => {
+          const row = await this.get(guildId, discordUserId);
+          row.rating += change;
+          row.peakRating = Math.max(row.peakRating, row.rating);
+          if (won) row.wins++;
+          else row.losses++;
+          tables.playerRatings.set(`${guildId}:${discordUserId}`, row);
+          return { ...row };
+        };
+        return { winner: await apply(winnerUserId, points, true), loser: await apply(loserUserId, -points, false) };
+      },
+    },
+
+    serverConfig: {
+      async get(guildId) {
+        const row = tables.serverConfigs.get(guildId);
+        return row ? { ...row } : null;
+      },
+      async getChannelId(guildId, channelType) {
+        return tables.serverConfigs.get(guildId)?.[CHANNEL_COLUMNS[channelType]] ?? null;
+      },
+      async setChannel(guildId, channelType, channelId) {
+        const row = { guildId, ...tables.serverConfigs.get(guildId), [CHANNEL_COLUMNS[channelType]]: channelId };
+        tables.serverConfigs.set(guildId, row);
+        return row;
+      },
+      async getGuildIdsWithChannel(channelType) {
+        return [...tables.serverConfigs.entries()]
+          .filter(([, row]) => row[CHANNEL_COLUMNS[channelType]])
+          .map(([guildId]) => guildId);
+      },
+    },
+
+    topPlaySnapshots: {
+      async getMany(osuUserIds) {
+        return [...tables.topPlaySnapshots.values()].filter(r => osuUserIds.includes(r.osuUserId)).map(r => ({ ...r }));
+      },
+      async save(osuUserId, ruleset, scores) {
+        const key = `${osuUserId}:${ruleset}`;
+        const row = { id: tables.topPlaySnapshots.get(key)?.id ?? id(), osuUserId, ruleset, scores, updatedAt: new Date() };
+        tables.topPlaySnapshots.set(key, row);
+        return row;
+      },
+    },
+
+    userStatsSnapshots: {
+      async save(osuUserId, ruleset, date, stats) {
+        const key = `${osuUserId}:${ruleset}:${date}`;
+        const row = { id: tables.userStatsSnapshots.get(key)?.id ?? id(), osuUserId, ruleset, date, ...stats, createdAt: new Date() };
+        tables.userStatsSnapshots.set(key, row);
+        return row;
+      },
+      async getHistory(osuUserId, ruleset, sinceDate) {
+        return [...tables.userStatsSnapshots.values()]
+          .filter(r => r.osuUserId === osuUserId && r.ruleset === ruleset && r.date >= sinceDate)
+          .sort((a, b) => a.date.localeCompare(b.date))
+          .map(r => ({ ...r }));
+      },
+      async getHistoryForUsers(osuUserIds, sinceDate) {
+        return [...tables.userStatsSnapshots.values()]
+          .filter(r => osuUserIds.includes(r.osuUserId) && r.date >= sinceDate)
+          .sort((a, b) => a.date.localeCompare(b.date))
+          .map(r => ({ ...r }));
+      },
+    },
+
+    localScores: {
+      async create(guildId, discordUserId, osuUserId, score) {
+        const row = { id: id(), guildId, discordUserId, osuUserId, score, createdAt: new Date() };
+        tables.localScores.push(row);
+        return row;
+      },
+      async exists(guildId, discordUserId, score) {
+        return tables.localScores.find(r => r.guildId === guildId && r.discordUserId === discordUserId &&
+          String(r.score.beatmap?.id) === String(score.beatmap?.id) &&
+          r.score.beatmap?.version === score.beatmap?.version &&
+          r.score.score === score.score) ?? null;
+      },
+      async getByBeatmapAndDifficulty(guildId, discordUserId, beatmapId, difficulty) {
+        return tables.localScores.filter(r => r.guildId === guildId && r.discordUserId === discordUserId &&
+          String(r.score.beatmap?.id) === String(beatmapId) &&
+          (!difficulty || r.score.beatmap?.version === difficulty));
+      },
+      async getByBeatmap(guildId, beatmapId, difficulty) {
+        return tables.localScores.filter(r => r.guildId === guildId &&
+          String(r.score.beatmap?.id) === String(beatmapId) &&
+          (!difficulty || r.score.beatmap?.version === difficulty));
+      },
+    },
+  };
+}
+
+/** Text channel that records what was sent. */
+export function createFakeChannel(id = 'channel-1', messages = []) {
+  const sent = [];
+  return {
+    id,
+    sent,
+    async send(payload) {
+      const message = {
+        id: `message-${sent.length + 1}`,
+        ...payload,
+        reactions: [],
+        async react(emoji) {
+          this.reactions.push(emoji);
+        },
+      };
+      sent.push(message);
+      return message;
+    },
+    messages: {
+      // Most recent first, like discord.js
+      async fetch() {
+        return new Map(messages.map((m, i) => [String(i), { content: '', embeds: [], ...m }]));
+      },
+    },
+  };
+}
+
+/**
+ * Chat input interaction that records deferReply/editReply/reply calls.
+ * @param {object} opts
+ * @param {Record<string, string|number|null>} [opts.options] - option values by name
+ * @param {string} [opts.subcommandGroup] - e.g. 'map' for /teto map submit
+ * @param {string} [opts.subcommand] - e.g. 'submit'
+ * @param {object} [opts.targetMessage] - message a context-menu command was used on
+ * @param {string[]} [opts.picks] - values the user picks, in order, from select menus in the reply, or the
+ *   custom IDs of the buttons they click; once they run out, awaiting a pick rejects like a timeout
+ * Component collectors on the reply (e.g. page buttons) are kept in `collectors`; emit 'collect' to click.
+ */
+export function createFakeInteraction({ guildId = 'guild-1', userId = 'discord-1', username = 'DiscordUser', options = {}, subcommandGroup = null, subcommand = null, channel = createFakeChannel(), targetMessage, picks = [] } = {}) {
+  const replies = [];
+  const collectors = [];
+  const pendingPicks = [...picks];
+  const replyMessage = {
+    createMessageComponentCollector() {
+      const collector = new EventEmitter();
+      collectors.push(collector);
+      return collector;
+    },
+    async awaitMessageComponent({ componentType } = {}) {
+      if (pendingPicks.length === 0) throw new Error('Collector received no interactions before ending with reason: time');
+      const pick = pendingPicks.shift();
+      const isButton = componentType === ComponentType.Button;
+      return {
+        user: { id: userId, username },
+        customId: isButton ? pick : replies[replies.length - 1]?.components?.[0]?.components?.[0]?.data?.custom_id,
+        values: isButton ? [] : [pick],
+        async update(payload) {
+          replies.push(payload);
+        },
+      };
+    },
+  };
+  return {
+    guildId,
+    user: { id: userId, username },
+    channel,
+    ...(targetMessage && { targetMessage: { content: '', embeds: [], ...targetMessage } }),
+    replies,
+    collectors,
+    deferred: false,
+    replied: false,
+    options: {
+      getString: (name) => options[name] ?? null,
+      getInteger: (name) => options[name] ?? null,
+      getNumber: (name) => options[name] ?? null,
+      getBoolean: (name) => options[name] ?? null,
+      getUser: (name) => options[name] ?? null,
+      getSubcommandGroup: () => subcommandGroup,
+      getSubcommand: () => subcommand,
+    },
+    async deferReply() {
+      this.deferred = true;
+    },
+    async reply(payload) {
+      this.replied = true;
+      replies.push(payload);
+      return replyMessage;
+    },
+    async editReply(payload) {
+      replies.push(payload);
+      return replyMessage;
+    },
+    /** Description text of the last reply's embeds. */
+    lastReplyText() {
+      const last = replies[replies.length - 1];
+      return (last?.embeds || []).map(e => e.description ?? e.data?.description ?? '').join('\n');
+    },
+  };
+}
+
+/** createEmbed stand-in: plain objects instead of EmbedBuilders. */
+async function createEmbed(content, imageUrl = null) {
+  return [{
+    description: content ?? '',
+    image: imageUrl,
+    setFooter(footer) {
+      this.footer = footer;
+      return this;
+    },
+  }];
+}
+
+/**
+ * ctx for handleRsc/handleTc/handleLeaderboard/handleCompare/handleTrs (mirrors buildRscTcContext in index.js) backed by the fake db,
+ * the real osu-api client (point it at the stub) and a fake challenges channel.
+ */
+export function buildHandlerContext(db, { opChannel = createFakeChannel('challenges-channel') } = {}) {
+  return {
+    opChannel,
+    createEmbed,
+    async getOperatingChannel() {
+      return { channel: opChannel, channelId: opChannel.id };
+    },
+    associations: db.associations,
+    activeChallenges: db.activeChallenges,
+    challengeAttempts: db.challengeAttempts,
+    challengeReigns: db.challengeReigns,
+    playerRatings: db.playerRatings,
+    calculateRatingChange,
+    formatRatingChange,
+    getStarRating,
+    guildSettings: db.guildSettings,
+    localScores: db.localScores,
+    // Simplified createAndPostChallenge from index.js: store the challenge and announce it
+    async createAndPostChallenge(guildId, userId, osuUserId, userScore, channel, interaction, modLock = 'any') {
+      const beatmapId = userScore.beatmap?.id?.toString();
+      const difficulty = userScore.beatmap?.version ?? 'Unknown';
+      await db.activeChallenges.create(guildId, beatmapId, difficulty, userId, osuUserId, userScore, modLock, getModAcronyms(userScore));
+      const difficultyLabel = formatDifficultyLabel(await getMapTitle(userScore), difficulty, await getMapArtist(userScore));
+      await channel.send({ embeds: await createEmbed(`<@${userId}> has issued a challenge for ${difficultyLabel}!`) });
+      return { difficultyLink: difficultyLabel, imageUrl: null, difficultyLabel };
+    },
+    satisfiesModLock,
+    formatModLock,
+    formatMods,
+    parseModAcronyms,
+    compareScores,
+    extractScoreValue,
+    formatBeatmapLink,
+    drawChallengeCard,
+    drawHeadToHeadCard,
+    summarizeHeadToHead,
+    getMapTitle,
+    getMapArtist,
+    formatDifficultyLabel,
+    formatStarRating,
+    isValidScore,
+    resolveMapOrScoreLink,
+    getUserBeatmapScore,
+    getUserRecentScores,
+    getBeatmap,
+    getUser,
+    AttachmentBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    StringSelectMenuBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+    BOT_EMBED_COLOR: 0xc6da29,
+    getUserBeatmapScoresAll,
+    collectMapLeaderboard,
+    leaderboardMaxMembers: 50,
+    getBeatmapAndLink,
+    buildBeatmapLinkFromIds,
+    getBeatmapsetImageUrl,
+    formatPlayerStats,
+    formatPlayerStatsCompact,
+    extractBeatmapInfoFromMessage,
+    formatTetoText,
+    getBeatmapStatusName,
+    isScoreSavedOnOsu,
+    DEFAULT_RULESET,
+    getScoreRuleset,
+    getRulesetName,
+    resolvePlayRuleset,
+    tagScoreRuleset,
+  };
+}
+
+/** ctx for handleChallenges (mirrors buildChallengesContext in index.js) backed by the fake db. */
+export function buildChallengesContext(db) {
+  return {
+    createEmbed,
+    activeChallenges: db.activeChallenges,
+    formatChallengeEntry,
+    calculateTimeHeld,
+    formatMods,
+    getModAcronyms,
+    parseModAcronyms,
+    getStarRating,
+    formatModLock,
+    formatTetoText,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+  };
+}
+
+/**
+ * ctx for the /teto map submit and history flows (the parts of buildTetoContext in index.js they use), backed by
+ * the fake db, the real osu-api client and a fake TMOTD channel. Every day is `today` in the guild's timezone.
+ */
+export function buildTetoContext(db, { opChannel = createFakeChannel('tmotd-channel'), today = '2026-03-10' } = {}) {
+  return {
+    opChannel,
+    createEmbed,
+    async getOperatingChannel() {
+      return { channel: opChannel, channelId: opChannel.id };
+    },
+    formatTetoText,
+    guildSettings: db.guildSettings,
+    async guildTodayString() {
+      return today;
+    },
+    resolveMapOrScoreLink,
+    extractBeatmapId,
+    submissions: db.submissions,
+    submissionArchive: db.submissionArchive,
+    submissionRules: db.submissionRules,
+    checkSubmissionRules,
+    checkSubmissionQuota,
+    submissionHistoryStart,
+    getBeatmapAndLink,
+    getBeatmapStatusName,
+    getBeatmapsetImageUrl,
+    formatStarRating,
+    formatDifficultyLabel,
+    daysAgoString,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType,
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Run the local osu! API stub (src/osu-api-stub.js) on a random port and point osu-api.js at it.
+ */
+
+import { createOsuApiStub } from '../../src/osu-api-stub.js';
+import { defaultFixtures } from '../../src/osu-api-stub-fixtures.js';
+import { clearResponseCache } from '../../src/osu-api.js';
+
+/**
+ * @param {object} [fixtures] - defaults to the stub's default fixtures
+ * @returns {Promise<{ close: () => Promise<void> }>}
+ */
+export async function startOsuStub(fixtures = defaultFixtures) {
+  const server = createOsuApiStub(fixtures);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  process.env.OSU_API_BASE_URL = `http://127.0.0.1:${port}/api/v2`;
+  process.env.OSU_TOKEN_URL = `http://127.0.0.1:${port}/oauth/token`;
+  clearResponseCache();
+
+  return {
+    close: () => new Promise((resolve) => {
+      clearResponseCache();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+/** Deep copy of the default fixtures for tests that add their own data. */
+export function cloneDefaultFixtures() {
+  return structuredClone(defaultFixtures);
+}
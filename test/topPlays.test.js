@@ -0,0 +1,109 @@
+import './support/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSnapshotEntries, weightedPp, findNewTopPlays, pollTopPlays } from '../src/topPlays.js';
+import { getUserBestScores, clearResponseCache } from '../src/osu-api.js';
+import {
+  getMapTitle, getMapArtist, formatStarRating, formatBeatmapLink, formatPlayerStats, getBeatmapsetImageUrl,
+} from '../src/scoreHelpers.js';
+import { formatDifficultyLabel } from '../src/helpers.js';
+import { DEFAULT_RULESET } from '../src/rulesets.js';
+import { startOsuStub, cloneDefaultFixtures } from './support/osuStub.js';
+import { createFakeDb, createFakeChannel } from './support/fakes.js';
+
+const GUILD_ID = 'guild-1';
+const fixtures = cloneDefaultFixtures();
+
+let stub;
+let db;
+let ctx;
+
+const score = (id, pp, createdAt = '2026-01-01T00:00:00Z') => ({ id, pp, created_at: createdAt });
+
+test('toSnapshotEntries keeps ids and pp, highest pp first', () => {
+  assert.deepEqual(toSnapshotEntries([score(1, 100), score(2, 300), { pp: 50 }]), [{ id: '2', pp: 300 }, { id: '1', pp: 100 }]);
+});
+
+test('weightedPp weights each play 95% of the one above', () => {
+  assert.equal(weightedPp([{ pp: 100 }, { pp: 100 }]), 195);
+  assert.equal(weightedPp([]), 0);
+});
+
+test('findNewTopPlays reports position and pp gained per new play', () => {
+  const previous = toSnapshotEntries([score(1, 200), score(2, 100)]);
+  const current = [score(3, 300, '2026-02-02T00:00:00Z'), score(1, 200), score(4, 150, '2026-02-01T00:00:00Z'), score(2, 100)];
+
+  const plays = findNewTopPlays(previous, current);
+  assert.deepEqual(plays.map(p => [p.score.id, p.position]), [[4, 3], [3, 1]]);
+  // 150 goes in at #2: 200 + 150*0.95 + 100*0.95² replaces 200 + 100*0.95
+  assert.ok(Math.abs(plays[0].ppGain - (150 * 0.95 + 100 * 0.95 ** 2 - 100 * 0.95)) < 1e-9);
+  assert.ok(plays[1].ppGain > 0);
+});
+
+test('findNewTopPlays skips old scores that re-entered the top plays', () => {
+  const previous = toSnapshotEntries([score(1, 200)]);
+  const current = [score(1, 200), score(5, 120, '2025-06-01T00:00:00Z')];
+  assert.equal(findNewTopPlays(previous, current, new Date('2026-01-01T00:00:00Z')).length, 0);
+});
+
+before(async () => {
+  stub = await startOsuStub(fixtures);
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  clearResponseCache();
+  db = createFakeDb();
+  const channel = createFakeChannel('top-plays-channel');
+  ctx = {
+    channel,
+    async createEmbed(content, imageUrl = null) {
+      return [{ description: content ?? '', image: imageUrl }];
+    },
+    serverConfig: db.serverConfig,
+    associations: db.associations,
+    topPlaySnapshots: db.topPlaySnapshots,
+    getUserBestScores,
+    async getTopPlaysChannel(guildId) {
+      return (await db.serverConfig.getChannelId(guildId, 'topplays')) ? channel : null;
+    },
+    getMapTitle,
+    getMapArtist,
+    formatDifficultyLabel,
+    formatStarRating,
+    formatBeatmapLink,
+    formatPlayerStats,
+    getBeatmapsetImageUrl,
+    DEFAULT_RULESET,
+  };
+  await db.associations.set(GUILD_ID, 'discord-2', { osuUserId: '1002', osuUsername: 'StubResponder' });
+});
+
+test('pollTopPlays snapshots first, then posts new top plays to the top plays channel', async () => {
+  await db.serverConfig.setChannel(GUILD_ID, 'topplays', 'top-plays-channel');
+
+  const first = await pollTopPlays(ctx);
+  assert.deepEqual(first, { checked: 1, posted: 0, rateLimited: false });
+  assert.equal(db.tables.topPlaySnapshots.size, 1);
+
+  const [responderScore] = fixtures.bestScores[1002];
+  fixtures.bestScores[1002] = [
+    { ...responderScore, id: 900999, pp: responderScore.pp + 100, created_at: new Date().toISOString(), ended_at: new Date().toISOString() },
+    responderScore,
+  ];
+  // Snapshot taken "earlier" than the new play
+  db.tables.topPlaySnapshots.get(`1002:${DEFAULT_RULESET}`).updatedAt = new Date(Date.now() - 60 * 1000);
+
+  const second = await pollTopPlays(ctx);
+  assert.equal(second.posted, 1);
+  const [post] = ctx.channel.sent;
+  assert.match(post.embeds[0].description, /<@discord-2> set a new top play: \*\*#1\*\* on .*Test Map Title \[Test Difficulty\]/);
+  assert.match(post.embeds[0].description, /\+\d+\.\d{2}pp\*\* profile pp/);
+});
+
+test('pollTopPlays does nothing without a top plays channel', async () => {
+  assert.deepEqual(await pollTopPlays(ctx), { checked: 0, posted: 0, rateLimited: false });
+});
@@ -0,0 +1,86 @@
+import './support/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toDateString, daysAgoString, statsFromOsuUser, summarizeProgress, snapshotAllUserStats, getBiggestClimbers,
+} from '../src/userStats.js';
+import { getUser, clearResponseCache } from '../src/osu-api.js';
+import { DEFAULT_RULESET } from '../src/rulesets.js';
+import { startOsuStub, cloneDefaultFixtures } from './support/osuStub.js';
+import { createFakeDb } from './support/fakes.js';
+
+const GUILD_ID = 'guild-1';
+
+let stub;
+let db;
+let ctx;
+
+const snapshot = (date, globalRank, pp, playCount = 100) => ({ date, globalRank, pp, accuracy: 98, playCount });
+
+test('daysAgoString counts back whole UTC days', () => {
+  const from = new Date('2026-03-01T05:00:00Z');
+  assert.equal(toDateString(from), '2026-03-01');
+  assert.equal(daysAgoString(7, from), '2026-02-22');
+});
+
+test('statsFromOsuUser reads the profile statistics', () => {
+  assert.deepEqual(
+    statsFromOsuUser({ statistics: { global_rank: null, pp: 12.5, hit_accuracy: 91.2, play_count: 3 } }),
+    { globalRank: null, pp: 12.5, accuracy: 91.2, playCount: 3 }
+  );
+  assert.equal(statsFromOsuUser({ id: 1 }), null);
+});
+
+test('summarizeProgress compares the first and last snapshot', () => {
+  const progress = summarizeProgress([snapshot('2026-01-01', 5000, 3000, 100), snapshot('2026-01-02', 4200, 3100.5, 140)]);
+  assert.equal(progress.rankGained, 800);
+  assert.equal(progress.ppGained, 100.5);
+  assert.equal(progress.playsAdded, 40);
+  assert.equal(summarizeProgress([snapshot('2026-01-01', null, 0), snapshot('2026-01-02', 10, 5)]).rankGained, null);
+  assert.equal(summarizeProgress([]), null);
+});
+
+before(async () => {
+  stub = await startOsuStub(cloneDefaultFixtures());
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  clearResponseCache();
+  db = createFakeDb();
+  ctx = { associations: db.associations, userStatsSnapshots: db.userStatsSnapshots, getUser, DEFAULT_RULESET };
+  await db.associations.set(GUILD_ID, 'discord-1', { osuUserId: '1001', osuUsername: 'StubChallenger' });
+  await db.associations.set(GUILD_ID, 'discord-2', { osuUserId: '1002', osuUsername: 'StubResponder' });
+  // Same player linked in another guild: still one snapshot
+  await db.associations.set('guild-2', 'discord-1', { osuUserId: '1001', osuUsername: 'StubChallenger' });
+});
+
+test('snapshotAllUserStats stores one snapshot per linked player and ruleset', async () => {
+  const { recorded, rateLimited } = await snapshotAllUserStats(ctx, '2026-01-10');
+  assert.equal(recorded, 2);
+  assert.equal(rateLimited, false);
+
+  const [row] = await db.userStatsSnapshots.getHistory('1001', DEFAULT_RULESET, '2026-01-01');
+  assert.equal(row.date, '2026-01-10');
+  assert.equal(row.globalRank, 12000);
+  assert.equal(row.pp, 4500.5);
+
+  // Running again the same day replaces the snapshot
+  await snapshotAllUserStats(ctx, '2026-01-10');
+  assert.equal(db.tables.userStatsSnapshots.size, 2);
+});
+
+test('getBiggestClimbers ranks players by global rank gained this week', async () => {
+  await db.userStatsSnapshots.save('1001', DEFAULT_RULESET, daysAgoString(6), { globalRank: 12500, pp: 4400, accuracy: 97, playCount: 14900 });
+  await db.userStatsSnapshots.save('1002', DEFAULT_RULESET, daysAgoString(6), { globalRank: 30000, pp: 3500, accuracy: 98, playCount: 8800 });
+  // Outside the week: ignored
+  await db.userStatsSnapshots.save('1002', DEFAULT_RULESET, daysAgoString(20), { globalRank: 90000, pp: 2000, accuracy: 98, playCount: 5000 });
+  await snapshotAllUserStats(ctx);
+
+  const climbers = await getBiggestClimbers(GUILD_ID, ctx);
+  assert.deepEqual(climbers.map(c => [c.discordUserId, c.progress.rankGained]), [['discord-2', 5000], ['discord-1', 500]]);
+  assert.deepEqual(await getBiggestClimbers(GUILD_ID, ctx, { limit: 1 }).then(c => c.map(x => x.discordUserId)), ['discord-2']);
+});
@@ -0,0 +1,84 @@
+import './support/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWeeklyUpdate, latestMessageIsWeeklyUpdate, WEEKLY_UPDATE_MARKER } from '../src/weeklyUpdate.js';
+import { defaultFixtures } from '../src/osu-api-stub-fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function createEmbed(content) {
+  return [{ description: content }];
+}
+
+function challengeStore(challenges) {
+  return {
+    async getChallengesInLast30Days() {
+      return challenges;
+    },
+    async getAllChallengesForDefenseStreaks() {
+      return challenges;
+    },
+  };
+}
+
+test('generateWeeklyUpdate: null when the guild has no recent challenges or climbers', async () => {
+  assert.equal(await generateWeeklyUpdate('guild-1', createEmbed, challengeStore([])), null);
+  assert.equal(await generateWeeklyUpdate('guild-1', createEmbed, challengeStore([]), async () => []), null);
+});
+
+test('generateWeeklyUpdate: posts the climbers alone when the guild has no challenges', async () => {
+  const getClimbers = async () => [{ discordUserId: 'discord-1', progress: { rankGained: 250, last: { globalRank: 9750 } } }];
+  const [[embed]] = await generateWeeklyUpdate('guild-1', createEmbed, challengeStore([]), getClimbers);
+  assert.ok(latestMessageIsWeeklyUpdate({ embeds: [embed] }));
+  assert.match(embed.description, /Biggest climbers this week:\*\*\n🥇 <@discord-1> - ▲ 250 ranks \(now #9,750\)/);
+  assert.ok(!embed.description.includes('New champions'));
+});
+
+test('generateWeeklyUpdate: lists new champions, uncontested challenges and holders', async () => {
+  const now = Date.now();
+  const score = defaultFixtures.scores[900100];
+  const challenges = [
+    {
+      id: 'c1', guildId: 'guild-1', difficulty: 'Test Difficulty', challengerScore: score,
+      challengerUserId: 'discord-2', originalChallengerUserId: 'discord-1',
+      createdAt: new Date(now - 5 * DAY_MS), updatedAt: new Date(now - 2 * DAY_MS),
+    },
+    {
+      id: 'c2', guildId: 'guild-1', difficulty: 'Other Difficulty', challengerScore: score,
+      challengerUserId: 'discord-1', originalChallengerUserId: 'discord-1',
+      createdAt: new Date(now - 3 * DAY_MS), updatedAt: new Date(now - 3 * DAY_MS),
+    },
+  ];
+
+  const chunks = await generateWeeklyUpdate('guild-1', createEmbed, challengeStore(challenges));
+  assert.equal(chunks.length, 1);
+  const [embed] = chunks[0];
+  assert.ok(latestMessageIsWeeklyUpdate({ embeds: [embed] }));
+  assert.ok(embed.description.includes(WEEKLY_UPDATE_MARKER));
+
+  const section = (title) => embed.description.split(title)[1].split('\n\n')[0];
+  assert.match(section('New champions:'), /Test Artist - Test Map Title \[Test Difficulty\].*<@discord-2>/);
+  assert.match(section('New uncontested challenges:'), /\[Other Difficulty\].*<@discord-1>/);
+  assert.match(section('Longest defence streak:'), /Held for 2 days/);
+  assert.match(section('Most challenges held:'), /<@discord-2> - 1 challenge/);
+});
+
+test('generateWeeklyUpdate: lists the biggest climbers when given', async () => {
+  const challenges = [{
+    id: 'c1', guildId: 'guild-1', difficulty: 'Test Difficulty', challengerScore: defaultFixtures.scores[900100],
+    challengerUserId: 'discord-1', originalChallengerUserId: 'discord-1',
+    createdAt: new Date(Date.now() - DAY_MS), updatedAt: new Date(Date.now() - DAY_MS),
+  }];
+  const getClimbers = async () => [
+    { discordUserId: 'discord-2', progress: { rankGained: 1500, last: { globalRank: 23500 } } },
+    { discordUserId: 'discord-1', progress: { rankGained: 1, last: { globalRank: 11999 } } },
+  ];
+
+  const [[embed]] = await generateWeeklyUpdate('guild-1', createEmbed, challengeStore(challenges), getClimbers);
+  const climbers = embed.description.split('Biggest climbers this week:')[1];
+  assert.match(climbers, /🥇 <@discord-2> - ▲ 1,500 ranks \(now #23,500\)/);
+  assert.match(climbers, /🥈 <@discord-1> - ▲ 1 rank \(now #11,999\)/);
+
+  const [[withoutClimbers]] = await generateWeeklyUpdate('guild-1', createEmbed, challengeStore(challenges));
+  assert.ok(!withoutClimbers.description.includes('Biggest climbers'));
+});